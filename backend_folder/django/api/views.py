@@ -0,0 +1,25 @@
+import json
+
+from django.http import JsonResponse
+from django.views.decorators.csrf import csrf_exempt
+from django.views.decorators.http import require_http_methods
+
+
+# Polled by `create-nextpy-app dev` before it starts the frontend
+@require_http_methods(["GET"])
+def health(request):
+    return JsonResponse({"status": "ok"})
+
+
+@csrf_exempt
+@require_http_methods(["GET", "POST"])
+def root(request):
+    if request.method == "GET":
+        return JsonResponse({"message": "This is Get Request from python backend"})
+
+    try:
+        item = json.loads(request.body or b"{}")
+    except json.JSONDecodeError:
+        return JsonResponse({"detail": "Request body must be valid JSON"}, status=400)
+
+    return JsonResponse({"message": f"This is Post Request from python backend and here is response {item}"})
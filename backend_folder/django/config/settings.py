@@ -0,0 +1,43 @@
+from pathlib import Path
+
+# Validated values from the environment and backend/.env (see env.schema)
+from config.env import settings as env
+
+BASE_DIR = Path(__file__).resolve().parent.parent
+
+SECRET_KEY = env.django_secret_key.get_secret_value()
+
+DEBUG = env.django_debug
+
+ALLOWED_HOSTS = env.django_allowed_hosts.split(",")
+
+INSTALLED_APPS = [
+    "django.contrib.contenttypes",
+    "django.contrib.auth",
+    "corsheaders",
+    "api",
+]
+
+MIDDLEWARE = [
+    "corsheaders.middleware.CorsMiddleware",
+    "django.middleware.common.CommonMiddleware",
+]
+
+ROOT_URLCONF = "config.urls"
+
+WSGI_APPLICATION = "config.wsgi.application"
+ASGI_APPLICATION = "config.asgi.application"
+
+DATABASES = {
+    "default": {
+        "ENGINE": "django.db.backends.sqlite3",
+        "NAME": BASE_DIR / "db.sqlite3",
+    }
+}
+
+CORS_ALLOWED_ORIGINS = [env.allowed_url]
+CORS_ALLOW_CREDENTIALS = True
+
+USE_TZ = True
+
+DEFAULT_AUTO_FIELD = "django.db.models.BigAutoField"
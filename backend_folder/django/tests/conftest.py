@@ -0,0 +1,10 @@
+import os
+
+import django
+from django.test.utils import setup_test_environment
+
+os.environ.setdefault("DJANGO_SETTINGS_MODULE", "config.settings")
+django.setup()
+
+# Allows the test client's "testserver" host, as Django's own test runner does
+setup_test_environment()
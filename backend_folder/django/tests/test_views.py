@@ -0,0 +1,47 @@
+import pytest
+from django.test import Client
+
+from config.env import settings
+
+
+@pytest.fixture
+def client():
+    return Client()
+
+
+def test_get_root(client):
+    response = client.get("/")
+
+    assert response.status_code == 200
+    assert response.json() == {"message": "This is Get Request from python backend"}
+
+
+def test_health(client):
+    response = client.get("/health")
+
+    assert response.status_code == 200
+    assert response.json() == {"status": "ok"}
+
+
+def test_post_root_echoes_the_payload(client):
+    response = client.post("/", {"data": "hello"}, content_type="application/json")
+
+    assert response.status_code == 200
+    assert response.json()["message"].endswith("{'data': 'hello'}")
+
+
+def test_post_root_rejects_invalid_json(client):
+    response = client.post("/", "not json", content_type="application/json")
+
+    assert response.status_code == 400
+    assert response.json() == {"detail": "Request body must be valid JSON"}
+
+
+def test_cors_allows_the_frontend(client):
+    origin = settings.allowed_url
+    response = client.options(
+        "/",
+        headers={"Origin": origin, "Access-Control-Request-Method": "POST"},
+    )
+
+    assert response.headers["Access-Control-Allow-Origin"] == origin
@@ -1,19 +1,23 @@
 from fastapi.middleware.cors import CORSMiddleware
 from fastapi import FastAPI
-import os
+
+from config import settings
 
 app = FastAPI()
 
 app.add_middleware(
     CORSMiddleware,
-    allow_origins=[
-        os.getenv("ALLOWED_URL", "http://localhost:3000")
-    ],
+    allow_origins=[settings.allowed_url],
     allow_credentials=True,
     allow_methods=["*"],
     allow_headers=["*"],
 )
 
+# Polled by `create-nextpy-app dev` before it starts the frontend
+@app.get("/health")
+def health():
+    return {"status": "ok"}
+
 @app.get("/")
 def read_root():
     return {"message": "This is Get Request from python backend"}
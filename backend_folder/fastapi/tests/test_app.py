@@ -0,0 +1,37 @@
+from fastapi.testclient import TestClient
+
+from app import app
+from config import settings
+
+client = TestClient(app)
+
+
+def test_get_root():
+    response = client.get("/")
+
+    assert response.status_code == 200
+    assert response.json() == {"message": "This is Get Request from python backend"}
+
+
+def test_health():
+    response = client.get("/health")
+
+    assert response.status_code == 200
+    assert response.json() == {"status": "ok"}
+
+
+def test_post_root_echoes_the_payload():
+    response = client.post("/", json={"data": "hello"})
+
+    assert response.status_code == 200
+    assert response.json()["message"].endswith("{'data': 'hello'}")
+
+
+def test_cors_allows_the_frontend():
+    origin = settings.allowed_url
+    response = client.options(
+        "/",
+        headers={"Origin": origin, "Access-Control-Request-Method": "POST"},
+    )
+
+    assert response.headers["access-control-allow-origin"] == origin
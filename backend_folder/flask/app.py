@@ -0,0 +1,26 @@
+from flask import Flask, jsonify, request
+from flask_cors import CORS
+
+from config import settings
+
+app = Flask(__name__)
+
+CORS(
+    app,
+    origins=[settings.allowed_url],
+    supports_credentials=True,
+)
+
+# Polled by `create-nextpy-app dev` before it starts the frontend
+@app.get("/health")
+def health():
+    return jsonify({"status": "ok"})
+
+@app.get("/")
+def read_root():
+    return jsonify({"message": "This is Get Request from python backend"})
+
+@app.post("/")
+def create_item():
+    item = request.get_json(silent=True) or {}
+    return jsonify({"message": f"This is Post Request from python backend and here is response {item}"})
@@ -0,0 +1,41 @@
+import pytest
+
+from app import app
+from config import settings
+
+
+@pytest.fixture
+def client():
+    app.config.update(TESTING=True)
+    return app.test_client()
+
+
+def test_get_root(client):
+    response = client.get("/")
+
+    assert response.status_code == 200
+    assert response.get_json() == {"message": "This is Get Request from python backend"}
+
+
+def test_health(client):
+    response = client.get("/health")
+
+    assert response.status_code == 200
+    assert response.get_json() == {"status": "ok"}
+
+
+def test_post_root_echoes_the_payload(client):
+    response = client.post("/", json={"data": "hello"})
+
+    assert response.status_code == 200
+    assert response.get_json()["message"].endswith("{'data': 'hello'}")
+
+
+def test_cors_allows_the_frontend(client):
+    origin = settings.allowed_url
+    response = client.options(
+        "/",
+        headers={"Origin": origin, "Access-Control-Request-Method": "POST"},
+    )
+
+    assert response.headers["Access-Control-Allow-Origin"] == origin
@@ -0,0 +1,53 @@
+from fastapi import APIRouter, Depends, HTTPException, status
+from sqlalchemy import select
+from sqlalchemy.orm import Session
+
+import models
+import schemas
+from database import get_db
+from security import (
+    ACCESS_TOKEN_EXPIRE_MINUTES,
+    create_access_token,
+    get_current_user,
+    hash_password,
+    verify_password,
+)
+
+router = APIRouter(prefix="/auth", tags=["auth"])
+
+
+def find_user(email: str, db: Session):
+    return db.scalar(select(models.User).where(models.User.email == email.lower()))
+
+
+def token_for(user: models.User) -> schemas.Token:
+    return schemas.Token(
+        access_token=create_access_token(user.id),
+        expires_in=ACCESS_TOKEN_EXPIRE_MINUTES * 60,
+        user=user,
+    )
+
+
+@router.post("/signup", response_model=schemas.Token, status_code=status.HTTP_201_CREATED)
+def signup(payload: schemas.UserCreate, db: Session = Depends(get_db)):
+    if find_user(payload.email, db) is not None:
+        raise HTTPException(status_code=409, detail="An account with this email already exists")
+
+    user = models.User(email=payload.email.lower(), hashed_password=hash_password(payload.password))
+    db.add(user)
+    db.commit()
+    db.refresh(user)
+    return token_for(user)
+
+
+@router.post("/login", response_model=schemas.Token)
+def login(payload: schemas.Credentials, db: Session = Depends(get_db)):
+    user = find_user(payload.email, db)
+    if user is None or not verify_password(payload.password, user.hashed_password):
+        raise HTTPException(status_code=401, detail="Incorrect email or password")
+    return token_for(user)
+
+
+@router.get("/me", response_model=schemas.User)
+def read_current_user(user: models.User = Depends(get_current_user)):
+    return user
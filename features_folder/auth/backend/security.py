@@ -0,0 +1,71 @@
+"""Password hashing, JWT access tokens and the current-user dependency."""
+import secrets
+import warnings
+from datetime import datetime, timedelta, timezone
+from typing import Optional
+
+import jwt
+from argon2 import PasswordHasher
+from argon2.exceptions import InvalidHashError, VerificationError
+from fastapi import Depends, HTTPException, status
+from fastapi.security import HTTPAuthorizationCredentials, HTTPBearer
+from sqlalchemy.orm import Session
+
+import models
+from config import settings
+from database import get_db
+
+ALGORITHM = "HS256"
+ACCESS_TOKEN_EXPIRE_MINUTES = settings.jwt_expire_minutes
+
+SECRET_KEY = settings.jwt_secret.get_secret_value() if settings.jwt_secret else None
+if not SECRET_KEY:
+    # Still safe, but every restart signs everybody out
+    warnings.warn("JWT_SECRET is not set; using a random secret for this process")
+    SECRET_KEY = secrets.token_hex(32)
+
+password_hasher = PasswordHasher()
+
+# Reads "Authorization: Bearer <token>", which the NextJS proxy builds from the session cookie
+bearer_scheme = HTTPBearer(auto_error=False)
+
+
+def hash_password(password: str) -> str:
+    return password_hasher.hash(password)
+
+
+def verify_password(password: str, hashed_password: str) -> bool:
+    try:
+        return password_hasher.verify(hashed_password, password)
+    except (VerificationError, InvalidHashError):
+        return False
+
+
+def create_access_token(user_id: int) -> str:
+    expires = datetime.now(timezone.utc) + timedelta(minutes=ACCESS_TOKEN_EXPIRE_MINUTES)
+    return jwt.encode({"sub": str(user_id), "exp": expires}, SECRET_KEY, algorithm=ALGORITHM)
+
+
+def get_current_user(
+    credentials: Optional[HTTPAuthorizationCredentials] = Depends(bearer_scheme),
+    db: Session = Depends(get_db),
+) -> models.User:
+    """Dependency for routes that need a signed-in user; answers 401 otherwise."""
+    unauthorized = HTTPException(
+        status_code=status.HTTP_401_UNAUTHORIZED,
+        detail="Not authenticated",
+        headers={"WWW-Authenticate": "Bearer"},
+    )
+    if credentials is None:
+        raise unauthorized
+
+    try:
+        payload = jwt.decode(credentials.credentials, SECRET_KEY, algorithms=[ALGORITHM])
+        user_id = int(payload["sub"])
+    except (jwt.InvalidTokenError, KeyError, ValueError):
+        raise unauthorized
+
+    user = db.get(models.User, user_id)
+    if user is None:
+        raise unauthorized
+    return user
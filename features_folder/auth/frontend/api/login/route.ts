@@ -0,0 +1,6 @@
+import { NextRequest } from 'next/server';
+import { startSession } from '@/lib/session';
+
+export async function POST(request: NextRequest) {
+  return startSession('/auth/login', await request.text());
+}
@@ -0,0 +1,5 @@
+import { endSession } from '@/lib/session';
+
+export async function POST() {
+  return endSession();
+}
@@ -0,0 +1,5 @@
+import { startSession } from '@/lib/session';
+
+export async function POST(request) {
+  return startSession('/auth/signup', await request.text());
+}
@@ -0,0 +1,70 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { ApiError } from '@/lib/api';
+import { User, currentUser, logout } from '@/lib/auth';
+
+export default function AccountPage() {
+  const router = useRouter();
+  const [user, setUser] = useState<User | null>(null);
+  const [error, setError] = useState<string>('');
+
+  // The middleware only checks that a session cookie exists; the backend checks the token
+  useEffect(() => {
+    currentUser()
+      .then(setUser)
+      .catch((err) => {
+        if (err instanceof ApiError && err.status === 401) {
+          router.replace('/login?next=/account');
+          return;
+        }
+        setError(err instanceof ApiError ? err.message : 'Failed to load your account');
+        console.error('Failed to load the current user', err);
+      });
+  }, [router]);
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } finally {
+      router.push('/login');
+      router.refresh();
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 py-8">
+      <div className="max-w-md mx-auto mt-8 p-6 bg-white rounded-lg shadow-lg">
+        <h1 className="text-2xl font-bold text-gray-900 mb-6 text-center">Your account</h1>
+
+        {/* Error Display */}
+        {error && (
+          <div className="mb-6 p-4 bg-red-100 border border-red-400 text-red-700 rounded">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+
+        {user ? (
+          <div className="space-y-2 text-gray-700">
+            <p>
+              Signed in as <strong className="text-gray-900">{user.email}</strong>
+            </p>
+            <p className="text-sm text-gray-500">
+              Member since {new Date(user.created_at).toLocaleDateString()}
+            </p>
+          </div>
+        ) : (
+          !error && <p className="text-center text-gray-500">Loading...</p>
+        )}
+
+        <button
+          onClick={handleLogout}
+          className="mt-6 w-full bg-gray-500 hover:bg-gray-600 text-white font-medium py-3 px-4 rounded-lg transition duration-200"
+        >
+          Sign out
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+// Client helpers for signing in and out. Login and signup go to the NextJS
+// routes in src/app/api/auth/, which keep the token in an httpOnly cookie.
+import { apiCall } from './api';
+
+export async function login(email, password) {
+  const response = await apiCall('/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ email, password }),
+  });
+  return response.data.user;
+}
+
+export async function signup(email, password) {
+  const response = await apiCall('/auth/signup', {
+    method: 'POST',
+    body: JSON.stringify({ email, password }),
+  });
+  return response.data.user;
+}
+
+export async function logout() {
+  await apiCall('/auth/logout', { method: 'POST' });
+}
+
+/**
+ * The signed-in user, from the backend's /auth/me. Throws an ApiError with
+ * status 401 when the session is missing or has expired.
+ */
+export async function currentUser() {
+  const response = await apiCall('/auth/me');
+  return response.data;
+}
@@ -0,0 +1,38 @@
+// Client helpers for signing in and out. Login and signup go to the NextJS
+// routes in src/app/api/auth/, which keep the token in an httpOnly cookie.
+import { apiCall } from './api';
+
+export interface User {
+  id: number;
+  email: string;
+  created_at: string;
+}
+
+export async function login(email: string, password: string): Promise<User> {
+  const response = await apiCall<{ user: User }>('/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ email, password }),
+  });
+  return (response.data as { user: User }).user;
+}
+
+export async function signup(email: string, password: string): Promise<User> {
+  const response = await apiCall<{ user: User }>('/auth/signup', {
+    method: 'POST',
+    body: JSON.stringify({ email, password }),
+  });
+  return (response.data as { user: User }).user;
+}
+
+export async function logout(): Promise<void> {
+  await apiCall('/auth/logout', { method: 'POST' });
+}
+
+/**
+ * The signed-in user, from the backend's /auth/me. Throws an ApiError with
+ * status 401 when the session is missing or has expired.
+ */
+export async function currentUser(): Promise<User> {
+  const response = await apiCall<User>('/auth/me');
+  return response.data as User;
+}
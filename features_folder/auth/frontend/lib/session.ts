@@ -0,0 +1,62 @@
+// Server-side session handling: the backend's JWT is kept in an httpOnly cookie
+// (out of reach of page scripts) and the /api proxy sends it on as a bearer token.
+import { NextResponse } from 'next/server';
+import { serverConfig } from './config';
+
+export const SESSION_COOKIE = 'session';
+
+const { BACKEND_URL } = serverConfig;
+
+interface TokenResponse {
+  access_token: string;
+  token_type: string;
+  expires_in: number;
+  user: unknown;
+}
+
+/**
+ * Posts credentials to a backend auth endpoint (/auth/login or /auth/signup).
+ * On success the token goes into the session cookie and only the user is
+ * returned; backend errors are passed through unchanged.
+ */
+export async function startSession(backendPath: string, credentials: string): Promise<NextResponse> {
+  let response: Response;
+  try {
+    response = await fetch(`${BACKEND_URL}${backendPath}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: credentials,
+    });
+  } catch (error) {
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to connect to backend',
+        message: error instanceof Error ? error.message : 'Unknown error',
+      },
+      { status: 502 }
+    );
+  }
+
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    return NextResponse.json(data, { status: response.status });
+  }
+
+  const { access_token, expires_in, user } = data as TokenResponse;
+  const result = NextResponse.json({ user }, { status: response.status });
+  result.cookies.set(SESSION_COOKIE, access_token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    maxAge: expires_in,
+  });
+  return result;
+}
+
+export function endSession(): NextResponse {
+  const result = new NextResponse(null, { status: 204 });
+  result.cookies.delete(SESSION_COOKIE);
+  return result;
+}
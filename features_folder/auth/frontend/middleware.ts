@@ -0,0 +1,17 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { SESSION_COOKIE } from '@/lib/session';
+
+// Pages that need a signed-in user. The backend still verifies the token on every API call.
+export const config = {
+  matcher: ['/account/:path*'],
+};
+
+export function middleware(request: NextRequest) {
+  if (request.cookies.has(SESSION_COOKIE)) {
+    return NextResponse.next();
+  }
+
+  const login = new URL('/login', request.url);
+  login.searchParams.set('next', request.nextUrl.pathname);
+  return NextResponse.redirect(login);
+}
@@ -0,0 +1,55 @@
+from typing import List
+
+from fastapi import APIRouter, Depends, HTTPException, Response, status
+from sqlalchemy import select
+from sqlalchemy.orm import Session
+
+import models
+import schemas
+from database import get_db
+
+router = APIRouter(prefix="/items", tags=["items"])
+
+
+def get_item_or_404(item_id: int, db: Session) -> models.Item:
+    item = db.get(models.Item, item_id)
+    if item is None:
+        raise HTTPException(status_code=404, detail="Item not found")
+    return item
+
+
+# Collection routes have no trailing slash: NextJS strips it before the /api proxy sees the request
+@router.get("", response_model=List[schemas.Item])
+def list_items(skip: int = 0, limit: int = 100, db: Session = Depends(get_db)):
+    return db.scalars(select(models.Item).order_by(models.Item.id).offset(skip).limit(limit)).all()
+
+
+@router.post("", response_model=schemas.Item, status_code=status.HTTP_201_CREATED)
+def create_item(payload: schemas.ItemCreate, db: Session = Depends(get_db)):
+    item = models.Item(**payload.model_dump())
+    db.add(item)
+    db.commit()
+    db.refresh(item)
+    return item
+
+
+@router.get("/{item_id}", response_model=schemas.Item)
+def read_item(item_id: int, db: Session = Depends(get_db)):
+    return get_item_or_404(item_id, db)
+
+
+@router.patch("/{item_id}", response_model=schemas.Item)
+def update_item(item_id: int, payload: schemas.ItemUpdate, db: Session = Depends(get_db)):
+    item = get_item_or_404(item_id, db)
+    for field, value in payload.model_dump(exclude_unset=True).items():
+        setattr(item, field, value)
+    db.commit()
+    db.refresh(item)
+    return item
+
+
+@router.delete("/{item_id}", status_code=status.HTTP_204_NO_CONTENT)
+def delete_item(item_id: int, db: Session = Depends(get_db)):
+    db.delete(get_item_or_404(item_id, db))
+    db.commit()
+    return Response(status_code=status.HTTP_204_NO_CONTENT)
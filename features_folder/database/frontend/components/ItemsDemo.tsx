@@ -0,0 +1,133 @@
+'use client';
+
+import { useState, useEffect, FormEvent } from 'react';
+import { ApiError } from '@/lib/api';
+import { Item, listItems, createItem, deleteItem } from '@/lib/items';
+
+export default function ItemsDemo() {
+  const [items, setItems] = useState<Item[]>([]);
+  const [name, setName] = useState<string>('');
+  const [description, setDescription] = useState<string>('');
+  const [loading, setLoading] = useState<boolean>(false);
+  const [error, setError] = useState<string>('');
+
+  // Load the stored items on component mount
+  useEffect(() => {
+    loadItems();
+  }, []);
+
+  const showError = (err: unknown, fallback: string) => {
+    setError(err instanceof ApiError ? `API Error: ${err.message}` : fallback);
+    console.error(fallback, err);
+  };
+
+  const loadItems = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      setItems(await listItems());
+    } catch (err) {
+      showError(err, 'Failed to load items');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (event: FormEvent) => {
+    event.preventDefault();
+    if (!name.trim()) {
+      setError('Please enter a name');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const item = await createItem({ name: name.trim(), description: description.trim() || null });
+      setItems((current) => [...current, item]);
+      setName('');
+      setDescription('');
+    } catch (err) {
+      showError(err, 'Failed to create item');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (id: number) => {
+    setError('');
+
+    try {
+      await deleteItem(id);
+      setItems((current) => current.filter((item) => item.id !== id));
+    } catch (err) {
+      showError(err, 'Failed to delete item');
+    }
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto mt-8 p-6 bg-white rounded-lg shadow-lg">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6 text-center">
+        Items (SQLAlchemy CRUD)
+      </h2>
+
+      {/* Error Display */}
+      {error && (
+        <div className="mb-6 p-4 bg-red-100 border border-red-400 text-red-700 rounded">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {/* Create Form */}
+      <form onSubmit={handleCreate} className="mb-8 space-y-4">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name"
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          disabled={loading}
+        />
+        <input
+          type="text"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          placeholder="Description (optional)"
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          disabled={loading}
+        />
+        <button
+          type="submit"
+          disabled={loading || !name.trim()}
+          className="w-full bg-green-500 hover:bg-green-600 disabled:bg-green-300 text-white font-medium py-3 px-4 rounded-lg transition duration-200"
+        >
+          {loading ? 'Saving...' : 'Add Item'}
+        </button>
+      </form>
+
+      {/* Item List */}
+      {items.length === 0 ? (
+        <p className="text-center text-gray-500">{loading ? 'Loading...' : 'No items yet.'}</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {items.map((item) => (
+            <li key={item.id} className="flex items-center justify-between py-3">
+              <div>
+                <p className="font-medium text-gray-900">{item.name}</p>
+                {item.description && <p className="text-sm text-gray-600">{item.description}</p>}
+              </div>
+              <button
+                onClick={() => handleDelete(item.id)}
+                className="text-sm text-red-600 hover:text-red-800"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
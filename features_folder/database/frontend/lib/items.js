@@ -0,0 +1,27 @@
+// CRUD helpers for the backend's /items resource (see backend/routers/items.py)
+import { apiCall } from './api';
+
+export async function listItems() {
+  const response = await apiCall('/items');
+  return response.data ?? [];
+}
+
+export async function createItem(input) {
+  const response = await apiCall('/items', {
+    method: 'POST',
+    body: JSON.stringify(input),
+  });
+  return response.data;
+}
+
+export async function updateItem(id, input) {
+  const response = await apiCall(`/items/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(input),
+  });
+  return response.data;
+}
+
+export async function deleteItem(id) {
+  await apiCall(`/items/${id}`, { method: 'DELETE' });
+}
@@ -0,0 +1,39 @@
+// CRUD helpers for the backend's /items resource (see backend/routers/items.py)
+import { apiCall } from './api';
+
+export interface Item {
+  id: number;
+  name: string;
+  description: string | null;
+  created_at: string;
+}
+
+export interface ItemInput {
+  name: string;
+  description?: string | null;
+}
+
+export async function listItems(): Promise<Item[]> {
+  const response = await apiCall<Item[]>('/items');
+  return response.data ?? [];
+}
+
+export async function createItem(input: ItemInput): Promise<Item> {
+  const response = await apiCall<Item>('/items', {
+    method: 'POST',
+    body: JSON.stringify(input),
+  });
+  return response.data as Item;
+}
+
+export async function updateItem(id: number, input: Partial<ItemInput>): Promise<Item> {
+  const response = await apiCall<Item>(`/items/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(input),
+  });
+  return response.data as Item;
+}
+
+export async function deleteItem(id: number): Promise<void> {
+  await apiCall(`/items/${id}`, { method: 'DELETE' });
+}
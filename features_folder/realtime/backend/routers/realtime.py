@@ -0,0 +1,78 @@
+import asyncio
+import json
+from datetime import datetime, timezone
+from typing import Optional
+
+from fastapi import APIRouter, Header, Request, WebSocket, WebSocketDisconnect, status
+from fastapi.responses import StreamingResponse
+
+from config import settings
+
+router = APIRouter(tags=["realtime"])
+
+# Ticks double as keep-alives: proxies close connections that stay silent for too long
+MAX_INTERVAL_SECONDS = 15
+
+
+def now() -> str:
+    return datetime.now(timezone.utc).isoformat()
+
+
+def sse_event(event: str, data: dict, event_id: Optional[int] = None) -> str:
+    lines = [f"event: {event}"]
+    if event_id is not None:
+        lines.append(f"id: {event_id}")
+    lines.append(f"data: {json.dumps(data)}")
+    return "\n".join(lines) + "\n\n"
+
+
+@router.get("/stream/ticks")
+async def stream_ticks(
+    request: Request,
+    interval: float = 1.0,
+    count: Optional[int] = None,
+    after: int = 0,
+    last_event_id: Optional[int] = Header(default=None),
+):
+    """Server-Sent Events: a `tick` event every `interval` seconds (forever, or
+    `count` times). A reconnecting client sends the Last-Event-ID header (or
+    ?after=) and continues after the last tick it received."""
+    start = last_event_id if last_event_id is not None else after
+    interval = min(max(interval, 0.05), MAX_INTERVAL_SECONDS)
+
+    async def events():
+        # Tells EventSource how long to wait before reconnecting on its own
+        yield "retry: 2000\n\n"
+        tick = start
+        while count is None or tick < start + count:
+            if tick > start:
+                await asyncio.sleep(interval)
+            if await request.is_disconnected():
+                break
+            tick += 1
+            yield sse_event("tick", {"tick": tick, "time": now()}, event_id=tick)
+
+    return StreamingResponse(
+        events(),
+        media_type="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
+
+
+@router.websocket("/ws/echo")
+async def websocket_echo(websocket: WebSocket):
+    """WebSocket: echoes every text message back as JSON. CORS does not apply
+    to WebSockets, so browsers from other origins are turned away here."""
+    origin = websocket.headers.get("origin")
+    if origin is not None and origin != settings.allowed_url:
+        await websocket.close(code=status.WS_1008_POLICY_VIOLATION)
+        return
+
+    await websocket.accept()
+    await websocket.send_json({"type": "welcome", "message": "Connected to the Python backend", "time": now()})
+    try:
+        while True:
+            message = await websocket.receive_text()
+            await websocket.send_json({"type": "echo", "message": message, "time": now()})
+    except WebSocketDisconnect:
+        pass
@@ -0,0 +1,47 @@
+import json
+
+import pytest
+from fastapi.testclient import TestClient
+from starlette.websockets import WebSocketDisconnect
+
+from app import app
+
+client = TestClient(app)
+
+
+def read_events(text):
+    events = []
+    for block in text.strip().split("\n\n"):
+        fields = dict(line.split(": ", 1) for line in block.splitlines() if not line.startswith("retry"))
+        if fields:
+            events.append(fields)
+    return events
+
+
+def test_stream_ticks_sends_numbered_events():
+    response = client.get("/stream/ticks", params={"count": 2, "interval": 0.05})
+
+    assert response.status_code == 200
+    assert response.headers["content-type"].startswith("text/event-stream")
+    events = read_events(response.text)
+    assert [event["id"] for event in events] == ["1", "2"]
+    assert [json.loads(event["data"])["tick"] for event in events] == [1, 2]
+
+
+def test_stream_ticks_resumes_after_the_last_event_id():
+    response = client.get("/stream/ticks", params={"count": 1, "interval": 0.05}, headers={"Last-Event-ID": "41"})
+
+    assert [event["id"] for event in read_events(response.text)] == ["42"]
+
+
+def test_websocket_echoes_messages():
+    with client.websocket_connect("/ws/echo") as websocket:
+        assert websocket.receive_json()["type"] == "welcome"
+        websocket.send_text("hello")
+        assert websocket.receive_json()["message"] == "hello"
+
+
+def test_websocket_rejects_other_origins():
+    with pytest.raises(WebSocketDisconnect):
+        with client.websocket_connect("/ws/echo", headers={"Origin": "http://evil.example"}) as websocket:
+            websocket.receive_json()
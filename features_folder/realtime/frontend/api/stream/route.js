@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { serverConfig } from '@/lib/config';
+
+// Relays Server-Sent Events from the Python backend: /api/stream/ticks -> ${BACKEND_URL}/stream/ticks.
+// Unlike the catch-all /api proxy there is no timeout, and nothing is buffered or cached on the way.
+const { BACKEND_URL } = serverConfig;
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  const target = `${BACKEND_URL}${request.nextUrl.pathname.replace(/^\/api/, '')}${request.nextUrl.search}`;
+
+  const headers = { accept: 'text/event-stream' };
+  const lastEventId = request.headers.get('last-event-id');
+  if (lastEventId) {
+    headers['last-event-id'] = lastEventId;
+  }
+
+  // Closing the browser's EventSource ends the backend stream too
+  const controller = new AbortController();
+  request.signal.addEventListener('abort', () => controller.abort());
+
+  let response;
+  try {
+    response = await fetch(target, { headers, signal: controller.signal, cache: 'no-store' });
+  } catch (error) {
+    console.error(`Stream error for ${target}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to connect to backend', message: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 502 }
+    );
+  }
+
+  if (!response.ok || !response.body) {
+    return new Response(response.body, { status: response.status, headers: { 'content-type': response.headers.get('content-type') || 'text/plain' } });
+  }
+
+  return new Response(response.body, {
+    headers: {
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-cache, no-transform',
+      'x-accel-buffering': 'no',
+    },
+  });
+}
@@ -0,0 +1,87 @@
+'use client';
+
+import { useState } from 'react';
+import { useBackendStream } from '@/lib/useBackendStream';
+
+const STATUS_STYLES = {
+  connecting: 'bg-yellow-100 text-yellow-800',
+  open: 'bg-green-100 text-green-800',
+  reconnecting: 'bg-orange-100 text-orange-800',
+  closed: 'bg-gray-100 text-gray-700',
+};
+
+function StatusBadge({ status, attempts }) {
+  return (
+    <span className={`px-2 py-1 text-xs font-medium rounded ${STATUS_STYLES[status]}`}>
+      {status}{status === 'reconnecting' && attempts > 0 ? ` (attempt ${attempts})` : ''}
+    </span>
+  );
+}
+
+export default function RealtimeDemo() {
+  const ticks = useBackendStream('/stream/ticks', { events: ['tick'], maxMessages: 1 });
+  const echo = useBackendStream('/ws/echo', { transport: 'websocket', maxMessages: 5 });
+  const [message, setMessage] = useState('');
+
+  const handleSend = (event) => {
+    event.preventDefault();
+    if (message.trim() && echo.send(message.trim())) {
+      setMessage('');
+    }
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto mt-8 p-6 bg-white rounded-lg shadow-lg">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6 text-center">
+        Live Updates (SSE + WebSocket)
+      </h2>
+
+      {/* Server-Sent Events */}
+      <div className="mb-8">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-semibold text-gray-900">Server-Sent Events: /api/stream/ticks</h3>
+          <StatusBadge status={ticks.status} attempts={ticks.attempts} />
+        </div>
+        <p className="text-4xl font-mono text-center text-blue-600 py-4">
+          {ticks.lastMessage ? ticks.lastMessage.tick : '-'}
+        </p>
+        {ticks.error && ticks.status !== 'open' && (
+          <p className="text-sm text-red-600 text-center">{ticks.error} - retrying...</p>
+        )}
+      </div>
+
+      {/* WebSocket */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-semibold text-gray-900">WebSocket: /ws/echo</h3>
+          <StatusBadge status={echo.status} attempts={echo.attempts} />
+        </div>
+        <form onSubmit={handleSend} className="flex gap-2 mb-4">
+          <input
+            type="text"
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Say something to the backend"
+            className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            disabled={echo.status !== 'open'}
+          />
+          <button
+            type="submit"
+            disabled={echo.status !== 'open' || !message.trim()}
+            className="bg-blue-500 hover:bg-blue-600 disabled:bg-blue-300 text-white font-medium py-3 px-4 rounded-lg transition duration-200"
+          >
+            Send
+          </button>
+        </form>
+        <ul className="space-y-1 text-sm">
+          {echo.messages.map((item, index) => (
+            <li key={`${item.time}-${index}`} className="text-gray-700">
+              <span className="text-gray-400 font-mono">{new Date(item.time).toLocaleTimeString()}</span>{' '}
+              {item.message}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
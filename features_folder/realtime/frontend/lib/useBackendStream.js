@@ -0,0 +1,151 @@
+'use client';
+
+// Live updates from the Python backend over Server-Sent Events (through the
+// /api/stream relay route) or a WebSocket (straight to the backend), with
+// reconnects that back off exponentially. See backend/routers/realtime.py.
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { API_BASE_URL } from './api';
+import { publicConfig } from './config';
+
+// WebSockets cannot go through NextJS route handlers, so the browser connects to the backend itself
+export const WS_BASE_URL = publicConfig.NEXT_PUBLIC_BACKEND_WS_URL;
+
+function parse(data) {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+/**
+ * Subscribes to `path` on the backend (e.g. '/stream/ticks' or '/ws/echo')
+ * while the component is mounted.
+ *
+ * Options (all optional):
+ *   transport     - 'sse' (default) for server -> browser streams, 'websocket' to also send messages
+ *   events        - SSE event names to listen for (default: the unnamed 'message' event)
+ *   maxMessages   - how many messages to keep in `messages` (default 50)
+ *   retryDelay    - first reconnect delay in ms, doubled after every failed attempt (default 1000)
+ *   maxRetryDelay - longest reconnect delay in ms (default 15000)
+ *   enabled       - set to false to stay disconnected
+ *
+ * Returns { messages, lastMessage, status ('connecting' | 'open' | 'reconnecting' | 'closed'),
+ * error, attempts (failed attempts since the last successful one), send (WebSocket only;
+ * false when it is not open), reconnect }.
+ */
+export function useBackendStream(path, options = {}) {
+  const {
+    transport = 'sse',
+    events = ['message'],
+    maxMessages = 50,
+    retryDelay = 1000,
+    maxRetryDelay = 15000,
+    enabled = true,
+  } = options;
+  const eventNames = events.join(',');
+
+  const [messages, setMessages] = useState([]);
+  const [status, setStatus] = useState(enabled ? 'connecting' : 'closed');
+  const [error, setError] = useState('');
+  const [attempts, setAttempts] = useState(0);
+  const [generation, setGeneration] = useState(0);
+  const socketRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      setStatus('closed');
+      return;
+    }
+
+    let stopped = false;
+    let failures = 0;
+    let timer;
+    let lastEventId = '';
+    let source = null;
+
+    const receive = (data) => {
+      setMessages((current) => [...current, parse(data)].slice(-maxMessages));
+    };
+
+    const opened = () => {
+      failures = 0;
+      setAttempts(0);
+      setError('');
+      setStatus('open');
+    };
+
+    const retry = (reason) => {
+      if (stopped) return;
+      failures += 1;
+      setAttempts(failures);
+      setError(reason);
+      setStatus('reconnecting');
+      // Jittered, so many tabs do not all reconnect at once after a backend restart
+      const delay = Math.min(retryDelay * 2 ** (failures - 1), maxRetryDelay);
+      timer = setTimeout(connect, delay / 2 + Math.random() * (delay / 2));
+    };
+
+    function connect() {
+      if (stopped) return;
+      setStatus(failures > 0 ? 'reconnecting' : 'connecting');
+
+      if (transport === 'websocket') {
+        const socket = new WebSocket(`${WS_BASE_URL}${path}`);
+        socketRef.current = socket;
+        socket.onopen = opened;
+        socket.onmessage = (event) => receive(event.data);
+        socket.onclose = (event) => {
+          if (socketRef.current === socket) socketRef.current = null;
+          retry(event.reason || `Connection closed (code ${event.code})`);
+        };
+        return;
+      }
+
+      // EventSource reconnects on its own, but gives up on HTTP errors; handling
+      // every error here keeps one backoff for both cases. ?after= resumes the stream.
+      const separator = path.includes('?') ? '&' : '?';
+      source = new EventSource(`${API_BASE_URL}${path}${lastEventId ? `${separator}after=${encodeURIComponent(lastEventId)}` : ''}`);
+      source.onopen = opened;
+      source.onerror = () => {
+        source?.close();
+        retry('Lost the connection to the backend');
+      };
+      eventNames.split(',').forEach((name) => {
+        source?.addEventListener(name, (event) => {
+          if (event.lastEventId) lastEventId = event.lastEventId;
+          receive(event.data);
+        });
+      });
+    }
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      source?.close();
+      socketRef.current?.close();
+      socketRef.current = null;
+    };
+  }, [path, transport, eventNames, maxMessages, retryDelay, maxRetryDelay, enabled, generation]);
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+    socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    return true;
+  }, []);
+
+  const reconnect = useCallback(() => setGeneration((current) => current + 1), []);
+
+  return {
+    messages,
+    lastMessage: messages.length > 0 ? messages[messages.length - 1] : null,
+    status,
+    error,
+    attempts,
+    send,
+    reconnect,
+  };
+}
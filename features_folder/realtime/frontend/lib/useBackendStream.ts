@@ -0,0 +1,171 @@
+'use client';
+
+// Live updates from the Python backend over Server-Sent Events (through the
+// /api/stream relay route) or a WebSocket (straight to the backend), with
+// reconnects that back off exponentially. See backend/routers/realtime.py.
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { API_BASE_URL } from './api';
+import { publicConfig } from './config';
+
+export type StreamTransport = 'sse' | 'websocket';
+export type StreamStatus = 'connecting' | 'open' | 'reconnecting' | 'closed';
+
+export interface BackendStreamOptions {
+  /** 'sse' (default) for server -> browser streams, 'websocket' to also send messages */
+  transport?: StreamTransport;
+  /** SSE event names to listen for (default: the unnamed 'message' event) */
+  events?: string[];
+  /** How many messages to keep in `messages` (default 50) */
+  maxMessages?: number;
+  /** First reconnect delay in ms, doubled after every failed attempt (default 1000) */
+  retryDelay?: number;
+  /** Longest reconnect delay in ms (default 15000) */
+  maxRetryDelay?: number;
+  /** Set to false to stay disconnected */
+  enabled?: boolean;
+}
+
+export interface BackendStream<T> {
+  messages: T[];
+  lastMessage: T | null;
+  status: StreamStatus;
+  error: string;
+  /** Failed connection attempts since the last successful one */
+  attempts: number;
+  /** Sends a message over the WebSocket; false when it is not open (or with SSE) */
+  send: (message: string | object) => boolean;
+  /** Drops the connection and connects again right away */
+  reconnect: () => void;
+}
+
+// WebSockets cannot go through NextJS route handlers, so the browser connects to the backend itself
+export const WS_BASE_URL: string = publicConfig.NEXT_PUBLIC_BACKEND_WS_URL;
+
+function parse<T>(data: string): T {
+  try {
+    return JSON.parse(data) as T;
+  } catch {
+    return data as unknown as T;
+  }
+}
+
+/**
+ * Subscribes to `path` on the backend (e.g. '/stream/ticks' or '/ws/echo')
+ * while the component is mounted.
+ */
+export function useBackendStream<T = unknown>(path: string, options: BackendStreamOptions = {}): BackendStream<T> {
+  const {
+    transport = 'sse',
+    events = ['message'],
+    maxMessages = 50,
+    retryDelay = 1000,
+    maxRetryDelay = 15000,
+    enabled = true,
+  } = options;
+  const eventNames = events.join(',');
+
+  const [messages, setMessages] = useState<T[]>([]);
+  const [status, setStatus] = useState<StreamStatus>(enabled ? 'connecting' : 'closed');
+  const [error, setError] = useState<string>('');
+  const [attempts, setAttempts] = useState<number>(0);
+  const [generation, setGeneration] = useState<number>(0);
+  const socketRef = useRef<WebSocket | null>(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      setStatus('closed');
+      return;
+    }
+
+    let stopped = false;
+    let failures = 0;
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    let lastEventId = '';
+    let source: EventSource | null = null;
+
+    const receive = (data: string) => {
+      setMessages((current) => [...current, parse<T>(data)].slice(-maxMessages));
+    };
+
+    const opened = () => {
+      failures = 0;
+      setAttempts(0);
+      setError('');
+      setStatus('open');
+    };
+
+    const retry = (reason: string) => {
+      if (stopped) return;
+      failures += 1;
+      setAttempts(failures);
+      setError(reason);
+      setStatus('reconnecting');
+      // Jittered, so many tabs do not all reconnect at once after a backend restart
+      const delay = Math.min(retryDelay * 2 ** (failures - 1), maxRetryDelay);
+      timer = setTimeout(connect, delay / 2 + Math.random() * (delay / 2));
+    };
+
+    function connect() {
+      if (stopped) return;
+      setStatus(failures > 0 ? 'reconnecting' : 'connecting');
+
+      if (transport === 'websocket') {
+        const socket = new WebSocket(`${WS_BASE_URL}${path}`);
+        socketRef.current = socket;
+        socket.onopen = opened;
+        socket.onmessage = (event) => receive(event.data);
+        socket.onclose = (event) => {
+          if (socketRef.current === socket) socketRef.current = null;
+          retry(event.reason || `Connection closed (code ${event.code})`);
+        };
+        return;
+      }
+
+      // EventSource reconnects on its own, but gives up on HTTP errors; handling
+      // every error here keeps one backoff for both cases. ?after= resumes the stream.
+      const separator = path.includes('?') ? '&' : '?';
+      source = new EventSource(`${API_BASE_URL}${path}${lastEventId ? `${separator}after=${encodeURIComponent(lastEventId)}` : ''}`);
+      source.onopen = opened;
+      source.onerror = () => {
+        source?.close();
+        retry('Lost the connection to the backend');
+      };
+      eventNames.split(',').forEach((name) => {
+        source?.addEventListener(name, (event) => {
+          const message = event as MessageEvent<string>;
+          if (message.lastEventId) lastEventId = message.lastEventId;
+          receive(message.data);
+        });
+      });
+    }
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      source?.close();
+      socketRef.current?.close();
+      socketRef.current = null;
+    };
+  }, [path, transport, eventNames, maxMessages, retryDelay, maxRetryDelay, enabled, generation]);
+
+  const send = useCallback((message: string | object) => {
+    const socket = socketRef.current;
+    if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+    socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    return true;
+  }, []);
+
+  const reconnect = useCallback(() => setGeneration((current) => current + 1), []);
+
+  return {
+    messages,
+    lastMessage: messages.length > 0 ? messages[messages.length - 1] : null,
+    status,
+    error,
+    attempts,
+    send,
+    reconnect,
+  };
+}
@@ -0,0 +1,95 @@
+import { NextResponse } from 'next/server';
+import { serverConfig } from '@/lib/config';
+
+// Forwards every /api/* request to the Python backend: /api/items/1?q=x -> ${BACKEND_URL}/items/1?q=x.
+// BACKEND_TIMEOUT_MS is how long to wait for the backend to start responding; streaming bodies are not cut off.
+const { BACKEND_URL, BACKEND_TIMEOUT_MS } = serverConfig;
+
+// Connection-level headers that must not be forwarded in either direction
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'host',
+];
+
+// fetch() already decoded the body, so its original encoding and length no longer apply
+const STALE_RESPONSE_HEADERS = ['content-encoding', 'content-length'];
+
+export const dynamic = 'force-dynamic';
+
+async function proxy(request) {
+  const backendPath = request.nextUrl.pathname.replace(/^\/api/, '') || '/';
+  const target = `${BACKEND_URL}${backendPath}${request.nextUrl.search}`;
+
+  const headers = new Headers(request.headers);
+  HOP_BY_HOP_HEADERS.forEach((name) => headers.delete(name));
+  headers.set('x-forwarded-host', request.headers.get('host') || request.nextUrl.host);
+  headers.set('x-forwarded-proto', request.nextUrl.protocol.replace(/:$/, ''));
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error('timeout')), BACKEND_TIMEOUT_MS);
+  // Stop the backend request when the browser goes away
+  request.signal.addEventListener('abort', () => controller.abort());
+
+  const hasBody = !['GET', 'HEAD'].includes(request.method);
+
+  let response;
+  try {
+    response = await fetch(target, {
+      method: request.method,
+      headers,
+      body: hasBody ? request.body : undefined,
+      redirect: 'manual',
+      signal: controller.signal,
+      // Required by Node's fetch to stream a request body
+      ...(hasBody ? { duplex: 'half' } : {}),
+    });
+  } catch (error) {
+    const timedOut = controller.signal.reason instanceof Error && controller.signal.reason.message === 'timeout';
+    console.error(`Proxy error for ${request.method} ${target}:`, error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: timedOut ? 'Backend timed out' : 'Failed to connect to backend',
+        message: timedOut
+          ? `No response from ${BACKEND_URL} within ${BACKEND_TIMEOUT_MS}ms`
+          : error instanceof Error ? error.message : 'Unknown error',
+      },
+      { status: timedOut ? 504 : 502 }
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const responseHeaders = new Headers(response.headers);
+  [...HOP_BY_HOP_HEADERS, ...STALE_RESPONSE_HEADERS].forEach((name) => responseHeaders.delete(name));
+
+  // Keep backend redirects (e.g. FastAPI's trailing-slash redirect) inside /api
+  const location = responseHeaders.get('location');
+  if (location?.startsWith(BACKEND_URL)) {
+    responseHeaders.set('location', `/api${location.slice(BACKEND_URL.length)}`);
+  }
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: responseHeaders,
+  });
+}
+
+export {
+  proxy as GET,
+  proxy as POST,
+  proxy as PUT,
+  proxy as PATCH,
+  proxy as DELETE,
+  proxy as HEAD,
+  proxy as OPTIONS,
+};
@@ -1,69 +0,0 @@
-import { NextRequest, NextResponse } from 'next/server';
-
-const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:8000';
-
-export async function GET() {
-  try {
-    const response = await fetch(`${BACKEND_URL}/`);
-    
-    if (!response.ok) {
-      throw new Error(`Backend responded with status: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    return NextResponse.json({
-      success: true,
-      data: data,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error connecting to backend:', error);
-    
-    return NextResponse.json(
-      { 
-        success: false, 
-        error: 'Failed to connect to backend',
-        message: error instanceof Error ? error.message : 'Unknown error'
-      },
-      { status: 500 }
-    );
-  }
-}
-
-export async function POST(request: NextRequest) {
-  try {
-    const body = await request.json();
-    
-    const response = await fetch(`${BACKEND_URL}/`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(body),
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Backend responded with status: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    return NextResponse.json({
-      success: true,
-      data: data,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error sending data to backend:', error);
-    
-    return NextResponse.json(
-      { 
-        success: false, 
-        error: 'Failed to send data to backend',
-        message: error instanceof Error ? error.message : 'Unknown error'
-      },
-      { status: 500 }
-    );
-  }
-}
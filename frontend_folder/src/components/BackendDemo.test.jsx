@@ -0,0 +1,61 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import BackendDemo from './BackendDemo';
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+describe('BackendDemo', () => {
+  beforeEach(() => {
+    // The component logs failed requests; keep the test output clean
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('shows the backend message on load', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(jsonResponse({ message: 'Hello from Python' })));
+
+    render(<BackendDemo />);
+
+    expect(await screen.findByText('Hello from Python')).toBeInTheDocument();
+  });
+
+  it('sends the entered data and shows the response', async () => {
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(jsonResponse({ message: 'Hello from Python' }))
+      .mockResolvedValueOnce(jsonResponse({ message: 'Got your data' }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    render(<BackendDemo />);
+    await screen.findByText('Hello from Python');
+
+    fireEvent.change(screen.getByPlaceholderText('Enter data to send to backend...'), {
+      target: { value: 'ping' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Send Data to Backend' }));
+
+    expect(await screen.findByText('Got your data')).toBeInTheDocument();
+    expect(fetchMock).toHaveBeenLastCalledWith('/api', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ data: 'ping' }),
+    }));
+  });
+
+  it('shows the error when the backend is unreachable', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(
+      jsonResponse({ success: false, error: 'Failed to connect to backend' }, 502)
+    ));
+
+    render(<BackendDemo />);
+
+    expect(await screen.findByText('API Error: Failed to connect to backend')).toBeInTheDocument();
+  });
+});
@@ -141,15 +141,15 @@ export default function BackendDemo() {
         <h3 className="font-semibold text-gray-900 mb-3">Setup Instructions:</h3>
         <ol className="list-decimal list-inside space-y-1 text-sm text-gray-700">
           <li>Start your Python backend: <code className="bg-gray-200 px-1 rounded text-xs">uvicorn app:app --reload</code></li>
-          <li>Ensure backend runs on <code className="bg-gray-200 px-1 rounded text-xs">http://localhost:8000</code></li>
+          <li>Ensure backend runs on <code className="bg-gray-200 px-1 rounded text-xs">http://localhost:{{backendPort}}</code></li>
           <li>Start NextJS frontend: <code className="bg-gray-200 px-1 rounded text-xs">npm run dev</code></li>
-          <li>Open browser at <code className="bg-gray-200 px-1 rounded text-xs">http://localhost:3000</code></li>
+          <li>Open browser at <code className="bg-gray-200 px-1 rounded text-xs">http://localhost:{{frontendPort}}</code></li>
         </ol>
         
         <div className="mt-3 pt-3 border-t border-gray-300">
           <p className="text-xs text-gray-600">
-            <strong>Note:</strong> All requests go through NextJS API routes at <code>/api/backend</code> 
-            which then communicate with the Python backend. Check the browser&apos;s Network tab to see the API calls.
+            <strong>Note:</strong> All requests go through the NextJS API proxy at <code>/api</code>,
+            which forwards them to the same path on the Python backend. Check the browser&apos;s Network tab to see the API calls.
           </p>
         </div>
       </div>
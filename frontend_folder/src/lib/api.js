@@ -1,4 +1,8 @@
 // API utility functions for communicating with NextJS API routes
+import { publicConfig } from './config';
+
+// Every /api/* request is proxied to the same path on the Python backend
+export const API_BASE_URL = publicConfig.NEXT_PUBLIC_API_URL;
 
 export class ApiError extends Error {
   constructor(message, status) {
@@ -9,84 +13,60 @@ export class ApiError extends Error {
 }
 
 /**
- * Makes a GET request to the NextJS API route which forwards to Python backend
+ * Reads the error message from a backend or proxy error body
+ * (FastAPI uses `detail`, the NextJS proxy uses `error`)
  */
-export async function fetchFromBackend() {
-  try {
-    const response = await fetch('/api/backend', {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-
-    const data = await response.json();
-
-    if (!response.ok) {
-      throw new ApiError(data.error || 'Failed to fetch data', response.status);
-    }
-
-    return data;
-  } catch (error) {
-    if (error instanceof ApiError) {
-      throw error;
-    }
-    throw new ApiError('Network error or server unavailable');
-  }
+function errorMessage(data, fallback) {
+  if (typeof data?.detail === 'string') return data.detail;
+  if (data?.detail) return JSON.stringify(data.detail);
+  return data?.error || fallback;
 }
 
 /**
- * Makes a POST request to the NextJS API route which forwards to Python backend
+ * Generic API call function. `endpoint` is a backend path such as `/items/1`.
+ * The backend's JSON is wrapped in an ApiResponse.
  */
-export async function sendToBackend(payload) {
+export async function apiCall(endpoint, options = {}) {
+  let response;
   try {
-    const response = await fetch('/api/backend', {
-      method: 'POST',
+    // NextJS redirects trailing slashes away, so /api/ is requested as /api
+    response = await fetch(`${API_BASE_URL}${endpoint}`.replace(/\/$/, ''), {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...options.headers,
       },
-      body: JSON.stringify(payload),
     });
+  } catch {
+    throw new ApiError('Network error or server unavailable');
+  }
 
-    const data = await response.json();
-
-    if (!response.ok) {
-      throw new ApiError(data.error || 'Failed to send data', response.status);
-    }
+  const data = await response.json().catch(() => null);
 
-    return data;
-  } catch (error) {
-    if (error instanceof ApiError) {
-      throw error;
-    }
-    throw new ApiError('Network error or server unavailable');
+  if (!response.ok) {
+    throw new ApiError(errorMessage(data, 'API call failed'), response.status);
   }
+
+  return {
+    success: true,
+    data,
+    timestamp: new Date().toISOString(),
+  };
 }
 
 /**
- * Generic API call function
+ * Makes a GET request to the backend root endpoint through the NextJS API proxy
  */
-export async function apiCall(endpoint, options = {}) {
-  try {
-    const response = await fetch(endpoint, {
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers,
-      },
-      ...options,
-    });
-
-    const data = await response.json();
-
-    if (!response.ok) {
-      throw new ApiError(data.error || 'API call failed', response.status);
-    }
+export async function fetchFromBackend() {
+  return apiCall('/', { method: 'GET' });
+}
 
-    return data;
-  } catch (error) {
-    if (error instanceof ApiError) {
-      throw error;
-    }
-    throw new ApiError('Network error or server unavailable');
-  }
+/**
+ * Makes a POST request to the backend root endpoint through the NextJS API proxy
+ */
+export async function sendToBackend(payload) {
+  return apiCall('/', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
 }
@@ -0,0 +1,80 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { ApiError, apiCall, fetchFromBackend, sendToBackend } from './api';
+
+// Replaces fetch with a mock that answers every request with `body` as JSON
+function mockFetch(body, status = 200) {
+  const fetchMock = vi.fn().mockResolvedValue(
+    new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json' },
+    })
+  );
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('apiCall', () => {
+  it('requests the backend path through the /api proxy', async () => {
+    const fetchMock = mockFetch({ id: 1 });
+
+    const response = await apiCall('/items/1');
+
+    expect(fetchMock).toHaveBeenCalledWith('/api/items/1', {
+      headers: { 'Content-Type': 'application/json' },
+    });
+    expect(response).toMatchObject({ success: true, data: { id: 1 } });
+  });
+
+  it('throws an ApiError with the message from a FastAPI error', async () => {
+    mockFetch({ detail: 'Item not found' }, 404);
+
+    await expect(apiCall('/items/2')).rejects.toMatchObject({
+      name: 'ApiError',
+      message: 'Item not found',
+      status: 404,
+    });
+  });
+
+  it('throws an ApiError with the message from a proxy error', async () => {
+    mockFetch({ success: false, error: 'Failed to connect to backend' }, 502);
+
+    await expect(apiCall('/')).rejects.toMatchObject({
+      message: 'Failed to connect to backend',
+      status: 502,
+    });
+  });
+
+  it('throws an ApiError when the request fails', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('fetch failed')));
+
+    await expect(apiCall('/')).rejects.toBeInstanceOf(ApiError);
+  });
+});
+
+describe('fetchFromBackend', () => {
+  it('sends a GET request to the backend root', async () => {
+    const fetchMock = mockFetch({ message: 'hello' });
+
+    const response = await fetchFromBackend();
+
+    expect(fetchMock).toHaveBeenCalledWith('/api', expect.objectContaining({ method: 'GET' }));
+    expect(response.data).toEqual({ message: 'hello' });
+  });
+});
+
+describe('sendToBackend', () => {
+  it('posts the payload as JSON', async () => {
+    const fetchMock = mockFetch({ message: 'received' });
+
+    await sendToBackend({ data: 'hello' });
+
+    expect(fetchMock).toHaveBeenCalledWith('/api', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ data: 'hello' }),
+    }));
+  });
+});
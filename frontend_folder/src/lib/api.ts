@@ -1,4 +1,8 @@
 // API utility functions for communicating with NextJS API routes
+import { publicConfig } from './config';
+
+// Every /api/* request is proxied to the same path on the Python backend
+export const API_BASE_URL: string = publicConfig.NEXT_PUBLIC_API_URL;
 
 export interface ApiResponse<T = any> {
   success: boolean;
@@ -16,87 +20,63 @@ export class ApiError extends Error {
 }
 
 /**
- * Makes a GET request to the NextJS API route which forwards to Python backend
- */
-export async function fetchFromBackend(): Promise<ApiResponse> {
-  try {
-    const response = await fetch('/api/backend', {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-
-    const data: ApiResponse = await response.json();
-
-    if (!response.ok) {
-      throw new ApiError(data.error || 'Failed to fetch data', response.status);
-    }
-
-    return data;
-  } catch (error) {
-    if (error instanceof ApiError) {
-      throw error;
-    }
-    throw new ApiError('Network error or server unavailable');
-  }
-}
-
-/**
- * Makes a POST request to the NextJS API route which forwards to Python backend
+ * Reads the error message from a backend or proxy error body
+ * (FastAPI uses `detail`, the NextJS proxy uses `error`)
  */
-export async function sendToBackend(payload: any): Promise<ApiResponse> {
-  try {
-    const response = await fetch('/api/backend', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
-
-    const data: ApiResponse = await response.json();
-
-    if (!response.ok) {
-      throw new ApiError(data.error || 'Failed to send data', response.status);
-    }
-
-    return data;
-  } catch (error) {
-    if (error instanceof ApiError) {
-      throw error;
-    }
-    throw new ApiError('Network error or server unavailable');
-  }
+function errorMessage(data: { detail?: unknown; error?: string } | null, fallback: string): string {
+  if (typeof data?.detail === 'string') return data.detail;
+  if (data?.detail) return JSON.stringify(data.detail);
+  return data?.error || fallback;
 }
 
 /**
- * Generic API call function
+ * Generic API call function. `endpoint` is a backend path such as `/items/1`.
+ * The backend's JSON is wrapped in an ApiResponse.
  */
 export async function apiCall<T = any>(
   endpoint: string,
   options: RequestInit = {}
 ): Promise<ApiResponse<T>> {
+  let response: Response;
   try {
-    const response = await fetch(endpoint, {
+    // NextJS redirects trailing slashes away, so /api/ is requested as /api
+    response = await fetch(`${API_BASE_URL}${endpoint}`.replace(/\/$/, ''), {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         ...options.headers,
       },
-      ...options,
     });
+  } catch {
+    throw new ApiError('Network error or server unavailable');
+  }
 
-    const data: ApiResponse<T> = await response.json();
-
-    if (!response.ok) {
-      throw new ApiError(data.error || 'API call failed', response.status);
-    }
+  const data = await response.json().catch(() => null);
 
-    return data;
-  } catch (error) {
-    if (error instanceof ApiError) {
-      throw error;
-    }
-    throw new ApiError('Network error or server unavailable');
+  if (!response.ok) {
+    throw new ApiError(errorMessage(data, 'API call failed'), response.status);
   }
+
+  return {
+    success: true,
+    data,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Makes a GET request to the backend root endpoint through the NextJS API proxy
+ */
+export async function fetchFromBackend(): Promise<ApiResponse> {
+  return apiCall('/', { method: 'GET' });
+}
+
+/**
+ * Makes a POST request to the backend root endpoint through the NextJS API proxy
+ */
+export async function sendToBackend(payload: any): Promise<ApiResponse> {
+  return apiCall('/', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
 }
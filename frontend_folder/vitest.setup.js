@@ -0,0 +1,8 @@
+import '@testing-library/jest-dom/vitest';
+import { cleanup } from '@testing-library/react';
+import { afterEach } from 'vitest';
+
+// Testing Library only unmounts rendered components by itself when test globals are enabled
+afterEach(() => {
+  cleanup();
+});
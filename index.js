@@ -7,27 +7,61 @@ import ora from 'ora';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import npm from 'npm-programmatic';
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import os from 'os';
+import { PYTHON_MANAGERS } from './src/python-managers.js';
+import { PACKAGE_MANAGERS, detectPackageManager } from './src/package-managers.js';
+import { BACKEND_FRAMEWORKS } from './src/backend-frameworks.js';
+import { CONFIG_FILE_NAME, DEFAULTS, PRESETS, checkProjectName, resolveOptions } from './src/config.js';
+import { generateClient, loadOpenApiSpec, readEnvFile, resolveClientTarget } from './src/generate-client.js';
+import { FEATURES, applyPlan, findProject, planFeature, selectFeatures, supportedBackends } from './src/features/index.js';
+import { createProjectStructure } from './src/create-project.js';
+import { runDoctor } from './src/doctor.js';
+import { runDev } from './src/dev.js';
+import { ENV_SCHEMA, checkEnv } from './src/env.js';
+import { applyUpgrade, planUpgrade } from './src/upgrade.js';
+import { DEFAULT_PORTS, TEMPLATE_MANIFEST, prepareTemplate } from './src/templates.js';
 
-const execAsync = promisify(exec);
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const cliPackageJson = JSON.parse(await fs.readFile(fileURLToPath(new URL('./package.json', import.meta.url)), 'utf8'));
 
-// Detect operating system
-const isWindows = os.platform() === 'win32';
-
-console.log(chalk.cyan(figlet.textSync('NextPy')));
+// Machine-readable output has to stay parseable, and --silent means silent
+if (!process.argv.includes('--json') && !process.argv.includes('--silent')) {
+    console.log(chalk.cyan(figlet.textSync('NextPy')));
+}
 
 program
     .name('create-nextpy-app')
     .description('CLI tool to generate nextjs frontend with python backend')
-    .version('1.0.0')
+    .version(cliPackageJson.version)
+    // Options after a subcommand name belong to the subcommand (generate-client -l ...)
+    .enablePositionalOptions()
     .option('-p, --project <name>', 'Specify project name')
     .option('-l, --language <type>', 'Specify language (JavaScript, TypeScript)')
     .option('-t, --tailwind <type>', 'Specify whether to use tailwind')
+    .option('-b, --backend <framework>', 'Specify Python backend framework (fastapi, flask, django)')
+    .option('--python-manager <manager>', 'Specify Python environment manager (venv, uv, poetry, pipenv)')
+    .option('--package-manager <manager>', 'Specify JavaScript package manager (npm, pnpm, yarn, bun); defaults to the one running the CLI')
+    .option('--backend-port <port>', `Port the Python backend listens on (default: ${DEFAULT_PORTS.backend})`, Number)
+    .option('--frontend-port <port>', `Port the NextJS frontend listens on (default: ${DEFAULT_PORTS.frontend})`, Number)
+    .option('--python <path>', 'Python interpreter to use instead of auto-detecting one')
+    .option('--min-python <version>', 'Minimum accepted Python version (defaults to the backend framework\'s minimum)')
+    .option('--docker', 'Add Dockerfiles and a docker-compose.yml')
+    .option('--no-docker', 'Do not add Docker support (skips the prompt)')
+    .option('--database <type>', 'Add SQLAlchemy models, migrations and a CRUD example (none, sqlite, postgres; FastAPI only)')
+    .option('--auth', 'Add JWT signup/login with an httpOnly session cookie (needs --database)')
+    .option('--no-auth', 'Do not add authentication (skips the prompt)')
+    .option('--realtime', 'Add WebSocket and Server-Sent Events endpoints with a useBackendStream hook (FastAPI only)')
+    .option('--no-realtime', 'Do not add real-time endpoints (skips the prompt)')
+    .option('--template <source>', `Apply a custom template (directory, git URL or npm package with a ${TEMPLATE_MANIFEST})`)
+    .option('--template-var <name=value>', 'Value for a template placeholder (repeatable)', (value, previous = []) => [...previous, value])
     .option('-f, --force', 'Force overwrite of existing files without prompting')
+    .option('--dry-run', 'Print the planned file tree and commands without writing anything')
+    .option('--offline', 'Write all files from the bundled NextJS skeleton and skip every install step')
+    .option('--skip-install', 'Alias for --offline: generate the project now, install dependencies later')
+    .option('--keep-on-error', 'Leave a partially created project in place when a step fails (for debugging)')
+    .option('-c, --config <file>', `Read answers from a JSON config file (default: ./${CONFIG_FILE_NAME} if present)`)
+    .option('--preset <name>', `Use a named preset (${Object.keys(PRESETS).join(', ')})`)
+    .option('-y, --yes', 'Accept defaults for anything not given, never prompt')
+    .option('--json', 'Print progress as newline-delimited JSON events and a closing summary (implies --yes)')
+    .option('--silent', 'Print nothing but errors (implies --yes)')
 
 async function promptInputs(options) {
     const questions = [];
@@ -39,7 +73,10 @@ async function promptInputs(options) {
             message: chalk.green('What is your project name?'),
             prefix: '📋',
             default: 'my-app',
-            validate: (input) => (input.trim() ? true : 'Project name cannot be empty'),
+            validate: (input) => {
+                const result = checkProjectName(input);
+                return result === true || `Project name ${result}`;
+            },
         });
     }
 
@@ -63,232 +100,575 @@ async function promptInputs(options) {
         });
     }
 
-    return inquirer.prompt(questions);
-}
+    if (!options.backend) {
+        questions.push({
+            type: 'list',
+            name: 'backend',
+            message: chalk.green('Which Python backend framework do you want to use?'),
+            prefix: '🐍',
+            choices: Object.entries(BACKEND_FRAMEWORKS).map(([value, { label }]) => ({ name: label, value })),
+        });
+    }
 
-async function createProjectStructure(projectName, languageChoice = 'JavaScript', useTailwind = false) {
-  const backendTemplateDir = path.join(__dirname, 'backend_folder');
-  const frontendTemplateDir = path.join(__dirname, 'frontend_folder');
-  const projectPath = path.join(process.cwd(), projectName);
-  const frontendPath = path.join(projectPath, 'frontend');
-  const backendPath = path.join(projectPath, 'backend');
-  const mainTemplatePath = path.join(__dirname, 'main_folder');
-  const spinner = ora('Creating project structure...').start();
-
-  await fs.mkdir(projectPath, { recursive: true });
-  await fs.mkdir(frontendPath);
-  await fs.mkdir(backendPath);
-
-  try {
-    // git initialization in project root with error handling
-    try {
-      await execAsync('git init', { cwd: projectPath });
-      spinner.text = 'Git repository initialized...';
-    } catch (gitError) {
-      spinner.warn(chalk.yellow('Git initialization failed - continuing without git...'));
-      console.log(chalk.yellow('⚠️  Git not found or failed to initialize. You can initialize git manually later with: git init'));
+    if (!options.pythonManager) {
+        questions.push({
+            type: 'list',
+            name: 'pythonManager',
+            message: chalk.green('How should the Python environment be managed?'),
+            prefix: '📦',
+            choices: Object.entries(PYTHON_MANAGERS).map(([value, { label }]) => ({ name: label, value })),
+        });
     }
 
-    // copy backend boilerplate files
-    spinner.text = 'Setting up backend files...';
-    const files = ["requirements.txt", "app.py", "package.json", "README.md"];
-    for (const file of files) {
-      await fs.cp(path.join(backendTemplateDir, file), path.join(backendPath, file));
+    if (!options.database) {
+        questions.push({
+            type: 'list',
+            name: 'database',
+            message: chalk.green('Which database do you want to use?'),
+            prefix: '🗄️',
+            choices: [
+                { name: 'None', value: 'none' },
+                { name: 'SQLite (no server needed)', value: 'sqlite' },
+                { name: 'PostgreSQL', value: 'postgres' },
+            ],
+            default: 'sqlite',
+            // Only offered for backends the database feature supports
+            when: (answers) => supportedBackends('database').includes(options.backend || answers.backend),
+        });
     }
-    
-    // Copy environment template as .env (npm ignores .env files during publish)
-    await fs.cp(
-      path.join(backendTemplateDir, '.env.template'), 
-      path.join(backendPath, '.env')
-    );
-    
-    // Copy gitignore template as .gitignore (npm ignores .gitignore files during publish)
-    await fs.cp(
-      path.join(backendTemplateDir, 'gitignore.template'), 
-      path.join(backendPath, '.gitignore')
-    );
-
-    // Detect Python command
-    spinner.text = 'Detecting Python installation...';
-    let pythonCmd = 'python';
-    try {
-      await execAsync('python --version', { cwd: backendPath });
-    } catch (error) {
-      try {
-        await execAsync('python3 --version', { cwd: backendPath });
-        pythonCmd = 'python3';
-      } catch (error2) {
-        throw new Error('Python not found. Please install Python and ensure it\'s in your PATH.');
-      }
+
+    if (options.auth === undefined) {
+        questions.push({
+            type: 'confirm',
+            name: 'auth',
+            message: chalk.green('Do you want authentication (signup/login with JWT)?'),
+            prefix: '🔐',
+            default: false,
+            // Users are stored with the database feature
+            when: (answers) => supportedBackends('auth').includes(options.backend || answers.backend)
+                && (options.database || answers.database) !== 'none',
+        });
+    }
+
+    if (options.realtime === undefined) {
+        questions.push({
+            type: 'confirm',
+            name: 'realtime',
+            message: chalk.green('Do you want live updates (WebSocket + Server-Sent Events)?'),
+            prefix: '📡',
+            default: false,
+            when: (answers) => supportedBackends('realtime').includes(options.backend || answers.backend),
+        });
+    }
+
+    if (options.docker === undefined) {
+        questions.push({
+            type: 'confirm',
+            name: 'docker',
+            message: chalk.green('Do you want Docker support (Dockerfiles + docker-compose)?'),
+            prefix: '🐳',
+            default: false,
+        });
     }
 
-    // backend setup with OS-specific commands
-    spinner.text = 'Setting up Python virtual environment...';
-    await execAsync(`${pythonCmd} -m venv venv`, { cwd: backendPath });
-    
-    // Install requirements using OS-specific path
-    spinner.text = 'Installing Python dependencies...';
-    const pipPath = isWindows ? 'venv\\Scripts\\pip' : 'venv/bin/pip';
-    await execAsync(`${pipPath} install -r requirements.txt`, { cwd: backendPath });
-
-    // frontend setup
-    spinner.text = 'Creating NextJS application (this may take a few minutes)...';
-    const langFlag = languageChoice === "TypeScript" ? "--typescript" : "--javascript";
-    const twFlag = useTailwind === "Yes" ? "--tailwind" : "";
-    
-    // Use more reliable flags and timeout handling
-    const createNextCommand = `npx create-next-app@latest frontend ${langFlag} ${twFlag} --eslint --app --src-dir --import-alias "@/*"`;
-    
+    return inquirer.prompt(questions);
+}
+
+/**
+ * Fetches a --template source and checks it against the chosen settings,
+ * asking for placeholder values that have no default. Returns null once
+ * `fail` has reported the problems, before anything is written.
+ */
+async function loadProjectTemplate(spec, settings, vars, { interactive, quiet, fail }) {
+    const spinner = ora({ text: `Fetching template ${spec}...`, isSilent: quiet }).start();
+    const ask = async (missing, { manifest }) => {
+        spinner.stop();
+        return inquirer.prompt(missing.map((name) => ({
+            type: 'input',
+            name,
+            message: chalk.green(manifest.placeholders[name].description || `Value for {{${name}}}`),
+            prefix: '🧩',
+        })));
+    };
+
     try {
-      // Set environment variables to prevent interactive prompts
-      const execOptions = { 
-        cwd: projectPath,
-        timeout: 300000, // 5 minute timeout
-        env: { 
-          ...process.env, 
-          CI: 'true',
-          FORCE_COLOR: '0'
-        }
-      };
-      
-      await execAsync(createNextCommand, execOptions);
-    } catch (error) {
-      if (error.signal === 'SIGTERM' || error.code === 'TIMEOUT') {
-        spinner.fail(chalk.red('NextJS creation timed out.'));
-        console.log(chalk.yellow('\n⚠️  Troubleshooting suggestions:'));
-        console.log(chalk.white('1. Check your internet connection'));
-        console.log(chalk.white('2. Try running the command manually:'));
-        console.log(chalk.gray(`   cd ${projectName}`));
-        console.log(chalk.gray(`   ${createNextCommand}`));
-        console.log(chalk.white('3. Clear npm cache: npm cache clean --force'));
-        throw new Error('NextJS creation timed out');
-      }
-      throw error;
+        const template = await prepareTemplate(spec, settings, vars, { ask: interactive && process.stdin.isTTY ? ask : undefined });
+        spinner.succeed(chalk.green(`Using template ${template.name}`));
+        return template;
+    } catch (err) {
+        spinner.stop();
+        fail(err.message, err.problems);
+        return null;
     }
+}
 
-    // Copy frontend template files to the created NextJS app
-    spinner.text = 'Adding custom frontend components...';
-    const frontendSrcPath = path.join(frontendPath, 'src');
-    
-    // Determine file extensions based on language choice
-    const isTypeScript = languageChoice === 'TypeScript';
-    const ext = isTypeScript ? 'ts' : 'js';
-    const componentExt = isTypeScript ? 'tsx' : 'jsx';
-    
-    // Copy API routes with correct extension
-    const apiRouteSrc = path.join(frontendTemplateDir, 'src', 'app', 'api', 'backend', `route.${ext}`);
-    const apiRouteDest = path.join(frontendSrcPath, 'app', 'api', 'backend');
-    await fs.mkdir(apiRouteDest, { recursive: true });
-    await fs.cp(apiRouteSrc, path.join(apiRouteDest, `route.${ext}`));
-    
-    // Copy components with correct extension
-    const componentSrc = path.join(frontendTemplateDir, 'src', 'components', `BackendDemo.${componentExt}`);
-    const componentDestDir = path.join(frontendSrcPath, 'components');
-    await fs.mkdir(componentDestDir, { recursive: true });
-    await fs.cp(componentSrc, path.join(componentDestDir, `BackendDemo.${componentExt}`));
-    
-    // Copy lib utilities with correct extension
-    const libSrc = path.join(frontendTemplateDir, 'src', 'lib', `api.${ext}`);
-    const libDestDir = path.join(frontendSrcPath, 'lib');
-    await fs.mkdir(libDestDir, { recursive: true });
-    await fs.cp(libSrc, path.join(libDestDir, `api.${ext}`));
-    
-    // Copy updated page with correct extension
-    const pageSrc = path.join(frontendTemplateDir, 'src', 'app', `page.${componentExt}`);
-    await fs.cp(pageSrc, path.join(frontendSrcPath, 'app', `page.${componentExt}`));
-    
-    // Copy environment and README files
-    spinner.text = 'Adding configuration files...';
-    await fs.cp(
-      path.join(frontendTemplateDir, '.env.local.template'),
-      path.join(frontendPath, '.env.local')
-    );
-    
-    await fs.cp(
-      path.join(frontendTemplateDir, 'README.md'),
-      path.join(frontendPath, 'README.md')
-    );
-    
-    // Copy project-level package.json for convenient scripts
-    await fs.cp(
-      path.join(mainTemplatePath, 'project-package.json'),
-      path.join(projectPath, 'package.json')
-    );
-    
-    // Copy project README
-    await fs.cp(
-      path.join(mainTemplatePath, 'project-README.md'),
-      path.join(projectPath, 'README.md')
-    );
-    
-    // Install concurrently in the project root
-    spinner.text = 'Installing project dependencies...';
-    await execAsync(`npm pkg set name="${projectName}"`, { cwd: projectPath });
-    await execAsync('npm install', { cwd: projectPath });
-
-    spinner.succeed(chalk.green(`Project created successfully! 🚀`));
-    
-    // Display setup instructions
-    console.log(chalk.cyan('\n📋 Quick Start:'));
-    console.log(chalk.white('Run both frontend and backend together:'));
-    console.log(chalk.green(`   cd ${projectName}`));
-    console.log(chalk.green('   npm run dev'));
-    
-    console.log(chalk.cyan('\n📋 Manual Setup (if needed):'));
-    console.log(chalk.white('1. Backend setup:'));
-    console.log(chalk.gray(`   cd ${projectName}\\backend`));
-    
-    if (isWindows) {
-      console.log(chalk.gray('   # Activate virtual environment (Windows)'));
-      console.log(chalk.gray('   venv\\Scripts\\activate'));
+/**
+ * The generated project the current directory belongs to. Without one, the
+ * error is reported the way `command` was asked to report (an ok: false
+ * summary with --json, no hint with --silent) and null is returned with the
+ * exit code set, so callers just return.
+ */
+async function requireProject(command) {
+    const project = await findProject();
+    if (project) {
+        return project;
+    }
+
+    const options = command.optsWithGlobals();
+    const message = 'No create-nextpy-app project found here or in any parent directory.';
+    process.exitCode = 1;
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify({ type: 'summary', ok: false, error: { message }, time: new Date().toISOString() })}\n`);
     } else {
-      console.log(chalk.gray('   # Activate virtual environment (macOS/Linux)'));
-      console.log(chalk.gray('   source venv/bin/activate'));
+        console.error(chalk.red(message));
+        if (!options.silent) {
+            console.log(chalk.white('Run this command inside a generated project (next to its frontend/ and backend/ folders).'));
+        }
     }
-    
-    console.log(chalk.gray('   npm run dev  # or uvicorn app:app --reload'));
-    
-    console.log(chalk.white('\n2. Frontend setup:'));
-    console.log(chalk.gray(`   cd ${projectName}\\frontend`));
-    console.log(chalk.gray('   npm install'));
-    console.log(chalk.gray('   npm run dev'));
-    
-    console.log(chalk.cyan('\n🚀 Available Scripts:'));
-    console.log(chalk.white('   npm run dev          - Run both frontend & backend'));
-    console.log(chalk.white('   npm run frontend     - Run only frontend'));
-    console.log(chalk.white('   npm run backend      - Run only backend'));
-    console.log(chalk.white('   npm run build        - Build frontend for production'));
-    console.log(chalk.white('   npm run install:all  - Install all dependencies'));
-    
-    console.log(chalk.cyan('\n🌐 URLs:'));
-    console.log(chalk.white('   Backend:  http://localhost:8000'));
-    console.log(chalk.white('   Frontend: http://localhost:3000'));
-    
-    console.log(chalk.green('\n✨ Features included:'));
-    console.log(chalk.white('   • NextJS API routes that forward to Python backend'));
-    console.log(chalk.white('   • Sample GET/POST request implementations'));
-    console.log(chalk.white('   • TypeScript support with proper typing'));
-    console.log(chalk.white('   • Error handling and loading states'));
-    console.log(chalk.white('   • Tailwind CSS styling'));
-    
-  } catch (err) {
-    spinner.fail(chalk.red(`Error: ${err.message}`));
-    console.error(chalk.red('\n🚨 Troubleshooting:'));
-    console.error(chalk.yellow('• Make sure Python is installed and available in PATH'));
-    console.error(chalk.yellow('• Make sure Node.js and npm are installed'));
-    console.error(chalk.yellow('• Check internet connection for downloading dependencies'));
-    process.exit(1);
-  }
+    return null;
 }
 
-
 program.action(async (options) => {
-    const answers = await promptInputs(options);
-    const projectName = options.project || answers.project || 'my-app';
-    const language = options.language || answers.language || 'JavaScript';
-    const useTailwind = options.tailwind || answers.tailwind || 'Yes';
+    // Nobody is there to answer prompts, and JSON output must not mix with them
+    const quiet = Boolean(options.json || options.silent);
+    if (quiet) {
+        options.yes = true;
+    }
+    const write = (event) => process.stdout.write(`${JSON.stringify(event)}\n`);
+    const notice = (message) => {
+        if (options.json) {
+            write({ type: 'notice', message, time: new Date().toISOString() });
+        } else if (!options.silent) {
+            console.log(chalk.gray(message));
+        }
+    };
+    // Sets the exit code rather than exiting, so piped JSON is flushed
+    const fail = (message, problems = []) => {
+        process.exitCode = 1;
+        if (options.json) {
+            write({ type: 'summary', ok: false, error: { message, ...(problems.length > 0 && { problems }) }, time: new Date().toISOString() });
+            return;
+        }
+        console.error(chalk.red(problems.length > 0 ? `${message}:` : message));
+        problems.forEach((problem) => console.error(chalk.yellow(`  • ${problem}`)));
+    };
+
+    if (options.skipInstall) {
+        options.offline = true;
+    }
+
+    if (options.templateVar) {
+        const invalid = options.templateVar.filter((entry) => !/^[^=]+=/.test(entry));
+        if (invalid.length > 0) {
+            return fail(`--template-var expects name=value (got ${invalid.join(', ')})`);
+        }
+        options.templateVars = Object.fromEntries(options.templateVar.map((entry) => {
+            const index = entry.indexOf('=');
+            return [entry.slice(0, index).trim(), entry.slice(index + 1)];
+        }));
+    }
+
+    const { options: resolved, configPath, preset, errors } = await resolveOptions(options);
+    if (errors.length > 0) {
+        return fail('Invalid configuration', errors);
+    }
+
+    if (configPath) {
+        notice(`Using configuration from ${path.relative(process.cwd(), configPath) || configPath}`);
+    }
+    if (preset) {
+        notice(`Using preset "${preset}"`);
+    }
+
+    const answers = await promptInputs(resolved);
+    const projectName = resolved.project || answers.project || DEFAULTS.project;
+    const language = resolved.language || answers.language || DEFAULTS.language;
+    // Config files, flags and the prompt spell it 'Yes'/'No'
+    const useTailwind = (resolved.tailwind || answers.tailwind || DEFAULTS.tailwind) === 'Yes';
+    const backend = resolved.backend || answers.backend || DEFAULTS.backend;
+    const pythonManager = resolved.pythonManager || answers.pythonManager || DEFAULTS.pythonManager;
+    // `pnpm create nextpy-app` and friends pick their own package manager
+    const packageManager = resolved.packageManager || detectPackageManager();
+    const backendPort = resolved.backendPort ?? DEFAULT_PORTS.backend;
+    const frontendPort = resolved.frontendPort ?? DEFAULT_PORTS.frontend;
+    if (backendPort === frontendPort) {
+        return fail(`The backend and frontend cannot both listen on port ${backendPort}: choose another --backend-port or --frontend-port.`);
+    }
+
+    // A preset or config file asking for a feature the backend cannot have is not worth failing over
+    const { features, skipped, errors: featureErrors } = selectFeatures({
+        backend,
+        docker: resolved.docker ?? answers.docker ?? DEFAULTS.docker,
+        database: resolved.database || answers.database,
+        auth: resolved.auth ?? answers.auth ?? DEFAULTS.auth,
+        realtime: resolved.realtime ?? answers.realtime ?? DEFAULTS.realtime,
+    }, { explicit: ['database', 'auth', 'realtime'].filter((name) => options[name]) });
+    if (featureErrors.length > 0) {
+        return fail(featureErrors[0]);
+    }
+    skipped.forEach(notice);
+
+    const template = resolved.template
+        ? await loadProjectTemplate(resolved.template, {
+            projectName,
+            language,
+            tailwind: useTailwind,
+            backend,
+            pythonManager,
+            packageManager,
+            backendPort,
+            frontendPort,
+        }, resolved.templateVars, { interactive: !options.yes, quiet, fail })
+        : null;
+    if (resolved.template && !template) return;
 
-    await createProjectStructure(projectName, language, useTailwind);
+    try {
+        await createProjectStructure(projectName, language, useTailwind, {
+            dryRun: Boolean(options.dryRun),
+            offline: Boolean(resolved.offline),
+            force: Boolean(resolved.force),
+            keepOnError: Boolean(resolved.keepOnError),
+            interactive: !options.yes,
+            silent: quiet,
+            onEvent: options.json ? write : undefined,
+            backend,
+            pythonManager,
+            packageManager,
+            backendPort,
+            frontendPort,
+            python: resolved.python,
+            minPython: resolved.minPython,
+            features,
+            template,
+        });
+    } catch (err) {
+        // The failure has already been reported (and rolled back), unless the run was silent
+        if (options.silent) {
+            console.error(chalk.red(`Error: ${err.message}`));
+        }
+        process.exitCode = 1;
+    } finally {
+        await template?.cleanup();
+    }
 });
 
+program
+    .command('generate-client')
+    .description('Generate a typed API client in src/lib/ from the backend\'s OpenAPI schema')
+    .option('-u, --url <url>', 'OpenAPI schema URL (default: BACKEND_URL from frontend/.env.local + /openapi.json)')
+    .option('-i, --input <file>', 'Read the OpenAPI schema from a file instead of a running server')
+    .option('-o, --out <dir>', 'Output directory (default: src/lib of the frontend)')
+    .option('-l, --language <type>', 'Specify language (JavaScript, TypeScript); detected from the frontend by default')
+    .action(async (options) => {
+        const target = await resolveClientTarget({ out: options.out, language: options.language });
+        const env = await readEnvFile(path.join(target.frontendDir, '.env.local'));
+        const backendUrl = (env.BACKEND_URL || 'http://localhost:8000').replace(/\/+$/, '');
+        const url = options.url || `${backendUrl}/openapi.json`;
+
+        const spinner = ora(`Reading OpenAPI schema from ${options.input || url}...`).start();
+        try {
+            const spec = await loadOpenApiSpec({ file: options.input, url });
+            if (!spec || typeof spec.paths !== 'object') {
+                throw new Error('The document has no "paths" - is it an OpenAPI schema?');
+            }
+
+            await fs.mkdir(path.dirname(target.outFile), { recursive: true });
+            await fs.writeFile(target.outFile, generateClient(spec, { typescript: target.typescript }));
+            spinner.succeed(chalk.green(`Generated ${path.relative(process.cwd(), target.outFile)}`));
+
+            const moduleName = path.basename(target.outFile, path.extname(target.outFile));
+            console.log(chalk.gray(`   Import it with: import { ... } from '@/lib/${moduleName}';`));
+        } catch (err) {
+            spinner.fail(chalk.red(`Failed to generate the API client: ${err.message}`));
+            process.exit(1);
+        }
+    });
+
+program
+    .command('add [feature] [variant]')
+    .description('Add a feature to the project in the current directory')
+    .option('-f, --force', 'Overwrite files and scripts you have modified')
+    .option('--dry-run', 'Show the files that would change without writing anything')
+    .action(async (featureName, variant, options, command) => {
+        const project = await requireProject(command);
+        if (!project) {
+            return;
+        }
+
+        const available = Object.entries(FEATURES);
+        if (available.length === 0) {
+            console.log(chalk.yellow('No features are available in this version of create-nextpy-app.'));
+            return;
+        }
+
+        if (!featureName) {
+            if (!process.stdin.isTTY) {
+                console.error(chalk.red(`Specify a feature: create-nextpy-app add <${Object.keys(FEATURES).join('|')}>`));
+                process.exit(1);
+            }
+            ({ featureName } = await inquirer.prompt([{
+                type: 'list',
+                name: 'featureName',
+                message: chalk.green('Which feature do you want to add?'),
+                prefix: '🧩',
+                choices: available.map(([value, feature]) => ({
+                    name: feature.description ? `${feature.label} - ${feature.description}` : feature.label,
+                    value,
+                })),
+            }]));
+        }
+
+        if (project.features.includes(featureName) && !options.force) {
+            console.log(chalk.yellow(`${FEATURES[featureName]?.label || featureName} has already been added to this project.`));
+            return;
+        }
+
+        const variants = Object.entries(FEATURES[featureName]?.variants || {});
+        if (!variant && variants.length > 1 && process.stdin.isTTY) {
+            ({ variant } = await inquirer.prompt([{
+                type: 'list',
+                name: 'variant',
+                message: chalk.green(`Which ${FEATURES[featureName].label.toLowerCase()} do you want to use?`),
+                prefix: '🧩',
+                choices: variants.map(([value, label]) => ({ name: label, value })),
+            }]));
+        }
+
+        let plan;
+        try {
+            plan = await planFeature(featureName, project, { force: options.force, variant });
+        } catch (err) {
+            console.error(chalk.red(`Error: ${err.message}`));
+            process.exit(1);
+        }
+
+        if (plan.conflicts.length > 0) {
+            console.error(chalk.red(`\nCannot add ${plan.feature.label} without overwriting your changes:`));
+            plan.conflicts.forEach(({ path: file, reason }) => console.error(chalk.yellow(`  • ${file}: ${reason}`)));
+            console.log(chalk.white('\nNothing was changed. Move your edits aside, or re-run with --force to overwrite them.'));
+            process.exit(1);
+        }
+
+        console.log(chalk.cyan(`\nFiles ${options.dryRun ? 'that would change' : 'changed'} to add ${plan.feature.label} in ${project.root}:`));
+        plan.changes.forEach(({ path: file, action }) => {
+            console.log(action === 'create' ? chalk.green(`  + ${file}`) : chalk.yellow(`  ~ ${file}`));
+        });
+        plan.unchanged.forEach((file) => console.log(chalk.gray(`  = ${file} (already up to date)`)));
+
+        if (options.dryRun) {
+            console.log(chalk.yellow('\nDry run complete - nothing was written to disk.'));
+            return;
+        }
+
+        const spinner = ora(`Adding ${plan.feature.label}...`).start();
+        try {
+            await applyPlan(project, plan);
+            spinner.succeed(chalk.green(`${plan.feature.label} added!`));
+        } catch (err) {
+            spinner.fail(chalk.red(`Error: ${err.message}`));
+            process.exit(1);
+        }
+
+        const nextSteps = [...plan.installNotes, ...plan.notes];
+        if (nextSteps.length > 0) {
+            console.log(chalk.cyan('\n📋 Next steps:'));
+            nextSteps.forEach((note) => console.log(chalk.white(`   ${note}`)));
+        }
+    });
+
+program
+    .command('doctor')
+    .description('Check that the project in the current directory is ready to run (tools, dependencies, ports, URLs)')
+    .option('--json', 'Print the report as JSON')
+    .action(async (options, command) => {
+        const project = await requireProject(command);
+        if (!project) {
+            return;
+        }
+
+        const spinner = ora({ text: 'Checking the project...', isSilent: Boolean(options.json) }).start();
+        const report = await runDoctor(project);
+        spinner.stop();
+
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            const icons = { pass: chalk.green('✔'), warn: chalk.yellow('⚠'), fail: chalk.red('✖'), skip: chalk.gray('-') };
+            console.log(chalk.cyan(`\n🩺 ${project.root}\n`));
+            for (const { label, status, message, fix } of report.checks) {
+                console.log(`${icons[status]} ${chalk.white(label.padEnd(24))}${status === 'pass' ? chalk.gray(message) : message}`);
+                if (fix) {
+                    console.log(chalk.gray(`  ${' '.repeat(24)}→ ${fix}`));
+                }
+            }
+
+            const { pass, warn, fail } = report.summary;
+            console.log(report.ok
+                ? chalk.green(`\n${pass} check(s) passed${warn > 0 ? `, ${warn} warning(s)` : ''}.`)
+                : chalk.red(`\n${fail} check(s) failed${warn > 0 ? `, ${warn} warning(s)` : ''} - fix them, then run npm run dev.`));
+        }
+        if (!report.ok) {
+            process.exitCode = 1;
+        }
+    });
+
+const envCommand = program
+    .command('env')
+    .description(`Work with ${ENV_SCHEMA} and the env files written from it`);
+
+envCommand
+    .command('check')
+    .description(`Report variables that are missing, invalid or mismatched between the env files and ${ENV_SCHEMA}`)
+    .option('--json', 'Print the report as JSON')
+    .action(async (options, command) => {
+        const project = await requireProject(command);
+        if (!project) {
+            return;
+        }
+
+        const report = await checkEnv(project);
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            const icons = { error: chalk.red('✖'), warning: chalk.yellow('⚠') };
+            console.log(chalk.cyan(`\n🔐 ${project.root}\n`));
+            for (const { level, message, fix } of report.problems) {
+                console.log(`${icons[level]} ${message}`);
+                if (fix) {
+                    console.log(chalk.gray(`  → ${fix}`));
+                }
+            }
+
+            const errors = report.problems.filter(({ level }) => level === 'error').length;
+            const warnings = report.problems.length - errors;
+            if (report.ok) {
+                console.log(chalk.green(`${report.problems.length > 0 ? '\n' : ''}✔ ${report.variables} variable(s) match ${ENV_SCHEMA}${warnings > 0 ? `, ${warnings} warning(s)` : ''}.`));
+            } else {
+                console.log(chalk.red(`\n${errors} error(s)${warnings > 0 ? `, ${warnings} warning(s)` : ''} - fix them, then run this check again.`));
+            }
+        }
+        if (!report.ok) {
+            process.exitCode = 1;
+        }
+    });
+
+program
+    .command('upgrade')
+    .description('Update the project in the current directory to the templates of this version')
+    .option('--dry-run', 'Show what would change without writing anything')
+    .option('--diff', 'Print the full diff of every change')
+    .option('-y, --yes', 'Apply the changes without asking')
+    .action(async (options, command) => {
+        const project = await requireProject(command);
+        if (!project) {
+            return;
+        }
+
+        const spinner = ora('Comparing the project with the current templates...').start();
+        let plan;
+        try {
+            plan = await planUpgrade(project);
+            spinner.stop();
+        } catch (err) {
+            spinner.fail(chalk.red(`Error: ${err.message}`));
+            process.exit(1);
+        }
+
+        if (plan.baseError) {
+            console.log(chalk.yellow(`Could not regenerate the project with create-nextpy-app ${plan.from} (${plan.baseError}).`));
+            console.log(chalk.yellow('Files you have edited get a .rej file with the template changes instead of a merge.'));
+        }
+        if (plan.changes.length === 0) {
+            console.log(chalk.green(`\nThe project is up to date with create-nextpy-app ${plan.to}.`));
+            if (!options.dryRun && plan.from !== plan.to) {
+                await applyUpgrade(project, plan);
+            }
+            return;
+        }
+
+        const symbols = {
+            create: chalk.green('+'), update: chalk.yellow('~'), merge: chalk.cyan('M'), conflict: chalk.red('!'), reject: chalk.red('R'),
+        };
+        console.log(chalk.cyan(`\nUpgrading ${project.root} from create-nextpy-app ${plan.from} to ${plan.to}:`));
+        for (const { path: file, action, stat, reject } of plan.changes) {
+            const counts = action === 'reject' ? '' : ` ${chalk.green(`+${stat.added}`)} ${chalk.red(`-${stat.removed}`)}`;
+            const detail = {
+                conflict: reject ? ` (conflicting entries, see ${file}.rej)` : ' (conflict markers)',
+                reject: ` (see ${file}.rej)`,
+            }[action] || '';
+            console.log(`  ${symbols[action]} ${file}${counts}${chalk.gray(detail)}`);
+        }
+        plan.kept.forEach((file) => console.log(chalk.gray(`  = ${file} (your version, the templates did not change it)`)));
+
+        if (options.diff) {
+            for (const { diff, reject } of plan.changes) {
+                [diff, reject].filter(Boolean).forEach((text) => process.stdout.write(`\n${text}`));
+            }
+        }
+
+        if (options.dryRun) {
+            console.log(chalk.yellow('\nDry run complete - nothing was written to disk.'));
+            return;
+        }
+
+        if (!options.yes) {
+            if (!process.stdin.isTTY) {
+                console.error(chalk.red('\nRe-run with --yes to apply these changes (or --dry-run --diff to review them).'));
+                process.exit(1);
+            }
+            const { proceed } = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'proceed',
+                message: chalk.green('Apply these changes?'),
+                prefix: '⬆️ ',
+                default: true,
+            }]);
+            if (!proceed) {
+                console.log(chalk.yellow('Nothing was changed.'));
+                return;
+            }
+        }
+
+        try {
+            await applyUpgrade(project, plan);
+        } catch (err) {
+            console.error(chalk.red(`Error: ${err.message}`));
+            process.exit(1);
+        }
+        console.log(chalk.green(`\n✅ Upgraded to create-nextpy-app ${plan.to}.`));
+
+        const unresolved = plan.changes.filter(({ action }) => action === 'conflict' || action === 'reject');
+        if (unresolved.length > 0) {
+            console.log(chalk.cyan('\n📋 Next steps:'));
+            console.log(chalk.white('   Resolve the <<<<<<< conflict markers and apply or delete the .rej files in:'));
+            unresolved.forEach(({ path: file }) => console.log(chalk.white(`     ${file}`)));
+        }
+        const manifests = ['package.json', 'requirements.txt', 'pyproject.toml', 'Pipfile', 'environment.yml'];
+        if (plan.changes.some(({ path: file, content }) => content !== null && manifests.includes(path.basename(file)))) {
+            console.log(chalk.white(`\n   Dependencies changed - run ${PACKAGE_MANAGERS[project.packageManager].run} setup to install them.`));
+        }
+    });
+
+program
+    .command('dev')
+    .description('Run the backend, wait until it is healthy, then run the frontend (used by the project\'s dev script)')
+    .option('--health-timeout <seconds>', 'How long to wait for the backend to answer on /health', Number, 60)
+    .action(async (options, command) => {
+        const project = await requireProject(command);
+        if (!project) {
+            return;
+        }
+        if (!Number.isFinite(options.healthTimeout) || options.healthTimeout <= 0) {
+            console.error(chalk.red('--health-timeout must be a positive number of seconds.'));
+            process.exit(1);
+        }
+
+        try {
+            process.exitCode = await runDev(project, { healthTimeout: options.healthTimeout * 1000 });
+        } catch (err) {
+            console.error(chalk.red(`Error: ${err.message}`));
+            process.exit(1);
+        }
+    });
+
 program.parse(process.argv);
\ No newline at end of file
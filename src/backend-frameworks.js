@@ -0,0 +1,44 @@
+// Python backend frameworks; each has its own template set in backend_folder/<key>.
+// devArgs/startArgs are the python arguments used when a Python manager runs the server
+// ({{backendPort}} is filled in when the scripts are written), minPython the oldest interpreter the framework's current release supports.
+// settingsModule is the pydantic-settings module written from env.schema (relative to backend/), env the
+// variables the framework adds to the schema's [backend] section (see src/env.js).
+export const BACKEND_FRAMEWORKS = {
+  fastapi: {
+    label: 'FastAPI',
+    minPython: '3.9',
+    devCommand: 'uvicorn app:app --reload',
+    devArgs: ['-m', 'uvicorn', 'app:app', '--reload', '--host', '0.0.0.0', '--port', '{{backendPort}}'],
+    startArgs: ['-m', 'uvicorn', 'app:app', '--host', '0.0.0.0', '--port', '{{backendPort}}'],
+    settingsModule: 'config.py',
+  },
+  flask: {
+    label: 'Flask',
+    minPython: '3.9',
+    devCommand: 'flask --app app run --debug',
+    devArgs: ['-m', 'flask', '--app', 'app', 'run', '--debug', '--host', '0.0.0.0', '--port', '{{backendPort}}'],
+    startArgs: ['-m', 'waitress', '--host=0.0.0.0', '--port={{backendPort}}', 'app:app'],
+    settingsModule: 'config.py',
+  },
+  django: {
+    label: 'Django',
+    minPython: '3.10',
+    devCommand: 'python manage.py runserver',
+    devArgs: ['manage.py', 'runserver', '0.0.0.0:{{backendPort}}'],
+    startArgs: ['-m', 'uvicorn', 'config.asgi:application', '--host', '0.0.0.0', '--port', '{{backendPort}}'],
+    // config/ is the Django project package
+    settingsModule: 'config/env.py',
+    env: {
+      DJANGO_SECRET_KEY: {
+        type: 'secret',
+        default: 'django-insecure-change-me-before-deploying',
+        description: 'Signs sessions and password reset tokens',
+      },
+      DJANGO_DEBUG: { type: 'boolean', default: 'true', description: 'Detailed error pages - turn off in production' },
+      DJANGO_ALLOWED_HOSTS: {
+        default: 'localhost,127.0.0.1',
+        description: 'Comma-separated host names the backend answers to',
+      },
+    },
+  },
+};
@@ -0,0 +1,216 @@
+// Non-interactive project configuration: nextpy.config.json files, named
+// presets and the defaults used by --yes, merged and validated against one schema.
+import { promises as fs } from 'fs';
+import { builtinModules } from 'module';
+import path from 'path';
+import { BACKEND_FRAMEWORKS } from './backend-frameworks.js';
+import { PYTHON_MANAGERS } from './python-managers.js';
+import { PACKAGE_MANAGERS } from './package-managers.js';
+import { parseMinimum } from './python-detect.js';
+
+export const CONFIG_FILE_NAME = 'nextpy.config.json';
+
+const isPort = (value) => (Number.isInteger(value) && value >= 1 && value <= 65535) || 'must be a port number between 1 and 65535';
+
+/**
+ * The project name becomes the directory and the name in package.json, so it
+ * follows npm's rules for new package names (without a scope). Returns true
+ * or what is wrong with it.
+ */
+export function checkProjectName(name) {
+  if (name.trim() === '') return 'cannot be empty';
+  if (name.length > 214) return 'must be at most 214 characters long';
+  if (/^[._]/.test(name)) return `cannot start with "${name[0]}" (got "${name}")`;
+  if (name !== name.toLowerCase()) return `must be lowercase (got "${name}")`;
+  if (!/^[a-z0-9._~-]+$/.test(name)) return `can only contain lowercase letters, digits, "-", ".", "_" and "~" (got "${name}")`;
+  if (['node_modules', 'favicon.ico'].includes(name) || builtinModules.includes(name)) return `cannot be "${name}", npm reserves that name`;
+  return true;
+}
+
+// Answers used by --yes for anything not given on the CLI, in a config file or preset
+export const DEFAULTS = {
+  project: 'my-app',
+  language: 'JavaScript',
+  tailwind: 'Yes',
+  backend: 'fastapi',
+  pythonManager: 'venv',
+  docker: false,
+  // Dropped again for backends without the database feature
+  database: 'sqlite',
+  auth: false,
+  realtime: false,
+};
+
+export const PRESETS = {
+  minimal: {
+    language: 'JavaScript',
+    tailwind: 'No',
+    backend: 'fastapi',
+    pythonManager: 'venv',
+    docker: false,
+    database: 'none',
+    auth: false,
+    realtime: false,
+  },
+  full: {
+    language: 'TypeScript',
+    tailwind: 'Yes',
+    backend: 'fastapi',
+    pythonManager: 'venv',
+    docker: true,
+    database: 'sqlite',
+    auth: true,
+    realtime: true,
+  },
+};
+
+/**
+ * Every key a config file may contain. `values` lists the accepted spellings
+ * (matched case-insensitively and normalized to the listed form); booleans are
+ * accepted for Yes/No keys.
+ */
+export const CONFIG_SCHEMA = {
+  $schema: { type: 'string' },
+  preset: { type: 'string', values: Object.keys(PRESETS) },
+  project: { type: 'string', check: checkProjectName },
+  language: { type: 'string', values: ['JavaScript', 'TypeScript'] },
+  tailwind: { type: 'string', values: ['Yes', 'No'], booleanAs: ['Yes', 'No'] },
+  backend: { type: 'string', values: Object.keys(BACKEND_FRAMEWORKS) },
+  pythonManager: { type: 'string', values: Object.keys(PYTHON_MANAGERS) },
+  packageManager: { type: 'string', values: Object.keys(PACKAGE_MANAGERS) },
+  backendPort: { type: 'number', check: isPort },
+  frontendPort: { type: 'number', check: isPort },
+  python: { type: 'string' },
+  minPython: { type: 'string', check: (value) => Boolean(parseMinimum(value)) || 'must look like 3.9 or 3.11.2' },
+  docker: { type: 'boolean' },
+  database: { type: 'string', values: ['none', 'sqlite', 'postgres'] },
+  auth: { type: 'boolean' },
+  realtime: { type: 'boolean' },
+  template: { type: 'string', check: (value) => value.trim() !== '' || 'cannot be empty' },
+  templateVars: {
+    type: 'object',
+    check: (value) => (!Array.isArray(value) && value !== null && Object.values(value).every((entry) => typeof entry === 'string'))
+      || 'must map placeholder names to strings',
+  },
+  offline: { type: 'boolean' },
+  force: { type: 'boolean' },
+  keepOnError: { type: 'boolean' },
+};
+
+/**
+ * Validates `config` against CONFIG_SCHEMA. Returns the normalized config and
+ * a list of human-readable errors prefixed with `source`.
+ */
+export function validateConfig(config, source) {
+  const errors = [];
+  const normalized = {};
+
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return { config: normalized, errors: [`${source}: expected a JSON object`] };
+  }
+
+  for (const [key, rawValue] of Object.entries(config)) {
+    const rule = CONFIG_SCHEMA[key];
+    if (!rule) {
+      errors.push(`${source}: unknown option "${key}"`);
+      continue;
+    }
+
+    let value = rawValue;
+    if (rule.booleanAs && typeof value === 'boolean') {
+      value = value ? rule.booleanAs[0] : rule.booleanAs[1];
+    }
+
+    if (typeof value !== rule.type) {
+      errors.push(`${source}: "${key}" must be a ${rule.type}`);
+      continue;
+    }
+
+    if (rule.values) {
+      const match = rule.values.find((allowed) => allowed.toLowerCase() === value.toLowerCase());
+      if (!match) {
+        errors.push(`${source}: "${key}" must be one of ${rule.values.join(', ')} (got "${value}")`);
+        continue;
+      }
+      value = match;
+    }
+
+    if (rule.check) {
+      const result = rule.check(value);
+      if (result !== true) {
+        errors.push(`${source}: "${key}" ${result}`);
+        continue;
+      }
+    }
+
+    normalized[key] = value;
+  }
+
+  return { config: normalized, errors };
+}
+
+export async function loadConfigFile(configPath) {
+  let text;
+  try {
+    text = await fs.readFile(configPath, 'utf8');
+  } catch (error) {
+    return { config: {}, errors: [`${configPath}: cannot be read (${error.code || error.message})`] };
+  }
+
+  try {
+    return validateConfig(JSON.parse(text), configPath);
+  } catch (error) {
+    return { config: {}, errors: [`${configPath}: invalid JSON (${error.message})`] };
+  }
+}
+
+/**
+ * Merges the answers from every source, highest priority first: CLI flags,
+ * the config file (--config or ./nextpy.config.json), the preset and, with
+ * --yes, DEFAULTS. Anything still missing is left for the interactive prompts.
+ */
+export async function resolveOptions(cliOptions, { cwd = process.cwd() } = {}) {
+  const errors = [];
+  const cli = Object.fromEntries(
+    Object.entries(cliOptions).filter(([key, value]) => CONFIG_SCHEMA[key] && value !== undefined)
+  );
+
+  const cliResult = validateConfig(cli, 'command line');
+  errors.push(...cliResult.errors);
+
+  let configPath = null;
+  let fileConfig = {};
+  if (cliOptions.config) {
+    configPath = path.resolve(cwd, cliOptions.config);
+  } else {
+    const candidate = path.join(cwd, CONFIG_FILE_NAME);
+    try {
+      await fs.access(candidate);
+      configPath = candidate;
+    } catch {
+      // no config file in the working directory
+    }
+  }
+
+  if (configPath) {
+    const fileResult = await loadConfigFile(configPath);
+    errors.push(...fileResult.errors);
+    fileConfig = fileResult.config;
+  }
+
+  const presetName = cliResult.config.preset || fileConfig.preset;
+  const preset = presetName ? PRESETS[presetName] : {};
+
+  const { $schema, preset: _preset, ...merged } = {
+    ...(cliOptions.yes ? DEFAULTS : {}),
+    ...preset,
+    ...fileConfig,
+    ...cliResult.config,
+  };
+  // --template-var values add to the config file's templateVars instead of replacing them
+  if (fileConfig.templateVars && cliResult.config.templateVars) {
+    merged.templateVars = { ...fileConfig.templateVars, ...cliResult.config.templateVars };
+  }
+
+  return { options: merged, configPath, preset: presetName || null, errors };
+}
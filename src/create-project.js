@@ -0,0 +1,1075 @@
+// Generates a project: copies the templates, runs the installers and rolls a
+// failed run back. Every external command goes through ctx.exec, so tests can
+// swap in fake executables.
+import chalk from 'chalk';
+import ora from 'ora';
+import inquirer from 'inquirer';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import os from 'os';
+import { PYTHON_MANAGERS, DEPENDENCY_FILES, dependencyFiles, backendScripts, rootSetupScripts, installCommand } from './python-managers.js';
+import { detectPython, formatVersion } from './python-detect.js';
+import { formatCommand } from './shell.js';
+import { BACKEND_FRAMEWORKS } from './backend-frameworks.js';
+import { PACKAGE_MANAGERS, packageManagerScripts } from './package-managers.js';
+import { DEFAULT_PORTS, RENAMED_TEMPLATES, builtinPlaceholders, renderPlaceholders } from './templates.js';
+import { FEATURES, describeProject, featureFiles, planFeature, projectMetadata } from './features/index.js';
+import { LOCKFILE, hashFiles, renderLockfile } from './lockfile.js';
+import { ENV_SCHEMA, ENV_SIDES, baseSchema, configModulePath, parseSchema, renderConfigModule, renderEnvFile } from './env.js';
+
+const execAsync = promisify(exec);
+const ROOT_DIR = fileURLToPath(new URL('..', import.meta.url));
+const cliPackageJson = JSON.parse(await fs.readFile(path.join(ROOT_DIR, 'package.json'), 'utf8'));
+
+// Detect operating system
+const isWindows = os.platform() === 'win32';
+
+// Dependency versions written by the bundled NextJS skeleton (mirrors create-next-app@15)
+const SKELETON_VERSIONS = {
+  next: '15.5.2',
+  react: '19.1.0',
+};
+
+// Test runner added to the frontend's package.json (Node 18 compatible majors, like the skeleton)
+const FRONTEND_TEST_DEPENDENCIES = {
+  '@testing-library/dom': '^10',
+  '@testing-library/jest-dom': '^6',
+  '@testing-library/react': '^16',
+  '@vitejs/plugin-react': '^4',
+  jsdom: '^26',
+  vitest: '^3',
+};
+
+/**
+ * Creates the context shared by every scaffolding step. In dry-run mode the
+ * helpers below only record what they would do instead of touching the disk.
+ * `created` lists every path this run brought into existence so a failed run
+ * can be rolled back. `exec` runs shell commands (child_process.exec by
+ * default) and resolves to { stdout, stderr }. `values` fills in the
+ * {{placeholders}} of every text file written. `emit` reports progress
+ * events; `step` is the step in progress.
+ */
+export function createRunContext({ dryRun = false, merge = false, exec = execAsync, values = {}, emit = () => {} } = {}) {
+  return { dryRun, merge, exec, values, emit, step: null, files: [], commands: [], kept: [], created: [] };
+}
+
+/**
+ * The JSON-friendly part of an error: its message and, for failed commands,
+ * the command, exit code and the end of stderr (or the Python interpreters
+ * tried, or the problems of a template).
+ */
+export function describeError(error) {
+  return {
+    message: error.message,
+    ...(error.cmd && { command: error.cmd }),
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.stderr && { stderr: String(error.stderr).trim().slice(-2000) }),
+    ...(error.candidates && { candidates: error.candidates }),
+    ...(error.problems && { problems: error.problems }),
+  };
+}
+
+/**
+ * Starts a step of the run: shows `label` on the spinner and emits a `step`
+ * event with status 'start'. `details` (e.g. { feature }) go into both of
+ * the step's events.
+ */
+function startStep(ctx, spinner, step, label, details = {}) {
+  spinner.text = label;
+  ctx.step = { step, details, started: Date.now() };
+  ctx.emit({ type: 'step', step, ...details, status: 'start', label });
+}
+
+/**
+ * Ends the step in progress with status 'done', or 'failed' and the error.
+ */
+function finishStep(ctx, error) {
+  if (!ctx.step) return;
+  const { step, details, started } = ctx.step;
+  ctx.step = null;
+  ctx.emit({
+    type: 'step',
+    step,
+    ...details,
+    status: error ? 'failed' : 'done',
+    durationMs: Date.now() - started,
+    ...(error && { error: describeError(error) }),
+  });
+}
+
+async function pathExists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * When merging into an existing project, files that are already there are
+ * kept as-is and reported instead of being overwritten.
+ */
+async function keepExisting(ctx, dest) {
+  if (ctx.merge && await pathExists(dest)) {
+    ctx.kept.push(dest);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Records `target` for rollback if it does not exist yet.
+ */
+async function trackCreated(ctx, target) {
+  if (!ctx.dryRun && !(await pathExists(target))) {
+    ctx.created.push(target);
+  }
+}
+
+async function makeDir(ctx, dir) {
+  if (ctx.dryRun) return;
+  // mkdir reports the top-most directory it had to create, if any
+  const firstCreated = await fs.mkdir(dir, { recursive: true });
+  if (firstCreated) {
+    ctx.created.push(firstCreated);
+  }
+}
+
+/**
+ * Copies a template file, filling in its placeholders unless `render` is
+ * false. Binary files are copied as they are.
+ */
+async function copyFile(ctx, src, dest, { render = true } = {}) {
+  if (await keepExisting(ctx, dest)) return;
+  ctx.files.push(dest);
+  if (ctx.dryRun) return;
+  await makeDir(ctx, path.dirname(dest));
+  await trackCreated(ctx, dest);
+  // Copied first so the file keeps its mode (e.g. executable scripts)
+  await fs.cp(src, dest);
+  const content = await fs.readFile(src);
+  if (render && !content.includes(0)) {
+    const text = content.toString('utf8');
+    const rendered = renderPlaceholders(text, ctx.values);
+    if (rendered !== text) {
+      await fs.writeFile(dest, rendered);
+    }
+  }
+}
+
+async function writeFile(ctx, dest, content) {
+  if (await keepExisting(ctx, dest)) return;
+  ctx.files.push(dest);
+  if (ctx.dryRun) return;
+  await makeDir(ctx, path.dirname(dest));
+  await trackCreated(ctx, dest);
+  await fs.writeFile(dest, renderPlaceholders(content, ctx.values));
+}
+
+/**
+ * Recursively copies a template directory, restoring the names of files
+ * listed in RENAMED_TEMPLATES. Top-level entries named in `skip` are left out.
+ */
+export async function copyDir(ctx, srcDir, destDir, { skip = [] } = {}) {
+  const entries = await fs.readdir(srcDir, { withFileTypes: true });
+  for (const entry of entries) {
+    if (skip.includes(entry.name)) continue;
+    const src = path.join(srcDir, entry.name);
+    const dest = path.join(destDir, RENAMED_TEMPLATES[entry.name] || entry.name);
+    if (entry.isDirectory()) {
+      await copyDir(ctx, src, dest);
+    } else {
+      await copyFile(ctx, src, dest);
+    }
+  }
+}
+
+/**
+ * Runs a shell command, or `[file, ...args]` with every argument quoted as
+ * one word (see formatCommand). `creates` lists the paths (relative to cwd)
+ * the command is expected to produce, so they are removed again on rollback.
+ */
+export async function runCommand(ctx, commandOrArgs, { creates = [], ...options } = {}) {
+  const command = Array.isArray(commandOrArgs) ? formatCommand(commandOrArgs) : commandOrArgs;
+  ctx.commands.push({ command, cwd: options.cwd });
+  if (ctx.dryRun) return { stdout: '', stderr: '' };
+  for (const target of creates) {
+    await trackCreated(ctx, path.resolve(options.cwd || process.cwd(), target));
+  }
+  return ctx.exec(command, options);
+}
+
+/**
+ * Undoes a failed run: removes everything recorded in ctx.created (newest
+ * first) and puts a project that was moved aside for --force back in place.
+ */
+export async function rollback(ctx, { backupPath, projectPath } = {}) {
+  const failures = [];
+  for (const target of [...ctx.created].reverse()) {
+    try {
+      await fs.rm(target, { recursive: true, force: true });
+    } catch (error) {
+      failures.push(`${target}: ${error.message}`);
+    }
+  }
+
+  if (backupPath) {
+    try {
+      await fs.rm(projectPath, { recursive: true, force: true });
+      await fs.rename(backupPath, projectPath);
+    } catch (error) {
+      failures.push(`${backupPath}: ${error.message}`);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Writes the files create-next-app would generate for our flags
+ * (--app --src-dir --eslint --import-alias "@/*") without any network access.
+ */
+export async function writeNextSkeleton(ctx, frontendPath, { isTypeScript, useTailwind }) {
+  const skeletonDir = path.join(ROOT_DIR, 'nextjs_folder');
+  const frontendTemplateDir = path.join(ROOT_DIR, 'frontend_folder');
+  const appPath = path.join(frontendPath, 'src', 'app');
+  const componentExt = isTypeScript ? 'tsx' : 'jsx';
+
+  await copyDir(ctx, path.join(skeletonDir, 'common'), frontendPath);
+  await copyDir(ctx, path.join(skeletonDir, isTypeScript ? 'typescript' : 'javascript'), frontendPath);
+
+  if (useTailwind) {
+    await copyDir(ctx, path.join(skeletonDir, 'tailwind'), frontendPath);
+    await copyFile(ctx, path.join(frontendTemplateDir, 'src', 'app', 'globals.css'), path.join(appPath, 'globals.css'));
+  } else {
+    await copyDir(ctx, path.join(skeletonDir, 'plain'), frontendPath);
+  }
+
+  await copyFile(ctx, path.join(frontendTemplateDir, 'src', 'app', `layout.${componentExt}`), path.join(appPath, `layout.${componentExt}`));
+  await copyFile(ctx, path.join(frontendTemplateDir, 'src', 'app', 'favicon.ico'), path.join(appPath, 'favicon.ico'));
+
+  const packageJson = {
+    name: 'frontend',
+    version: '0.1.0',
+    private: true,
+    scripts: {
+      dev: 'next dev',
+      build: 'next build',
+      start: 'next start',
+      lint: 'next lint',
+    },
+    dependencies: {
+      next: SKELETON_VERSIONS.next,
+      react: SKELETON_VERSIONS.react,
+      'react-dom': SKELETON_VERSIONS.react,
+    },
+    devDependencies: {
+      '@eslint/eslintrc': '^3',
+      eslint: '^9',
+      'eslint-config-next': SKELETON_VERSIONS.next,
+    },
+  };
+
+  if (isTypeScript) {
+    Object.assign(packageJson.devDependencies, {
+      '@types/node': '^20',
+      '@types/react': '^19',
+      '@types/react-dom': '^19',
+      typescript: '^5',
+    });
+  }
+
+  if (useTailwind) {
+    Object.assign(packageJson.devDependencies, {
+      '@tailwindcss/postcss': '^4',
+      tailwindcss: '^4',
+    });
+  }
+
+  await writeFile(ctx, path.join(frontendPath, 'package.json'), JSON.stringify(packageJson, null, 2) + '\n');
+}
+
+/**
+ * Decides what to do when the target directory already has content:
+ * 'overwrite' (remove it first), 'merge' (keep existing files) or 'abort'.
+ * --force overwrites without asking; with --yes or without a TTY we never block on a prompt.
+ * Returns { action, reason }, where `reason` says why an abort happened.
+ */
+async function resolveExistingProject(projectPath, projectName, { force = false, interactive = true, log = console.error } = {}) {
+  let stats;
+  try {
+    stats = await fs.stat(projectPath);
+  } catch {
+    return { action: 'create' };
+  }
+
+  if (!stats.isDirectory()) {
+    log(chalk.red(`\n❌ "${projectName}" already exists and is not a directory.`));
+    log(chalk.yellow('   Choose a different project name or remove that file first.'));
+    return { action: 'abort', reason: `"${projectName}" already exists and is not a directory` };
+  }
+
+  const entries = await fs.readdir(projectPath);
+  if (entries.length === 0) return { action: 'create' };
+  if (force) return { action: 'overwrite' };
+
+  if (!interactive || !process.stdin.isTTY) {
+    log(chalk.red(`\n❌ Directory "${projectName}" already exists and is not empty.`));
+    log(chalk.yellow('   Re-run with --force to overwrite it, or choose a different project name.'));
+    return { action: 'abort', reason: `Directory "${projectName}" already exists and is not empty (force overwrites it)` };
+  }
+
+  const { action } = await inquirer.prompt([{
+    type: 'list',
+    name: 'action',
+    message: chalk.yellow(`Directory "${projectName}" already exists and contains ${entries.length} item(s). What do you want to do?`),
+    prefix: '⚠️ ',
+    choices: [
+      { name: 'Overwrite - delete the existing contents first', value: 'overwrite' },
+      { name: 'Merge - keep existing files and add the missing ones', value: 'merge' },
+      { name: 'Abort', value: 'abort' },
+    ],
+    default: 'abort',
+  }]);
+
+  if (action === 'abort') {
+    console.log(chalk.yellow('\nAborted - nothing was changed.'));
+  }
+  return { action, reason: 'Aborted - nothing was changed' };
+}
+
+/**
+ * Prints the files and commands recorded by a dry run as a directory tree.
+ */
+function printPlan(ctx, projectPath, projectName) {
+  const tree = {};
+  for (const file of ctx.files) {
+    let node = tree;
+    for (const part of path.relative(projectPath, file).split(path.sep)) {
+      node = node[part] = node[part] || {};
+    }
+  }
+
+  const lines = [];
+  const walk = (node, indent) => {
+    const names = Object.keys(node).sort((a, b) => {
+      const aIsDir = Object.keys(node[a]).length > 0;
+      const bIsDir = Object.keys(node[b]).length > 0;
+      return aIsDir === bIsDir ? a.localeCompare(b) : aIsDir ? -1 : 1;
+    });
+    names.forEach((name, index) => {
+      const last = index === names.length - 1;
+      const isDir = Object.keys(node[name]).length > 0;
+      lines.push(`${indent}${last ? '└── ' : '├── '}${name}${isDir ? '/' : ''}`);
+      walk(node[name], indent + (last ? '    ' : '│   '));
+    });
+  };
+  walk(tree, '');
+
+  console.log(chalk.cyan('\n📁 Files that would be written:'));
+  console.log(chalk.white(`${projectName}/`));
+  lines.forEach((line) => console.log(chalk.white(line)));
+
+  console.log(chalk.cyan('\n⚙️  Commands that would run:'));
+  if (ctx.commands.length === 0) {
+    console.log(chalk.gray('   (none)'));
+  }
+  for (const { command, cwd } of ctx.commands) {
+    const where = path.relative(projectPath, cwd || projectPath) || '.';
+    console.log(chalk.gray(`   [${where}] ${command}`));
+  }
+
+  if (ctx.kept.length > 0) {
+    console.log(chalk.cyan('\n📎 Existing files that would be kept:'));
+    for (const file of ctx.kept) {
+      console.log(chalk.gray(`   ${path.relative(projectPath, file)}`));
+    }
+  }
+}
+
+/**
+ * Pins `next dev` and `next start` to the frontend port; next would otherwise
+ * take it from $PORT or fall back to 3000.
+ */
+async function setFrontendPort(ctx, frontendPath, port) {
+  if (ctx.dryRun) return;
+  const packageJsonPath = path.join(frontendPath, 'package.json');
+  const packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf8'));
+  for (const name of ['dev', 'start']) {
+    const script = packageJson.scripts?.[name];
+    if (script && /^next (dev|start)\b/.test(script) && !/\s(-p|--port)\b/.test(script)) {
+      packageJson.scripts[name] = `${script} --port ${port}`;
+    }
+  }
+  await fs.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
+}
+
+/**
+ * Writes the env file, its example and the config module of one env.schema
+ * section. Only the env file holds generated secrets.
+ */
+async function writeEnvFiles(ctx, projectPath, side, variables, project) {
+  const { file, example } = ENV_SIDES[side];
+  await writeFile(ctx, path.join(projectPath, file), renderEnvFile(side, variables));
+  await writeFile(ctx, path.join(projectPath, example), renderEnvFile(side, variables, { example: true }));
+  await writeFile(ctx, path.join(projectPath, configModulePath(side, project)), renderConfigModule(side, variables, project));
+}
+
+/**
+ * create-next-app ignores every .env* file; .env.example is meant to be committed.
+ */
+async function commitEnvExample(ctx, frontendPath) {
+  if (ctx.dryRun) return;
+  const gitignorePath = path.join(frontendPath, '.gitignore');
+  const gitignore = await fs.readFile(gitignorePath, 'utf8').catch(() => null);
+  if (gitignore === null || !/^\.env\*$/m.test(gitignore) || /^!\.env\.example$/m.test(gitignore)) return;
+  await fs.writeFile(gitignorePath, gitignore.replace(/^\.env\*$/m, '.env*\n!.env.example'));
+}
+
+/**
+ * Sets up Vitest and Testing Library in the NextJS app: config, tests for
+ * BackendDemo and lib/api, and the test scripts and devDependencies. The
+ * caller installs them.
+ */
+async function addFrontendTests(ctx, frontendPath, { isTypeScript }) {
+  const templateDir = path.join(ROOT_DIR, 'frontend_folder');
+  const ext = isTypeScript ? 'ts' : 'js';
+  const componentExt = isTypeScript ? 'tsx' : 'jsx';
+
+  await copyFile(ctx, path.join(templateDir, `vitest.config.${isTypeScript ? 'ts' : 'mjs'}`), path.join(frontendPath, `vitest.config.${isTypeScript ? 'ts' : 'mjs'}`));
+  await copyFile(ctx, path.join(templateDir, `vitest.setup.${ext}`), path.join(frontendPath, `vitest.setup.${ext}`));
+  await copyFile(ctx, path.join(templateDir, 'src', 'lib', `api.test.${ext}`), path.join(frontendPath, 'src', 'lib', `api.test.${ext}`));
+  await copyFile(ctx,
+    path.join(templateDir, 'src', 'components', `BackendDemo.test.${componentExt}`),
+    path.join(frontendPath, 'src', 'components', `BackendDemo.test.${componentExt}`)
+  );
+
+  if (!ctx.dryRun) {
+    const packageJsonPath = path.join(frontendPath, 'package.json');
+    const packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf8'));
+    packageJson.scripts = { ...packageJson.scripts };
+    packageJson.scripts.test ??= 'vitest run';
+    packageJson.scripts['test:watch'] ??= 'vitest';
+    // Sorted like npm writes them
+    packageJson.devDependencies = Object.fromEntries(
+      Object.entries({ ...FRONTEND_TEST_DEPENDENCIES, ...packageJson.devDependencies }).sort(([a], [b]) => a.localeCompare(b))
+    );
+    await fs.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
+  }
+}
+
+/**
+ * Copies the files of a custom template planned by planTemplate over the
+ * generated project. Its placeholder values are already in ctx.values.
+ */
+async function applyTemplate(ctx, projectPath, { files }) {
+  for (const file of files) {
+    await copyFile(ctx, file.src, path.join(projectPath, file.to), { render: file.render });
+  }
+}
+
+/**
+ * Adds an optional feature while the project is generated. Everything it
+ * touches was written by this run, so only a merge into an existing project
+ * can hit files the user has changed. Returns the applied plan, or null in a
+ * dry run, where nothing exists yet to plan against.
+ */
+async function addFeatureToNewProject(ctx, projectPath, { name: featureName, variant }, packageJson) {
+  // Once written, the package.json on disk also records the features added before this one
+  const project = await describeProject(projectPath, ctx.dryRun
+    ? packageJson
+    : JSON.parse(await fs.readFile(path.join(projectPath, 'package.json'), 'utf8')));
+
+  if (ctx.dryRun) {
+    for (const file of featureFiles(featureName, project, variant)) {
+      ctx.files.push(path.join(projectPath, file));
+    }
+    return null;
+  }
+
+  const plan = await planFeature(featureName, project, { force: !ctx.merge, variant });
+  if (plan.conflicts.length > 0) {
+    const files = plan.conflicts.map((conflict) => conflict.path).join(', ');
+    throw new Error(`Cannot add ${plan.feature.label} without overwriting existing files (${files}). Review them, then run: create-nextpy-app add ${featureName} --force`);
+  }
+
+  for (const change of plan.changes) {
+    const target = path.join(projectPath, change.path);
+    if (change.action === 'create') {
+      await writeFile(ctx, target, change.content);
+    } else {
+      await fs.writeFile(target, change.content);
+    }
+  }
+  return plan;
+}
+
+/**
+ * Generates `projectName` in `flags.cwd` (the working directory by default).
+ * `useTailwind` is a boolean; the entry points turn the 'Yes'/'No' of the
+ * prompt, -t and nextpy.config.json into one.
+ * Failures are reported and rolled back here, then rethrown so the caller can
+ * set the exit code. `flags.exec` replaces child_process.exec for every
+ * command the run executes, including Python detection. `flags.quiet` skips
+ * the progress spinner and the closing instructions; `flags.silent` prints
+ * nothing at all.
+ *
+ * `flags.onEvent` receives the progress as plain objects, each with a `type`
+ * and an ISO `time`: a 'step' event when each step starts and ends (with its
+ * `durationMs`, and the `error` if it failed), 'warning' events for problems
+ * the run continues after, and one closing 'summary' - also the return
+ * value - with the paths, files, commands and scripts of the project, or
+ * `ok: false` and the error.
+ */
+export async function createProjectStructure(projectName, languageChoice = 'JavaScript', useTailwind = false, flags = {}) {
+  const backendTemplateDir = path.join(ROOT_DIR, 'backend_folder');
+  const frontendTemplateDir = path.join(ROOT_DIR, 'frontend_folder');
+  const projectPath = path.resolve(flags.cwd || process.cwd(), projectName);
+  const frontendPath = path.join(projectPath, 'frontend');
+  const backendPath = path.join(projectPath, 'backend');
+  const mainTemplatePath = path.join(ROOT_DIR, 'main_folder');
+  const {
+    dryRun = false,
+    offline = false,
+    force = false,
+    keepOnError = false,
+    backend = 'fastapi',
+    pythonManager = 'venv',
+    packageManager = 'npm',
+    template = null,
+    backendPort = DEFAULT_PORTS.backend,
+    frontendPort = DEFAULT_PORTS.frontend,
+    python,
+    features = [],
+    quiet = false,
+    silent = false,
+    interactive = !silent,
+    onEvent = () => {},
+    exec = execAsync,
+  } = flags;
+  const started = Date.now();
+  const emit = (event) => onEvent({ ...event, time: new Date().toISOString() });
+  const log = silent ? () => {} : console.log;
+  const logError = silent ? () => {} : console.error;
+  const framework = BACKEND_FRAMEWORKS[backend];
+  const manager = PYTHON_MANAGERS[pythonManager];
+  const packageManagerConfig = PACKAGE_MANAGERS[packageManager];
+  const minVersion = flags.minPython || framework.minPython;
+
+  const { action: existing, reason } = await resolveExistingProject(projectPath, projectName, { force, interactive, log: logError });
+  if (existing === 'abort') {
+    const error = new Error(reason);
+    emit({ type: 'summary', ok: false, error: describeError(error), durationMs: Date.now() - started });
+    throw error;
+  }
+
+  // Bundled templates use the built-in placeholders, custom ones may add their own
+  const values = {
+    ...template?.values,
+    ...builtinPlaceholders({
+      projectName,
+      language: languageChoice,
+      tailwind: useTailwind,
+      backend,
+      pythonManager,
+      packageManager,
+      backendPort,
+      frontendPort,
+    }),
+  };
+  const ctx = createRunContext({ dryRun, merge: existing === 'merge', exec, values, emit });
+  const spinner = ora({ text: 'Creating project structure...', isSilent: dryRun || quiet || silent }).start();
+
+  // The old contents are moved aside rather than deleted, so a failed run can put them back
+  let backupPath = null;
+  if (existing === 'overwrite' && !dryRun) {
+    spinner.text = `Moving existing contents of ${projectName} aside...`;
+    backupPath = `${projectPath}.backup-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    await fs.rename(projectPath, backupPath);
+  }
+
+  // An existing NextJS app is kept when merging; create-next-app refuses non-empty folders
+  const keepFrontend = ctx.merge && (await pathExists(frontendPath)) && (await fs.readdir(frontendPath)).length > 0;
+
+  try {
+    await makeDir(ctx, projectPath);
+    await makeDir(ctx, frontendPath);
+    await makeDir(ctx, backendPath);
+
+    // git initialization in project root with error handling
+    startStep(ctx, spinner, 'git-init', 'Initializing git repository...');
+    try {
+      await runCommand(ctx, 'git init', { cwd: projectPath, creates: ['.git'] });
+      finishStep(ctx);
+      spinner.text = 'Git repository initialized...';
+    } catch (gitError) {
+      finishStep(ctx, gitError);
+      spinner.warn(chalk.yellow('Git initialization failed - continuing without git...'));
+      log(chalk.yellow('⚠️  Git not found or failed to initialize. You can initialize git manually later with: git init'));
+      emit({ type: 'warning', step: 'git-init', message: 'Git not found or failed to initialize - run git init in the project later' });
+    }
+
+    // npm ships with Node; the others have to be installed separately
+    if (!offline && !dryRun && packageManager !== 'npm') {
+      try {
+        await ctx.exec(`${packageManager} --version`, { cwd: projectPath });
+      } catch (error) {
+        throw new Error(`${packageManagerConfig.label} not found. Install it (${packageManagerConfig.docs}) or choose --package-manager npm.`);
+      }
+    }
+
+    // copy backend boilerplate files for the chosen framework
+    startStep(ctx, spinner, 'backend-files', `Setting up ${framework.label} backend files...`);
+    const frameworkTemplateDir = path.join(backendTemplateDir, backend);
+    await copyDir(ctx, frameworkTemplateDir, backendPath, { skip: ['requirements.txt', 'package.json'] });
+
+    // Dependencies are declared in the format the Python manager expects
+    const requirementsText = await fs.readFile(path.join(frameworkTemplateDir, 'requirements.txt'), 'utf8');
+    const backendPackageJson = JSON.parse(await fs.readFile(path.join(frameworkTemplateDir, 'package.json'), 'utf8'));
+    for (const { name, content } of dependencyFiles(pythonManager, requirementsText, { description: backendPackageJson.description, minPython: minVersion })) {
+      await writeFile(ctx, path.join(backendPath, name), content);
+    }
+
+    const managerScripts = backendScripts(pythonManager, framework);
+    if (managerScripts) {
+      Object.assign(backendPackageJson.scripts, managerScripts);
+    }
+    await writeFile(ctx, path.join(backendPath, 'package.json'), JSON.stringify(backendPackageJson, null, 2) + '\n');
+    
+    // env.schema declares every environment variable; the env files and config modules are written from it
+    const envSchemaText = await baseSchema(values);
+    const envSchema = parseSchema(envSchemaText);
+    const envProject = { backend, typescript: languageChoice === 'TypeScript' };
+    await writeFile(ctx, path.join(projectPath, ENV_SCHEMA), envSchemaText);
+    await writeEnvFiles(ctx, projectPath, 'backend', envSchema.backend, envProject);
+    
+    // Copy gitignore template as .gitignore (npm ignores .gitignore files during publish)
+    await copyFile(ctx, 
+      path.join(backendTemplateDir, 'gitignore.template'), 
+      path.join(backendPath, '.gitignore')
+    );
+
+    await copyFile(ctx,
+      path.join(backendTemplateDir, 'pytest.ini'),
+      path.join(backendPath, 'pytest.ini')
+    );
+    finishStep(ctx);
+
+    // Remembered so the install can be repeated if a feature adds requirements
+    let backendInstall = null;
+    if (!offline && manager.install) {
+      // uv, Poetry and pipenv create and fill backend/.venv themselves, with the interpreter found here
+      startStep(ctx, spinner, pythonManager, 'Detecting Python installation...');
+      let interpreter = python;
+      if (!dryRun) {
+        try {
+          await ctx.exec(`${manager.command} --version`, { cwd: backendPath });
+        } catch (error) {
+          throw new Error(`${manager.label} not found. Install it (${manager.docs}) or choose --python-manager venv.`);
+        }
+        const detected = await detectPython({ override: python, minVersion, run: ctx.exec });
+        spinner.text = `Using Python ${formatVersion(detected.version)} (${detected.command})...`;
+        // The managers take an interpreter name or path, not the Windows py launcher
+        interpreter = detected.command.includes(' ') && !python
+          ? `${detected.version.major}.${detected.version.minor}`
+          : detected.command;
+      }
+      spinner.text = `Installing Python dependencies with ${manager.label}...`;
+      backendInstall = {
+        command: installCommand(pythonManager, interpreter),
+        options: { cwd: backendPath, creates: manager.creates, env: { ...process.env, ...manager.env } },
+      };
+      await runCommand(ctx, backendInstall.command, backendInstall.options);
+      finishStep(ctx);
+    } else if (!offline) {
+      // Detect a Python interpreter that is new enough (a dry run just shows the default)
+      startStep(ctx, spinner, 'venv', 'Detecting Python installation...');
+      let pythonCmd = python || 'python';
+      if (!dryRun) {
+        const detected = await detectPython({ override: python, minVersion, run: ctx.exec });
+        pythonCmd = detected.command;
+        spinner.text = `Using Python ${formatVersion(detected.version)} (${pythonCmd})...`;
+      }
+
+      // backend setup with OS-specific commands; an explicit --python is one (quoted) path, `py -3` is two words
+      spinner.text = 'Setting up Python virtual environment...';
+      await runCommand(ctx, [...(python ? [python] : pythonCmd.split(' ')), '-m', 'venv', 'venv'], { cwd: backendPath, creates: ['venv'] });
+      finishStep(ctx);
+      
+      // Install requirements using OS-specific path
+      startStep(ctx, spinner, 'pip', 'Installing Python dependencies...');
+      const pipPath = isWindows ? 'venv\\Scripts\\pip' : 'venv/bin/pip';
+      backendInstall = { command: `${pipPath} install -r requirements.txt`, options: { cwd: backendPath } };
+      await runCommand(ctx, backendInstall.command, backendInstall.options);
+      finishStep(ctx);
+    }
+
+    // Determine file extensions based on language choice
+    const isTypeScript = languageChoice === 'TypeScript';
+    const ext = isTypeScript ? 'ts' : 'js';
+    const componentExt = isTypeScript ? 'tsx' : 'jsx';
+
+    // frontend setup
+    const langFlag = languageChoice === "TypeScript" ? "--typescript" : "--javascript";
+    const twFlag = useTailwind ? "--tailwind" : "";
+    
+    // Use more reliable flags and timeout handling
+    const createNextCommand = `${packageManagerConfig.exec} create-next-app@latest frontend ${langFlag} ${twFlag} --eslint --app --src-dir --import-alias "@/*" --use-${packageManager}`;
+    
+    if (keepFrontend) {
+      spinner.text = 'Keeping existing NextJS application...';
+    } else if (offline) {
+      startStep(ctx, spinner, 'next-skeleton', 'Writing bundled NextJS skeleton...');
+      await writeNextSkeleton(ctx, frontendPath, { isTypeScript, useTailwind });
+      finishStep(ctx);
+    } else {
+      startStep(ctx, spinner, 'create-next-app', 'Creating NextJS application (this may take a few minutes)...');
+      try {
+        // Set environment variables to prevent interactive prompts
+        const execOptions = { 
+          cwd: projectPath,
+          timeout: 300000, // 5 minute timeout
+          env: { 
+            ...process.env, 
+            CI: 'true',
+            FORCE_COLOR: '0'
+          }
+        };
+        
+        await runCommand(ctx, createNextCommand, execOptions);
+        finishStep(ctx);
+      } catch (error) {
+        if (error.signal === 'SIGTERM' || error.code === 'TIMEOUT') {
+          spinner.fail(chalk.red('NextJS creation timed out.'));
+          log(chalk.yellow('\n⚠️  Troubleshooting suggestions:'));
+          log(chalk.white('1. Check your internet connection'));
+          log(chalk.white('2. Try running the command manually:'));
+          log(chalk.gray(`   cd ${projectName}`));
+          log(chalk.gray(`   ${createNextCommand}`));
+          log(chalk.white('3. Clear npm cache: npm cache clean --force'));
+          log(chalk.white('4. Generate without network access: create-nextpy-app --offline'));
+          throw new Error('NextJS creation timed out');
+        }
+        throw error;
+      }
+    }
+
+    // Copy frontend template files to the created NextJS app
+    startStep(ctx, spinner, 'frontend-files', 'Adding custom frontend components...');
+    const frontendSrcPath = path.join(frontendPath, 'src');
+    
+    // Copy the catch-all API proxy with correct extension
+    const apiRouteSrc = path.join(frontendTemplateDir, 'src', 'app', 'api', '[[...path]]', `route.${ext}`);
+    const apiRouteDest = path.join(frontendSrcPath, 'app', 'api', '[[...path]]');
+    await copyFile(ctx, apiRouteSrc, path.join(apiRouteDest, `route.${ext}`));
+    
+    // Copy components with correct extension
+    const componentSrc = path.join(frontendTemplateDir, 'src', 'components', `BackendDemo.${componentExt}`);
+    const componentDestDir = path.join(frontendSrcPath, 'components');
+    await copyFile(ctx, componentSrc, path.join(componentDestDir, `BackendDemo.${componentExt}`));
+    
+    // Copy lib utilities with correct extension
+    const libSrc = path.join(frontendTemplateDir, 'src', 'lib', `api.${ext}`);
+    const libDestDir = path.join(frontendSrcPath, 'lib');
+    await copyFile(ctx, libSrc, path.join(libDestDir, `api.${ext}`));
+    
+    // Copy updated page with correct extension
+    const pageSrc = path.join(frontendTemplateDir, 'src', 'app', `page.${componentExt}`);
+    await copyFile(ctx, pageSrc, path.join(frontendSrcPath, 'app', `page.${componentExt}`));
+    // create-next-app names the JavaScript page page.js, which would clash with page.jsx
+    if (!isTypeScript && !keepFrontend && !dryRun) {
+      await fs.rm(path.join(frontendSrcPath, 'app', 'page.js'), { force: true });
+    }
+
+    if (!keepFrontend) {
+      await setFrontendPort(ctx, frontendPath, frontendPort);
+    }
+
+    spinner.text = 'Adding frontend tests...';
+    await addFrontendTests(ctx, frontendPath, { isTypeScript });
+    
+    // Copy environment and README files
+    spinner.text = 'Adding configuration files...';
+    await writeEnvFiles(ctx, projectPath, 'frontend', envSchema.frontend, envProject);
+    await commitEnvExample(ctx, frontendPath);
+    
+    await copyFile(ctx, 
+      path.join(frontendTemplateDir, 'README.md'),
+      path.join(frontendPath, 'README.md')
+    );
+    
+    // Write project-level package.json for convenient scripts, named after the project
+    const projectPackageJson = JSON.parse(
+      await fs.readFile(path.join(mainTemplatePath, 'project-package.json'), 'utf8')
+    );
+    projectPackageJson.name = projectName;
+    projectPackageJson.description = `NextJS + Python ${framework.label} full-stack application`;
+    Object.assign(projectPackageJson.scripts, rootSetupScripts(pythonManager));
+    projectPackageJson.scripts = packageManagerScripts(projectPackageJson.scripts, packageManager);
+    // gen:api runs this CLI from the project's own node_modules
+    projectPackageJson.devDependencies['create-nextpy-app'] = `^${cliPackageJson.version}`;
+    // Lets `create-nextpy-app add` plan features for this backend and language
+    projectPackageJson.nextpy = projectMetadata({
+      version: cliPackageJson.version,
+      backend,
+      pythonManager,
+      packageManager,
+      language: languageChoice,
+      // Recorded the way -t and nextpy.config.json spell it
+      tailwind: useTailwind ? 'Yes' : 'No',
+      backendPort,
+      frontendPort,
+      template: template ? { name: template.name, source: template.source } : undefined,
+    });
+    await writeFile(ctx, 
+      path.join(projectPath, 'package.json'),
+      JSON.stringify(projectPackageJson, null, 2) + '\n'
+    );
+    
+    // Copy project README
+    await copyFile(ctx, 
+      path.join(mainTemplatePath, 'project-README.md'),
+      path.join(projectPath, 'README.md')
+    );
+    finishStep(ctx);
+
+    // create-next-app has already installed everything but the test runner
+    if (!offline) {
+      startStep(ctx, spinner, 'frontend-install', 'Installing frontend test dependencies...');
+      await runCommand(ctx, packageManagerConfig.install, { cwd: frontendPath });
+      finishStep(ctx);
+    }
+
+    // House templates replace the bundled files; features are then added on top
+    if (template) {
+      startStep(ctx, spinner, 'template', `Applying the ${template.name} template...`);
+      await applyTemplate(ctx, projectPath, template);
+      finishStep(ctx);
+    }
+
+    // Optional features go through the same planner as `create-nextpy-app add`
+    const featurePlans = [];
+    for (const feature of features) {
+      startStep(ctx, spinner, 'feature', `Adding ${FEATURES[feature.name].label}...`, { feature: feature.name });
+      const plan = await addFeatureToNewProject(ctx, projectPath, feature, projectPackageJson);
+      if (plan) featurePlans.push(plan);
+      if (!plan || !backendInstall) {
+        finishStep(ctx);
+        continue;
+      }
+
+      const dependencyFile = path.join('backend', DEPENDENCY_FILES[pythonManager]);
+      if (plan.changes.some((change) => change.path === dependencyFile)) {
+        spinner.text = `Installing Python dependencies for ${plan.feature.label}...`;
+        await runCommand(ctx, backendInstall.command, backendInstall.options);
+      }
+      if (plan.setup) {
+        spinner.text = `Setting up ${plan.feature.label}...`;
+        const pythonArgs = manager.run ? [...manager.run.split(' '), 'python'] : [isWindows ? 'venv\\Scripts\\python' : 'venv/bin/python'];
+        await runCommand(ctx, [...pythonArgs, ...plan.setup], backendInstall.options);
+      }
+      finishStep(ctx);
+    }
+    
+    // Lets `create-nextpy-app upgrade` tell the files the user changed from untouched ones;
+    // files of a custom template are left to the template
+    const templateFiles = new Set((template?.files || []).map((file) => path.join(projectPath, file.to)));
+    const generatedFiles = ctx.files.filter((file) => !templateFiles.has(file)).map((file) => path.relative(projectPath, file));
+    await writeFile(ctx, path.join(projectPath, LOCKFILE), renderLockfile({
+      version: cliPackageJson.version,
+      features,
+      files: await hashFiles(projectPath, generatedFiles),
+    }));
+
+    // Install concurrently in the project root
+    if (!offline) {
+      startStep(ctx, spinner, 'root-install', 'Installing project dependencies...');
+      await runCommand(ctx, packageManagerConfig.install, { cwd: projectPath, creates: ['node_modules', packageManagerConfig.lockfile] });
+      finishStep(ctx);
+    }
+
+    const { run } = packageManagerConfig;
+    // Features add scripts to the package.json on disk
+    const { scripts } = dryRun ? projectPackageJson : JSON.parse(await fs.readFile(path.join(projectPath, 'package.json'), 'utf8'));
+    const relative = (file) => path.relative(projectPath, file) || '.';
+    const summary = {
+      type: 'summary',
+      ok: true,
+      dryRun,
+      offline,
+      project: {
+        name: projectName,
+        backend,
+        language: languageChoice,
+        tailwind: useTailwind,
+        pythonManager,
+        packageManager,
+        backendPort,
+        frontendPort,
+        features,
+      },
+      paths: { root: projectPath, frontend: frontendPath, backend: backendPath },
+      files: ctx.files.map(relative),
+      kept: ctx.kept.map(relative),
+      commands: ctx.commands.map(({ command, cwd }) => ({ command, cwd: relative(cwd || projectPath) })),
+      scripts,
+      nextSteps: [`cd ${projectName}`, ...(offline ? [`${run} setup`] : []), `${run} dev`],
+      notes: Object.fromEntries(featurePlans.map((plan) => [plan.name, plan.notes])),
+      urls: { backend: `http://localhost:${backendPort}`, frontend: `http://localhost:${frontendPort}` },
+    };
+
+    if (dryRun) {
+      if (existing === 'overwrite') {
+        log(chalk.yellow(`\n⚠️  The existing contents of ${projectName} would be deleted first.`));
+      }
+      if (!silent) {
+        printPlan(ctx, projectPath, projectName);
+      }
+      if (!offline) {
+        log(chalk.gray('\n   The remaining frontend files are generated by create-next-app.'));
+      }
+      log(chalk.yellow('\nDry run complete - nothing was written to disk.'));
+      summary.durationMs = Date.now() - started;
+      emit(summary);
+      return summary;
+    }
+
+    if (backupPath) {
+      await fs.rm(backupPath, { recursive: true, force: true });
+    }
+
+    spinner.succeed(chalk.green(`Project created successfully! 🚀`));
+    summary.durationMs = Date.now() - started;
+    emit(summary);
+    if (quiet || silent) return summary;
+
+    if (ctx.kept.length > 0) {
+      log(chalk.yellow(`\n📎 Kept ${ctx.kept.length} existing file(s) instead of overwriting them:`));
+      for (const file of ctx.kept) {
+        log(chalk.gray(`   ${path.relative(projectPath, file)}`));
+      }
+    }
+
+    if (offline) {
+      log(chalk.yellow('\n📦 Dependencies were not installed. When you are online, run:'));
+      log(chalk.green(`   cd ${projectName}`));
+      log(chalk.green(`   ${run} setup`));
+    }
+    
+    // Display setup instructions
+    log(chalk.cyan('\n📋 Quick Start:'));
+    log(chalk.white('Run both frontend and backend together:'));
+    log(chalk.green(`   cd ${projectName}`));
+    log(chalk.green(`   ${run} dev`));
+    
+    log(chalk.cyan('\n📋 Manual Setup (if needed):'));
+    log(chalk.white('1. Backend setup:'));
+    log(chalk.gray(`   cd ${path.join(projectName, 'backend')}`));
+    
+    if (manager.run) {
+      log(chalk.gray(`   # Dependencies are managed by ${manager.label} in backend/.venv`));
+      log(chalk.gray(`   ${run} dev  # or ${manager.run} ${framework.devCommand}`));
+    } else {
+      if (isWindows) {
+        log(chalk.gray('   # Activate virtual environment (Windows)'));
+        log(chalk.gray('   venv\\Scripts\\activate'));
+      } else {
+        log(chalk.gray('   # Activate virtual environment (macOS/Linux)'));
+        log(chalk.gray('   source venv/bin/activate'));
+      }
+      
+      log(chalk.gray(`   ${run} dev  # or ${framework.devCommand}`));
+    }
+    
+    log(chalk.white('\n2. Frontend setup:'));
+    log(chalk.gray(`   cd ${path.join(projectName, 'frontend')}`));
+    log(chalk.gray(`   ${packageManagerConfig.install}`));
+    log(chalk.gray(`   ${run} dev`));
+    
+    log(chalk.cyan('\n🚀 Available Scripts:'));
+    for (const [script, description] of [
+      ['dev', 'Run the backend, then the frontend once it is up'],
+      ['frontend', 'Run only frontend'],
+      ['backend', 'Run only backend'],
+      ['build', 'Build frontend for production'],
+      ['install:all', 'Install all dependencies'],
+    ]) {
+      log(chalk.white(`   ${`${run} ${script}`.padEnd(21)}- ${description}`));
+    }
+    
+    for (const plan of featurePlans) {
+      log(chalk.cyan(`\n🧩 ${plan.feature.label}:`));
+      plan.notes.forEach((note) => log(chalk.white(`   ${note}`)));
+    }
+
+    log(chalk.cyan('\n🌐 URLs:'));
+    log(chalk.white(`   Backend:  http://localhost:${backendPort}`));
+    log(chalk.white(`   Frontend: http://localhost:${frontendPort}`));
+    
+    log(chalk.green('\n✨ Features included:'));
+    log(chalk.white(`   • NextJS API routes that forward to the Python ${framework.label} backend`));
+    log(chalk.white('   • Sample GET/POST request implementations'));
+    if (isTypeScript) {
+      log(chalk.white('   • TypeScript support with proper typing'));
+    }
+    log(chalk.white('   • Error handling and loading states'));
+    if (useTailwind) {
+      log(chalk.white('   • Tailwind CSS styling'));
+    }
+    return summary;
+  } catch (err) {
+    const failedStep = ctx.step?.step;
+    finishStep(ctx, err);
+    spinner.fail(chalk.red(`Error: ${err.message}`));
+
+    let rolledBack = false;
+    if (keepOnError) {
+      logError(chalk.yellow(`\n🔍 --keep-on-error: the partially created project was left in ${projectPath}`));
+      if (backupPath) {
+        logError(chalk.yellow(`   Your previous contents are in ${backupPath}`));
+      }
+    } else if (!dryRun) {
+      const rollbackSpinner = ora({ text: 'Rolling back partially created files...', isSilent: silent }).start();
+      const failures = await rollback(ctx, { backupPath, projectPath });
+      rolledBack = failures.length === 0;
+      if (rolledBack) {
+        rollbackSpinner.succeed(chalk.yellow(backupPath
+          ? `Rolled back - ${projectName} was restored to its previous contents`
+          : 'Rolled back - no partial project was left behind'));
+      } else {
+        rollbackSpinner.warn(chalk.yellow('Rollback could not remove everything:'));
+        failures.forEach((failure) => logError(chalk.gray(`   ${failure}`)));
+      }
+      logError(chalk.gray('   Re-run with --keep-on-error to inspect the partial project instead.'));
+    }
+
+    if (err.candidates && err.candidates.length > 0) {
+      logError(chalk.cyan('\n🐍 Python interpreters checked:'));
+      for (const { command, version, reason } of err.candidates) {
+        const found = version ? `Python ${formatVersion(version)}` : 'missing';
+        logError(chalk.gray(`   ${command.padEnd(12)} ${found}${reason ? ` - ${reason}` : ''}`));
+      }
+      logError(chalk.gray(`   Point the CLI at a specific interpreter with --python <path>`));
+    }
+
+    logError(chalk.red('\n🚨 Troubleshooting:'));
+    logError(chalk.yellow('• Make sure Python is installed and available in PATH'));
+    logError(chalk.yellow(`• Make sure Node.js and ${packageManagerConfig.label} are installed`));
+    logError(chalk.yellow('• Check internet connection for downloading dependencies'));
+
+    emit({
+      type: 'summary',
+      ok: false,
+      dryRun,
+      error: { ...describeError(err), ...(failedStep && { step: failedStep }) },
+      rolledBack,
+      ...(keepOnError && { paths: { root: projectPath, ...(backupPath && { backup: backupPath }) } }),
+      durationMs: Date.now() - started,
+    });
+    throw err;
+  }
+}
@@ -0,0 +1,292 @@
+// `create-nextpy-app dev`: the generated project's `dev` script. Starts the
+// Python backend, waits until it answers on /health, then starts Next.js
+// pointed at it - with both log streams prefixed in one terminal, the next
+// free port when the configured one is taken, and both servers stopped
+// together on Ctrl+C or when either of them exits.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { spawn as spawnProcess } from 'child_process';
+import chalk from 'chalk';
+import { BACKEND_FRAMEWORKS } from './backend-frameworks.js';
+import { PACKAGE_MANAGERS } from './package-managers.js';
+import { PYTHON_MANAGERS } from './python-managers.js';
+import { isPortFree } from './doctor.js';
+
+export const HEALTH_PATH = '/health';
+
+// How many ports above the configured one are tried before giving up
+const PORT_ATTEMPTS = 20;
+// How long the servers get to exit on their own before they are killed
+const SHUTDOWN_GRACE_MS = 5000;
+
+const PREFIX_WIDTH = 'frontend'.length;
+
+/**
+ * The first free port from `port` upwards, skipping `exclude`.
+ */
+export async function findFreePort(port, { portFree = isPortFree, exclude = [] } = {}) {
+  for (let candidate = port; candidate < port + PORT_ATTEMPTS; candidate++) {
+    if (!exclude.includes(candidate) && await portFree(candidate)) return candidate;
+  }
+  throw new Error(`Ports ${port}-${port + PORT_ATTEMPTS - 1} are all in use`);
+}
+
+/**
+ * `script` (a `next dev` or similar package.json script) set to run on
+ * `port`: an existing --port/-p is replaced, otherwise one is added to
+ * `next dev`/`next start`.
+ */
+export function withPort(script, port) {
+  const portOption = /(--port(?:=|\s+)|\s-p\s+)\d+/;
+  if (portOption.test(script)) return script.replace(portOption, `$1${port}`);
+  return /\bnext (dev|start)\b/.test(script) ? `${script} --port ${port}` : script;
+}
+
+function venvPython(project, platform) {
+  const envDir = project.pythonManager === 'venv' ? 'venv' : '.venv';
+  return path.join(project.root, 'backend', envDir, platform === 'win32' ? path.join('Scripts', 'python.exe') : path.join('bin', 'python'));
+}
+
+/**
+ * How to start the backend's dev server on `port`: { command, args, options }.
+ * The server is started directly rather than through the backend's npm
+ * script, so stopping it does not leave the Python process behind.
+ */
+export function backendProcess(project, port, { platform = process.platform } = {}) {
+  const { devArgs } = BACKEND_FRAMEWORKS[project.backend];
+  const pythonArgs = devArgs.map((arg) => arg.replace('{{backendPort}}', port));
+  const manager = PYTHON_MANAGERS[project.pythonManager];
+  const options = {
+    cwd: path.join(project.root, 'backend'),
+    env: { ...manager.env, PYTHONUNBUFFERED: '1' },
+  };
+
+  if (!manager.run) {
+    return { command: venvPython(project, platform), args: pythonArgs, options };
+  }
+  const [command, ...runArgs] = manager.run.split(' ');
+  return { command, args: [...runArgs, 'python', ...pythonArgs], options };
+}
+
+/**
+ * How to start the frontend's `dev` script on `port`, with its
+ * node_modules/.bin on the PATH as a package manager would.
+ */
+export function frontendProcess(project, port, packageJson = {}) {
+  const cwd = path.join(project.root, 'frontend');
+  const pathKey = Object.keys(process.env).find((key) => key.toUpperCase() === 'PATH') || 'PATH';
+  return {
+    command: withPort(packageJson.scripts?.dev || 'next dev', port),
+    args: [],
+    options: {
+      cwd,
+      shell: true,
+      env: { [pathKey]: [path.join(cwd, 'node_modules', '.bin'), process.env[pathKey]].filter(Boolean).join(path.delimiter) },
+    },
+  };
+}
+
+/**
+ * Polls `url` until the server answers with a 2xx status, `timeout`
+ * milliseconds pass or `cancelled()` returns true. A 404 means something
+ * else is on the port, or the app has not mounted /health yet, so it keeps
+ * waiting. Resolves to whether the server answered.
+ */
+export async function waitForHealth(url, { fetch = globalThis.fetch, timeout = 60000, interval = 250, cancelled = () => false } = {}) {
+  const deadline = Date.now() + timeout;
+  while (!cancelled() && Date.now() < deadline) {
+    try {
+      const response = await fetch(url, { signal: AbortSignal.timeout(2000) });
+      if (response.ok) return true;
+    } catch {
+      // not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+  return false;
+}
+
+/**
+ * A stream 'data' handler that writes each complete line through `write`
+ * with `prefix` in front; `flush` writes a trailing partial line.
+ */
+export function prefixLines(prefix, write) {
+  let pending = '';
+  const handler = (chunk) => {
+    const lines = (pending + chunk.toString()).split(/\r?\n/);
+    pending = lines.pop();
+    lines.forEach((line) => write(`${prefix} ${line}\n`));
+  };
+  handler.flush = () => {
+    if (pending) write(`${prefix} ${pending}\n`);
+    pending = '';
+  };
+  return handler;
+}
+
+/**
+ * Stops `child` and everything it started (uvicorn's reloader, the shell
+ * around next dev). Children are started in their own process group on
+ * macOS/Linux so the whole group can be signalled.
+ */
+function killTree(child, signal, platform = process.platform) {
+  try {
+    if (platform === 'win32') {
+      spawnProcess('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+    } else {
+      process.kill(-child.pid, signal);
+    }
+  } catch {
+    try {
+      child.kill(signal);
+    } catch {
+      // already gone
+    }
+  }
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function exists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Runs the backend and frontend of `project` until Ctrl+C or until one of
+ * them exits. Resolves to the exit code for the CLI. `spawn`, `portFree`,
+ * `fetch`, `kill` and `signals` (the emitter SIGINT/SIGTERM come from) can
+ * be replaced for tests.
+ */
+export async function runDev(project, {
+  spawn = spawnProcess,
+  portFree = isPortFree,
+  fetch = globalThis.fetch,
+  kill = killTree,
+  signals = process,
+  platform = process.platform,
+  healthTimeout = 60000,
+  healthInterval = 250,
+  write = (text) => process.stdout.write(text),
+} = {}) {
+  const log = (message) => write(`${chalk.gray('dev'.padEnd(PREFIX_WIDTH))} ${message}\n`);
+  const { run } = PACKAGE_MANAGERS[project.packageManager];
+
+  const backend = backendProcess(project, project.backendPort, { platform });
+  if (!PYTHON_MANAGERS[project.pythonManager].run && !await exists(backend.command)) {
+    log(chalk.red(`The backend environment is missing - run ${run} setup first.`));
+    return 1;
+  }
+
+  const backendPort = await findFreePort(project.backendPort, { portFree });
+  const frontendPort = await findFreePort(project.frontendPort, { portFree, exclude: [backendPort] });
+  const backendUrl = `http://localhost:${backendPort}`;
+  const frontendUrl = `http://localhost:${frontendPort}`;
+  // The env files point at the configured ports; override them when a fallback port is used
+  const backendEnv = frontendPort === project.frontendPort ? {} : { ALLOWED_URL: frontendUrl };
+  const frontendEnv = backendPort === project.backendPort
+    ? {}
+    : { BACKEND_URL: backendUrl, NEXT_PUBLIC_BACKEND_WS_URL: `ws://localhost:${backendPort}` };
+  if (backendPort !== project.backendPort) {
+    log(chalk.yellow(`Port ${project.backendPort} is in use, the backend runs on ${backendPort}`));
+  }
+  if (frontendPort !== project.frontendPort) {
+    log(chalk.yellow(`Port ${project.frontendPort} is in use, the frontend runs on ${frontendPort}`));
+  }
+
+  // The servers write to a pipe, so they only keep their colors when asked to
+  const colors = chalk.level > 0 && !('NO_COLOR' in process.env) ? { FORCE_COLOR: String(chalk.level) } : {};
+  const children = [];
+  let stopping = false;
+  let exitCode = 0;
+  let finish;
+  const finished = new Promise((resolve) => { finish = resolve; });
+
+  const onSignal = () => {
+    log('Stopping...');
+    stop(0);
+  };
+  signals.on('SIGINT', onSignal);
+  signals.on('SIGTERM', onSignal);
+
+  const settle = () => {
+    if (stopping && children.every((child) => child.exited)) {
+      signals.off('SIGINT', onSignal);
+      signals.off('SIGTERM', onSignal);
+      finish(exitCode);
+    }
+  };
+
+  function stop(code) {
+    if (stopping) return;
+    stopping = true;
+    exitCode = code;
+    const running = () => children.filter((child) => !child.exited);
+    running().forEach((child) => kill(child, 'SIGTERM', platform));
+    if (running().length > 0) {
+      setTimeout(() => running().forEach((child) => kill(child, 'SIGKILL', platform)), SHUTDOWN_GRACE_MS).unref();
+    }
+    settle();
+  }
+
+  function start(name, color, { command, args, options }, env) {
+    const child = spawn(command, args, {
+      ...options,
+      env: { ...process.env, ...colors, ...options.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: platform !== 'win32',
+    });
+    const output = prefixLines(color(name.padEnd(PREFIX_WIDTH)), write);
+    child.stdout.on('data', output);
+    child.stderr.on('data', output);
+    child.on('error', (error) => {
+      child.exited = true;
+      log(chalk.red(error.code === 'ENOENT' ? `Could not start the ${name}: ${command} not found` : `The ${name} failed: ${error.message}`));
+      stop(1);
+      settle();
+    });
+    child.on('exit', (code, signal) => {
+      child.exited = true;
+      output.flush();
+      if (!stopping) {
+        log(chalk.red(`The ${name} exited (${signal || `code ${code}`}), stopping the ${name === 'backend' ? 'frontend' : 'backend'}`));
+        stop(code || 1);
+      }
+      settle();
+    });
+    children.push(child);
+    return child;
+  }
+
+  start('backend', chalk.cyan, backendProcess(project, backendPort, { platform }), backendEnv);
+  log(`Waiting for the backend on ${backendUrl}${HEALTH_PATH}...`);
+  const healthy = await waitForHealth(`${backendUrl}${HEALTH_PATH}`, {
+    fetch,
+    timeout: healthTimeout,
+    interval: healthInterval,
+    cancelled: () => stopping,
+  });
+
+  if (!stopping) {
+    if (healthy) {
+      log(chalk.green(`Backend ready on ${backendUrl}, starting the frontend`));
+      const packageJson = await readJson(path.join(project.root, 'frontend', 'package.json')) || {};
+      start('frontend', chalk.magenta, frontendProcess(project, frontendPort, packageJson), frontendEnv);
+      log(chalk.green(`Open ${frontendUrl} (Ctrl+C stops both servers)`));
+    } else {
+      log(chalk.red(`The backend did not answer on ${backendUrl}${HEALTH_PATH} within ${Math.round(healthTimeout / 1000)}s`));
+      stop(1);
+    }
+  }
+  return finished;
+}
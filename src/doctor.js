@@ -0,0 +1,293 @@
+// `create-nextpy-app doctor`: checks what `npm run dev` needs in a generated
+// project - Node and Python, the backend environment and its packages, the
+// frontend dependencies, free ports and URLs that agree - and suggests a fix
+// for every problem it finds.
+import { promises as fs } from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { BACKEND_FRAMEWORKS } from './backend-frameworks.js';
+import { PACKAGE_MANAGERS } from './package-managers.js';
+import { DEPENDENCY_FILES, PYTHON_MANAGERS, declaredRequirements, normalizeName } from './python-managers.js';
+import { PythonDetectionError, compareVersions, detectPython, formatVersion, parseMinimum, parseVersion } from './python-detect.js';
+import { readEnvFile } from './generate-client.js';
+
+const execAsync = promisify(exec);
+
+// Next.js 15 refuses to start on anything older
+export const MIN_NODE = '18.18';
+
+// Prints { name: version } for every distribution installed in the environment
+// (single quotes only, so it fits in a double-quoted argument on every shell)
+const LIST_PACKAGES = "import importlib.metadata as m, json; "
+  + "print(json.dumps({d.metadata['Name']: d.version for d in m.distributions() if d.metadata['Name']}))";
+
+export const LOCAL_HOSTS = ['localhost', '127.0.0.1', '0.0.0.0', '[::1]'];
+
+/**
+ * Resolves to false when something already listens on `port`.
+ */
+export function isPortFree(port) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.once('listening', () => server.close(() => resolve(true)));
+    server.listen(port);
+  });
+}
+
+/**
+ * The port a dev/start script passes to uvicorn, flask, runserver or next,
+ * or null if it does not set one.
+ */
+export function scriptPort(script = '') {
+  // --port 8000, --port=8000, -p 3000, 0.0.0.0:8000 and the quoted node -e form '--port', '8000'
+  const match = /(?:(?:--port|\s-p)(?:=|',\s*'|\s+)|\d+\.\d+\.\d+\.\d+:)(\d+)\b/.exec(script);
+  return match ? Number(match[1]) : null;
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function exists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const check = (id, label, status, message, fix = null) => ({ id, label, status, message, fix });
+
+function checkNode(nodeVersion) {
+  const version = parseMinimum(nodeVersion.replace(/^v/, ''));
+  if (version && compareVersions(version, parseMinimum(MIN_NODE)) >= 0) {
+    return check('node', 'Node.js', 'pass', `Node.js ${formatVersion(version)}`);
+  }
+  return check('node', 'Node.js', 'fail', `Node.js ${nodeVersion} is older than the ${MIN_NODE} Next.js needs`,
+    `Install Node.js ${MIN_NODE} or newer (https://nodejs.org)`);
+}
+
+async function checkPython(project, run) {
+  const { minPython } = BACKEND_FRAMEWORKS[project.backend];
+  try {
+    const { command, version } = await detectPython({ minVersion: minPython, run });
+    return check('python', 'Python', 'pass', `Python ${formatVersion(version)} (${command})`);
+  } catch (error) {
+    if (!(error instanceof PythonDetectionError)) throw error;
+    return check('python', 'Python', 'fail', error.message,
+      `Install Python ${minPython} or newer (https://www.python.org/downloads/) and make sure it is on your PATH`);
+  }
+}
+
+async function checkPythonManager(project, run) {
+  const manager = PYTHON_MANAGERS[project.pythonManager];
+  try {
+    const { stdout } = await run(`${manager.command} --version`);
+    return check('python-manager', manager.label, 'pass', stdout.trim() || `${manager.label} is installed`);
+  } catch {
+    return check('python-manager', manager.label, 'fail', `${manager.label} is not installed`, `Install it: ${manager.docs}`);
+  }
+}
+
+/**
+ * Checks the backend environment and the packages installed in it against
+ * the dependency file. Returns the two checks.
+ */
+async function checkBackendEnvironment(project, { run, platform }) {
+  const { minPython } = BACKEND_FRAMEWORKS[project.backend];
+  const { run: runScript } = PACKAGE_MANAGERS[project.packageManager];
+  const envDir = project.pythonManager === 'venv' ? 'venv' : '.venv';
+  const envPath = path.join(project.root, 'backend', envDir);
+  const python = path.join(envPath, platform === 'win32' ? path.join('Scripts', 'python.exe') : path.join('bin', 'python'));
+  const setup = `${runScript} backend:setup`;
+
+  let version = null;
+  if (await exists(python)) {
+    try {
+      const { stdout, stderr } = await run(`"${python}" --version`);
+      version = parseVersion(`${stdout}${stderr}`);
+    } catch {
+      // a venv whose interpreter was removed or upgraded away is as good as missing
+    }
+  }
+
+  const packagesLabel = 'Backend packages';
+  if (!version) {
+    return [
+      check('backend-env', 'Backend environment', 'fail', `backend/${envDir} is missing or broken`, `Create it: ${setup}`),
+      check('backend-packages', packagesLabel, 'skip', 'Needs the backend environment'),
+    ];
+  }
+  if (compareVersions(version, parseMinimum(minPython)) < 0) {
+    return [
+      check('backend-env', 'Backend environment', 'fail', `backend/${envDir} uses Python ${formatVersion(version)}; ${BACKEND_FRAMEWORKS[project.backend].label} needs ${minPython} or newer`,
+        `Delete backend/${envDir} and recreate it with a newer Python: ${setup}`),
+      check('backend-packages', packagesLabel, 'skip', 'Needs the backend environment'),
+    ];
+  }
+  const envCheck = check('backend-env', 'Backend environment', 'pass', `backend/${envDir} (Python ${formatVersion(version)})`);
+
+  const dependencyFile = DEPENDENCY_FILES[project.pythonManager];
+  let requirements;
+  try {
+    requirements = declaredRequirements(project.pythonManager, await fs.readFile(path.join(project.root, 'backend', dependencyFile), 'utf8'));
+  } catch {
+    return [envCheck, check('backend-packages', packagesLabel, 'fail', `backend/${dependencyFile} is missing`,
+      `Restore backend/${dependencyFile} from version control`)];
+  }
+
+  let installed;
+  try {
+    const { stdout } = await run(`"${python}" -c "${LIST_PACKAGES}"`);
+    installed = Object.fromEntries(Object.entries(JSON.parse(stdout)).map(([name, installedVersion]) => [normalizeName(name), installedVersion]));
+  } catch (error) {
+    return [envCheck, check('backend-packages', packagesLabel, 'warn', `Cannot list the installed packages (${error.message.split('\n')[0]})`)];
+  }
+
+  const install = `${runScript} backend:install`;
+  const missing = requirements.filter(({ name }) => !installed[normalizeName(name)]);
+  if (missing.length > 0) {
+    return [envCheck, check('backend-packages', packagesLabel, 'fail',
+      `Not installed: ${missing.map(({ name }) => name).join(', ')}`, `Install them: ${install}`)];
+  }
+  // Only exact pins are compared; ranges are left to pip
+  const outdated = requirements.filter(({ name, spec }) => /^==\s*[^\s,;*]+$/.test(spec) && installed[normalizeName(name)] !== spec.replace(/^==\s*/, ''));
+  if (outdated.length > 0) {
+    return [envCheck, check('backend-packages', packagesLabel, 'warn',
+      `Installed versions differ from backend/${dependencyFile}: ${outdated.map(({ name, spec }) => `${name} ${installed[normalizeName(name)]} (wants ${spec})`).join(', ')}`,
+      `Reinstall them: ${install}`)];
+  }
+  return [envCheck, check('backend-packages', packagesLabel, 'pass', `${requirements.length} requirement(s) of backend/${dependencyFile} installed`)];
+}
+
+/**
+ * Checks that every dependency in `dir`/package.json is in its node_modules.
+ */
+async function checkNodeModules(project, dir) {
+  const id = dir === '.' ? 'root-modules' : 'frontend-modules';
+  const label = dir === '.' ? 'Root dependencies' : 'Frontend dependencies';
+  const { install } = PACKAGE_MANAGERS[project.packageManager];
+  const fix = `Install them: ${dir === '.' ? install : `cd ${dir} && ${install}`}`;
+  const packageJson = await readJson(path.join(project.root, dir, 'package.json'));
+  if (!packageJson) {
+    return check(id, label, 'fail', `${path.join(dir, 'package.json')} is missing`, 'Restore it from version control');
+  }
+
+  const declared = Object.keys({ ...packageJson.dependencies, ...packageJson.devDependencies });
+  const modules = path.join(project.root, dir, 'node_modules');
+  const missing = [];
+  for (const name of declared) {
+    if (!(await exists(path.join(modules, name, 'package.json')))) missing.push(name);
+  }
+  if (missing.length === 0) {
+    return check(id, label, 'pass', `${declared.length} package(s) installed`);
+  }
+  const where = dir === '.' ? 'node_modules' : `${dir}/node_modules`;
+  return check(id, label, 'fail', missing.length === declared.length
+    ? `${where} is missing or empty`
+    : `Not installed: ${missing.join(', ')}`, fix);
+}
+
+async function checkPort(id, label, port, portFree) {
+  if (await portFree(port)) {
+    return check(id, label, 'pass', `Port ${port} is free`);
+  }
+  return check(id, label, 'warn', `Port ${port} is already in use (a dev server may still be running)`,
+    `Stop the process on port ${port} (lsof -i :${port} on macOS/Linux, netstat -ano | findstr :${port} on Windows) or change the port in the dev and start scripts`);
+}
+
+/**
+ * Compares a URL from an env file with the port the other half listens on.
+ */
+async function checkUrl({ id, label, file, variable, port, listener }, root) {
+  const fix = `Set ${variable}=http://localhost:${port} in ${file}`;
+  if (!(await exists(path.join(root, file)))) {
+    return check(id, label, 'fail', `${file} is missing`, `Create it with ${variable}=http://localhost:${port}`);
+  }
+  const value = (await readEnvFile(path.join(root, file)))[variable];
+  if (!value) {
+    return check(id, label, 'fail', `${variable} is not set in ${file}`, fix);
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return check(id, label, 'fail', `${variable} in ${file} is not a URL (${value})`, fix);
+  }
+  if (!LOCAL_HOSTS.includes(url.hostname)) {
+    return check(id, label, 'pass', `${variable}=${value} (not a local address, port not compared)`);
+  }
+  const urlPort = Number(url.port || (url.protocol === 'https:' ? 443 : 80));
+  if (urlPort !== port) {
+    return check(id, label, 'fail', `${variable}=${value} in ${file}, but the ${listener} listens on port ${port}`, fix);
+  }
+  return check(id, label, 'pass', `${variable}=${value}`);
+}
+
+/**
+ * The ports the dev servers listen on, as { backend, frontend }: the ones the
+ * dev scripts really use win over the ones recorded at generation time.
+ */
+export async function listeningPorts(project) {
+  const backendScripts = (await readJson(path.join(project.root, 'backend', 'package.json')))?.scripts || {};
+  const frontendScripts = (await readJson(path.join(project.root, 'frontend', 'package.json')))?.scripts || {};
+  return {
+    backend: scriptPort(backendScripts.dev) ?? project.backendPort,
+    frontend: scriptPort(frontendScripts.dev) ?? project.frontendPort,
+  };
+}
+
+/**
+ * Runs every check against `project` (see describeProject) and returns
+ * { root, ok, summary, checks }, where each check is { id, label, status:
+ * 'pass' | 'warn' | 'fail' | 'skip', message, fix }. `ok` is false if any
+ * check failed. `exec` and `portFree` can be replaced in tests.
+ */
+export async function runDoctor(project, {
+  exec: run = execAsync,
+  portFree = isPortFree,
+  nodeVersion = process.versions.node,
+  platform = os.platform(),
+} = {}) {
+  const { backend: backendPort, frontend: frontendPort } = await listeningPorts(project);
+
+  const checks = [checkNode(nodeVersion), await checkPython(project, run)];
+  if (PYTHON_MANAGERS[project.pythonManager].command) {
+    checks.push(await checkPythonManager(project, run));
+  }
+  checks.push(...await checkBackendEnvironment(project, { run, platform }));
+  checks.push(await checkNodeModules(project, '.'));
+  checks.push(await checkNodeModules(project, 'frontend'));
+  checks.push(await checkPort('backend-port', 'Backend port', backendPort, portFree));
+  checks.push(await checkPort('frontend-port', 'Frontend port', frontendPort, portFree));
+  checks.push(await checkUrl({
+    id: 'backend-url',
+    label: 'BACKEND_URL',
+    file: path.join('frontend', '.env.local'),
+    variable: 'BACKEND_URL',
+    port: backendPort,
+    listener: 'backend',
+  }, project.root));
+  checks.push(await checkUrl({
+    id: 'allowed-url',
+    label: 'ALLOWED_URL',
+    file: path.join('backend', '.env'),
+    variable: 'ALLOWED_URL',
+    port: frontendPort,
+    listener: 'frontend',
+  }, project.root));
+
+  const summary = { pass: 0, warn: 0, fail: 0, skip: 0 };
+  checks.forEach(({ status }) => summary[status]++);
+  return { root: project.root, ok: summary.fail === 0, summary, checks };
+}
@@ -0,0 +1,642 @@
+// env.schema: every environment variable of a generated project in one file.
+// The generator writes backend/.env, frontend/.env.local, their .env.example
+// files and the config modules that validate them from it, features declare
+// their variables in it, and `create-nextpy-app env check` compares the env
+// files against it.
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BACKEND_FRAMEWORKS } from './backend-frameworks.js';
+import { LOCAL_HOSTS, listeningPorts } from './doctor.js';
+import { readEnvFile } from './generate-client.js';
+import { renderPlaceholders } from './templates.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ENV_SCHEMA = 'env.schema';
+const SCHEMA_TEMPLATE = path.join(__dirname, '..', 'main_folder', ENV_SCHEMA);
+
+// The files each section of the schema is written to; only the examples are committed
+export const ENV_SIDES = {
+  backend: { file: path.join('backend', '.env'), example: path.join('backend', '.env.example') },
+  frontend: { file: path.join('frontend', '.env.local'), example: path.join('frontend', '.env.example') },
+};
+
+export const ENV_TYPES = ['string', 'url', 'integer', 'boolean', 'secret'];
+
+// The same rules as the generated config modules, so `env check` agrees with them
+const VALUE_CHECKS = {
+  url: [/^[a-z][a-z0-9+.-]*:\/\/\S+$/i, 'a URL such as http://localhost:8000'],
+  integer: [/^-?\d+$/, 'a whole number'],
+  boolean: [/^(true|false|1|0|yes|no|on|off)$/i, 'true or false'],
+};
+
+const SECTION = /^\[(.*)\]$/;
+const DECLARATION = /^([A-Za-z_][A-Za-z0-9_]*)(\?)?\s*:\s*([a-z]+)(?:\(([a-z]+)\))?\s*(?:=(.*))?$/;
+
+async function readText(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Why `value` is not acceptable for `variable` (e.g. 'must be a whole
+ * number'), or null if it is.
+ */
+export function validateValue(variable, value) {
+  const check = VALUE_CHECKS[variable.type];
+  return !check || check[0].test(value) ? null : `must be ${check[1]}`;
+}
+
+function schemaProblem(variable, declared) {
+  const { name, type, points, side } = variable;
+  if (!ENV_TYPES.includes(type)) {
+    return `unknown type "${type}" for ${name} - use one of: ${ENV_TYPES.join(', ')}`;
+  }
+  if (points && (type !== 'url' || !(points in ENV_SIDES))) {
+    return `${name}: only url variables can point at the backend or frontend, as url(backend) or url(frontend)`;
+  }
+  if (declared.some((other) => other.name === name)) {
+    return `${name} is declared twice in [${side}]`;
+  }
+  if (side === 'frontend' && type === 'secret' && name.startsWith('NEXT_PUBLIC_')) {
+    return `${name} is a secret, but NEXT_PUBLIC_ variables are sent to the browser`;
+  }
+  const invalid = variable.default && validateValue(variable, variable.default);
+  return invalid ? `the default of ${name} ${invalid}` : null;
+}
+
+/**
+ * Parses env.schema into { backend, frontend }, each a list of variables
+ * { name, side, type, optional, points, default, description }. `default` is
+ * undefined when none is declared. Throws on the first mistake, with its line.
+ */
+export function parseSchema(text) {
+  const schema = { backend: [], frontend: [] };
+  let side = null;
+  let comments = [];
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    const fail = (message) => {
+      throw new Error(`${ENV_SCHEMA}:${index + 1}: ${message}`);
+    };
+
+    // A description is the comment block right above its declaration
+    if (line === '') {
+      comments = [];
+      return;
+    }
+    if (line.startsWith('#')) {
+      comments.push(line.replace(/^#\s?/, ''));
+      return;
+    }
+
+    const section = SECTION.exec(line);
+    if (section) {
+      if (!(section[1] in schema)) fail(`unknown section [${section[1]}] - use [backend] or [frontend]`);
+      side = section[1];
+      comments = [];
+      return;
+    }
+
+    const match = DECLARATION.exec(line);
+    if (!match) fail(`expected NAME: type = default, found "${line}"`);
+    const [, name, optional, type, points, fallback] = match;
+    if (!side) fail(`${name} is declared before the [backend] and [frontend] sections`);
+
+    const variable = {
+      name,
+      side,
+      type,
+      optional: Boolean(optional),
+      points,
+      default: fallback?.trim(),
+      description: comments.join('\n') || undefined,
+    };
+    const problem = schemaProblem(variable, schema[side]);
+    if (problem) fail(problem);
+    schema[side].push(variable);
+    comments = [];
+  });
+
+  return schema;
+}
+
+/**
+ * Turns { NAME: spec } into schema variables. A spec is a default value, or
+ * { type, default, optional, points, description } with type 'string' when
+ * left out. `render` fills in placeholders in the defaults.
+ */
+export function declareVariables(side, specs, render = (text) => text) {
+  return Object.entries(specs).map(([name, spec]) => {
+    const { type = 'string', default: fallback, optional = false, points, description } = typeof spec === 'object' ? spec : { default: spec };
+    return {
+      name,
+      side,
+      type,
+      optional,
+      points,
+      default: fallback === undefined ? undefined : render(String(fallback)),
+      description,
+    };
+  });
+}
+
+function declarationLines({ name, type, optional, points, default: fallback, description }) {
+  return [
+    ...(description ? description.split('\n').map((line) => `# ${line}`) : []),
+    `${name}${optional ? '?' : ''}: ${type}${points ? `(${points})` : ''}${fallback === undefined ? '' : ` = ${fallback}`}`,
+  ];
+}
+
+/**
+ * Declares `variables` at the end of the [side] section of the schema `text`,
+ * leaving the ones it already declares alone.
+ */
+export function addToSchema(text, side, variables) {
+  const declared = new Set(parseSchema(text)[side].map((variable) => variable.name));
+  const missing = variables.filter((variable) => !declared.has(variable.name));
+  if (missing.length === 0) return text;
+
+  const additions = missing.flatMap((variable) => ['', ...declarationLines(variable)]);
+  const lines = text.replace(/\n$/, '').split('\n');
+  const start = lines.findIndex((line) => line.trim() === `[${side}]`);
+  if (start === -1) {
+    return [...lines, '', `[${side}]`, ...additions, ''].join('\n');
+  }
+
+  let end = start;
+  for (let index = start + 1; index < lines.length && !SECTION.test(lines[index].trim()); index++) {
+    if (lines[index].trim() !== '') end = index;
+  }
+  lines.splice(end + 1, 0, ...additions);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * The env.schema a new project starts with: main_folder/env.schema plus the
+ * variables of the backend framework. `values` are the built-in placeholders.
+ */
+export async function baseSchema(values) {
+  const text = renderPlaceholders(await fs.readFile(SCHEMA_TEMPLATE, 'utf8'), values);
+  const frameworkEnv = BACKEND_FRAMEWORKS[values.backend].env;
+  return frameworkEnv ? addToSchema(text, 'backend', declareVariables('backend', frameworkEnv)) : text;
+}
+
+/**
+ * The value a new env file gets: the default, or a fresh random secret.
+ * Examples leave secrets blank.
+ */
+export function envValue(variable, { example = false } = {}) {
+  if (variable.type === 'secret') {
+    return example ? '' : randomBytes(32).toString('hex');
+  }
+  return variable.default ?? '';
+}
+
+function formatEnvValue(value) {
+  return /[\s#'"]/.test(value) ? `"${value}"` : value;
+}
+
+/**
+ * backend/.env or frontend/.env.local (or, with `example`, their
+ * .env.example) for the variables of one schema section.
+ */
+export function renderEnvFile(side, variables, { example = false } = {}) {
+  const header = example
+    ? [`# Copy to ${path.basename(ENV_SIDES[side].file)} and fill in the blanks. This file is committed, the copy is not.`]
+    : [`# Local ${side} settings - not committed. Secrets were generated for this checkout.`];
+  header.push(`# Declare new variables in ${ENV_SCHEMA} at the project root.`);
+
+  return `${[header.join('\n'), ...variables.map((variable) => envEntry(variable, { example }))].join('\n\n')}\n`;
+}
+
+function envEntry(variable, { example = false } = {}) {
+  return [
+    ...(variable.description ? variable.description.split('\n').map((line) => `# ${line}`) : []),
+    `${variable.name}=${formatEnvValue(envValue(variable, { example }))}`,
+  ].join('\n');
+}
+
+/**
+ * Appends the `variables` an env file (or example) does not set yet to its
+ * `text`, in the format of renderEnvFile. Values already there are kept.
+ */
+export function addToEnvFile(text, variables, { example = false } = {}) {
+  const defined = new Set((text.match(/^\s*[A-Za-z_][A-Za-z0-9_]*(?=\s*=)/gm) || []).map((name) => name.trim()));
+  const missing = variables.filter((variable) => !defined.has(variable.name));
+  if (missing.length === 0) return text;
+
+  const body = text.trimEnd();
+  return `${[...(body ? [body] : []), ...missing.map((variable) => envEntry(variable, { example }))].join('\n\n')}\n`;
+}
+
+// Backend config module (pydantic-settings)
+
+const PYTHON_TYPES = { string: 'str', url: 'Url', integer: 'int', boolean: 'bool', secret: 'SecretStr' };
+
+function pythonDefault({ type, default: fallback }) {
+  if (type === 'integer') return String(Number(fallback));
+  if (type === 'boolean') return /^(true|1|yes|on)$/i.test(fallback) ? 'True' : 'False';
+  if (type === 'secret') return `SecretStr(${JSON.stringify(fallback)})`;
+  return JSON.stringify(fallback);
+}
+
+function pythonField(variable) {
+  const type = PYTHON_TYPES[variable.type];
+  let declaration = `${variable.name.toLowerCase()}: ${type}`;
+  if (variable.default !== undefined) {
+    declaration += ` = ${pythonDefault(variable)}`;
+  } else if (variable.optional) {
+    declaration = `${variable.name.toLowerCase()}: Optional[${type}] = None`;
+  }
+  return [
+    ...(variable.description ? variable.description.split('\n').map((line) => `    # ${line}`) : []),
+    `    ${declaration}`,
+  ];
+}
+
+function pythonImports(variables) {
+  return {
+    typing: ['Annotated', ...(variables.some((variable) => variable.optional && variable.default === undefined) ? ['Optional'] : [])],
+    pydantic: ['AfterValidator', ...(variables.some((variable) => variable.type === 'secret') ? ['SecretStr'] : [])],
+  };
+}
+
+function addPythonImport(text, module, name) {
+  const match = new RegExp(`^from ${module} import (.+)$`, 'm').exec(text);
+  if (!match) {
+    return text.replace(/^from pydantic_settings import/m, (line) => `from ${module} import ${name}\n${line}`);
+  }
+  const names = match[1].split(',').map((imported) => imported.trim());
+  return names.includes(name) ? text : text.replace(match[0], `from ${module} import ${[...names, name].sort().join(', ')}`);
+}
+
+function renderPythonConfig(variables, settingsModule) {
+  // The module sits in backend/ or a package below it; .env is in backend/
+  const envFile = `Path(__file__).resolve()${'.parent'.repeat(settingsModule.split('/').length)} / ".env"`;
+  const imports = pythonImports(variables);
+  return [
+    '"""Backend settings from the environment and backend/.env, validated on import.',
+    '',
+    'Declared in env.schema at the project root - after changing either, run',
+    '`npx create-nextpy-app env check`."""',
+    'import re',
+    'from pathlib import Path',
+    `from typing import ${imports.typing.join(', ')}`,
+    '',
+    `from pydantic import ${imports.pydantic.join(', ')}`,
+    'from pydantic_settings import BaseSettings, SettingsConfigDict',
+    '',
+    '',
+    'def _url(value: str) -> str:',
+    '    if not re.match(r"^[A-Za-z][A-Za-z0-9+.-]*://\\S+$", value):',
+    '        raise ValueError("must be a URL such as http://localhost:8000")',
+    '    return value',
+    '',
+    '',
+    '# A plain string: pydantic\'s URL types add a trailing slash, which a CORS origin must not have',
+    'Url = Annotated[str, AfterValidator(_url)]',
+    '',
+    '',
+    'class Settings(BaseSettings):',
+    '    model_config = SettingsConfigDict(',
+    `        env_file=${envFile},`,
+    '        # VALUE= counts as unset, so the default applies',
+    '        env_ignore_empty=True,',
+    '        extra="ignore",',
+    '    )',
+    ...variables.flatMap((variable) => ['', ...pythonField(variable)]),
+    '',
+    '',
+    'settings = Settings()',
+    '',
+  ].join('\n');
+}
+
+function addPythonFields(text, variables) {
+  const lines = text.split('\n');
+  const start = lines.findIndex((line) => /^class Settings\(BaseSettings\):/.test(line));
+  if (start === -1) return null;
+
+  let end = start;
+  for (let index = start + 1; index < lines.length; index++) {
+    if (lines[index].trim() === '') continue;
+    if (!/^\s/.test(lines[index])) break;
+    end = index;
+  }
+  const missing = variables.filter((variable) => !pythonDeclares(text, variable));
+  if (missing.length === 0) return text;
+
+  lines.splice(end + 1, 0, ...missing.flatMap((variable) => ['', ...pythonField(variable)]));
+  let updated = lines.join('\n');
+  for (const [module, names] of Object.entries(pythonImports(missing))) {
+    names.forEach((name) => {
+      updated = addPythonImport(updated, module, name);
+    });
+  }
+  return updated;
+}
+
+function pythonDeclares(text, variable) {
+  return new RegExp(`^\\s+${variable.name.toLowerCase()}\\s*:`, 'm').test(text);
+}
+
+// Frontend config module
+
+function jsDefault({ type, default: fallback }) {
+  if (type === 'integer') return String(Number(fallback));
+  if (type === 'boolean') return String(/^(true|1|yes|on)$/i.test(fallback));
+  return `'${fallback.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function frontendEntry(variable) {
+  const kind = variable.type === 'secret' ? 'string' : variable.type;
+  let fallback = '';
+  if (variable.default !== undefined) {
+    fallback = `, ${jsDefault(variable)}`;
+  } else if (variable.optional) {
+    fallback = ', null';
+  }
+  return [
+    ...(variable.description ? [`  /** ${variable.description.replace(/\n/g, ' ')} */`] : []),
+    `  ${variable.name}: read('${kind}', '${variable.name}', process.env.${variable.name}${fallback}),`,
+  ];
+}
+
+const PUBLIC_CONFIG = /^export const publicConfig = \{$/;
+const SERVER_CONFIG = /^export const serverConfig = serverOnly\(\(\) => \(\{$/;
+
+function renderFrontendConfig(variables, typescript) {
+  const isPublic = (variable) => variable.name.startsWith('NEXT_PUBLIC_');
+  const reader = typescript
+    ? [
+      "type Kind = 'string' | 'url' | 'integer' | 'boolean';",
+      'interface KindTypes {',
+      '  string: string;',
+      '  url: string;',
+      '  integer: number;',
+      '  boolean: boolean;',
+      '}',
+      '',
+      'function read<K extends Kind>(kind: K, name: string, value: string | undefined, fallback: null): KindTypes[K] | undefined;',
+      'function read<K extends Kind>(kind: K, name: string, value: string | undefined, fallback?: KindTypes[K]): KindTypes[K];',
+      'function read(kind: Kind, name: string, value: string | undefined, fallback?: string | number | boolean | null) {',
+    ]
+    : [
+      '/**',
+      " * Validates `value` as a 'string', 'url', 'integer' or 'boolean'. Without a",
+      ' * `fallback` the variable is required; a null fallback makes it optional.',
+      ' */',
+      'function read(kind, name, value, fallback) {',
+    ];
+
+  return [
+    '// Environment variables, validated when this module is first imported.',
+    '// Declared in env.schema at the project root - after changing either, run',
+    '// `npx create-nextpy-app env check`.',
+    '',
+    ...reader,
+    '  // VALUE= counts as unset, as on the backend',
+    "  if (value === undefined || value === '') {",
+    '    if (fallback === undefined) {',
+    '      throw new Error(`${name} is not set: add it to frontend/.env.local (see env.schema)`);',
+    '    }',
+    '    return fallback ?? undefined;',
+    '  }',
+    "  if (kind === 'url' && /^[a-z][a-z0-9+.-]*:\\/\\/\\S+$/i.test(value)) return value.replace(/\\/+$/, '');",
+    "  if (kind === 'integer' && /^-?\\d+$/.test(value)) return Number(value);",
+    "  if (kind === 'boolean' && /^(true|false|1|0|yes|no|on|off)$/i.test(value)) return /^(true|1|yes|on)$/i.test(value);",
+    "  if (kind === 'string') return value;",
+    '  throw new Error(`${name}=${value} is not a valid ${kind}`);',
+    '}',
+    '',
+    '// Server-only variables never reach the browser bundle: there the object is empty',
+    typescript
+      ? 'function serverOnly<T extends object>(values: () => T): T {'
+      : 'function serverOnly(values) {',
+    typescript
+      ? "  return typeof window === 'undefined' ? values() : ({} as T);"
+      : "  return typeof window === 'undefined' ? values() : {};",
+    '}',
+    '',
+    '// NextJS inlines NEXT_PUBLIC_ variables at build time, so these work in client components too',
+    'export const publicConfig = {',
+    ...variables.filter(isPublic).flatMap(frontendEntry),
+    '};',
+    '',
+    '// Route handlers, server components and middleware only',
+    'export const serverConfig = serverOnly(() => ({',
+    ...variables.filter((variable) => !isPublic(variable)).flatMap(frontendEntry),
+    '}));',
+    '',
+  ].join('\n');
+}
+
+function addFrontendEntries(text, variables) {
+  const lines = text.split('\n');
+  for (const variable of variables.filter((candidate) => !frontendDeclares(text, candidate))) {
+    const start = lines.findIndex((line) => (variable.name.startsWith('NEXT_PUBLIC_') ? PUBLIC_CONFIG : SERVER_CONFIG).test(line));
+    const end = start === -1 ? -1 : lines.findIndex((line, index) => index > start && /^\}\)?\)?;$/.test(line));
+    if (end === -1) return null;
+    lines.splice(end, 0, ...frontendEntry(variable));
+  }
+  return lines.join('\n');
+}
+
+function frontendDeclares(text, variable) {
+  return new RegExp(`process\\.env\\.${variable.name}\\b`).test(text);
+}
+
+/**
+ * Where the config module of `side` lives, relative to the project root.
+ * `project` needs { backend, typescript }.
+ */
+export function configModulePath(side, project) {
+  return side === 'backend'
+    ? path.join('backend', ...BACKEND_FRAMEWORKS[project.backend].settingsModule.split('/'))
+    : path.join('frontend', 'src', 'lib', `config.${project.typescript ? 'ts' : 'js'}`);
+}
+
+/**
+ * The config module of `side` for the variables of its schema section:
+ * a pydantic-settings Settings class for the backend, publicConfig and
+ * serverConfig objects for NextJS.
+ */
+export function renderConfigModule(side, variables, project) {
+  return side === 'backend'
+    ? renderPythonConfig(variables, BACKEND_FRAMEWORKS[project.backend].settingsModule)
+    : renderFrontendConfig(variables, project.typescript);
+}
+
+/**
+ * Adds the `variables` a config module does not read yet to its `text`.
+ * Returns null if the module no longer has the shape it was generated with.
+ */
+export function addToConfigModule(side, text, variables) {
+  return side === 'backend' ? addPythonFields(text, variables) : addFrontendEntries(text, variables);
+}
+
+function configHint(side, variable, modulePath) {
+  return side === 'backend'
+    ? `Add "${pythonField(variable).pop().trim()}" to class Settings in ${modulePath}`
+    : `Add "${frontendEntry(variable).pop().trim()}" to ${variable.name.startsWith('NEXT_PUBLIC_') ? 'publicConfig' : 'serverConfig'} in ${modulePath}`;
+}
+
+/**
+ * What `create-nextpy-app add` should tell the user to do by hand when it
+ * cannot add `variables` to a config module it no longer recognizes.
+ */
+export function configModuleHint(side, variables, modulePath) {
+  return variables.map((variable) => configHint(side, variable, modulePath)).join('; ');
+}
+
+// env check
+
+async function readEnv(file) {
+  return await readText(file) === null ? null : readEnvFile(file);
+}
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+}
+
+function urlPort(url) {
+  return Number(url.port || (['https:', 'wss:'].includes(url.protocol) ? 443 : 80));
+}
+
+function withPort(value, port) {
+  const url = new URL(value);
+  url.port = String(port);
+  return value.endsWith('/') ? url.toString() : url.toString().replace(/\/$/, '');
+}
+
+/**
+ * Compares the env files, their examples and the config modules of `project`
+ * (see describeProject) with its env.schema. Returns { root, ok, variables,
+ * problems }, where each problem is { level: 'error' | 'warning', file,
+ * variable, message, fix }; `ok` is false if there is an error. `ports`
+ * ({ backend, frontend }) defaults to the ports of the dev scripts.
+ */
+export async function checkEnv(project, { ports } = {}) {
+  const problems = [];
+  const report = (level, file, variable, message, fix) => problems.push({ level, file, variable, message, fix });
+  const result = (variables = 0) => ({
+    root: project.root,
+    ok: !problems.some((problem) => problem.level === 'error'),
+    variables,
+    problems,
+  });
+
+  const schemaText = await readText(path.join(project.root, ENV_SCHEMA));
+  if (schemaText === null) {
+    report('error', ENV_SCHEMA, null, `${ENV_SCHEMA} not found`, 'Add it to older projects with: create-nextpy-app upgrade');
+    return result();
+  }
+  let schema;
+  try {
+    schema = parseSchema(schemaText);
+  } catch (error) {
+    report('error', ENV_SCHEMA, null, error.message, `Fix ${ENV_SCHEMA}`);
+    return result();
+  }
+
+  const listening = ports || await listeningPorts(project);
+  // Where each url(backend)/url(frontend) variable points, to compare them afterwards
+  const targets = { backend: [], frontend: [] };
+
+  for (const [side, { file, example }] of Object.entries(ENV_SIDES)) {
+    const declared = schema[side];
+    const other = side === 'backend' ? 'frontend' : 'backend';
+    const isDeclared = (name) => declared.some((variable) => variable.name === name);
+
+    const env = await readEnv(path.join(project.root, file));
+    if (env === null) {
+      report('error', file, null, `${file} is missing`, `Copy ${example} to ${file} and fill in the blanks`);
+    }
+
+    for (const variable of declared) {
+      let value = env?.[variable.name];
+      if (value === undefined || value === '') {
+        if (env && !variable.optional && variable.default === undefined) {
+          const suggestion = variable.type === 'secret' ? ' (e.g. the output of: openssl rand -hex 32)' : '';
+          report('error', file, variable.name, `${variable.name} is required but not set`, `Set ${variable.name} in ${file}${suggestion}`);
+        }
+        value = variable.default;
+      } else {
+        const invalid = validateValue(variable, value);
+        if (invalid) {
+          report('error', file, variable.name, `${variable.name}=${value} ${invalid}`, `Fix ${variable.name} in ${file}`);
+          continue;
+        }
+      }
+
+      const url = variable.points && parseUrl(value);
+      if (url) {
+        targets[variable.points].push({ variable, file, value, url });
+      }
+    }
+
+    for (const name of Object.keys(env || {}).filter((candidate) => !isDeclared(candidate))) {
+      if (schema[other].some((variable) => variable.name === name)) {
+        report('error', file, name, `${name} is set in ${file}, but ${ENV_SCHEMA} declares it for the ${other}`, `Move it to ${ENV_SIDES[other].file}`);
+      } else {
+        report('warning', file, name, `${name} is not declared in ${ENV_SCHEMA}`, `Declare it under [${side}] in ${ENV_SCHEMA}, or remove it`);
+      }
+    }
+
+    const exampleEnv = await readEnv(path.join(project.root, example));
+    if (exampleEnv === null) {
+      report('warning', example, null, `${example} is missing`, `Create it with the [${side}] variables of ${ENV_SCHEMA}, so others know what to set`);
+    } else {
+      for (const variable of declared) {
+        const value = exampleEnv[variable.name];
+        if (value === undefined) {
+          report('warning', example, variable.name, `${variable.name} is missing from ${example}`, `Add ${variable.name}=${envValue(variable, { example: true })} to ${example}`);
+        } else if (variable.type === 'secret' && value !== '' && value !== variable.default) {
+          report('error', example, variable.name, `${variable.name} in ${example} looks like a real secret, and ${example} is committed`, `Blank it out (${variable.name}=) and change the secret if it was pushed`);
+        }
+      }
+      for (const name of Object.keys(exampleEnv).filter((candidate) => !isDeclared(candidate))) {
+        report('warning', example, name, `${name} in ${example} is not declared in ${ENV_SCHEMA}`, `Declare it under [${side}] in ${ENV_SCHEMA}, or remove it`);
+      }
+    }
+
+    // Projects generated before env.schema have no config modules
+    const modulePath = configModulePath(side, project);
+    const moduleText = await readText(path.join(project.root, modulePath));
+    if (moduleText !== null) {
+      const declares = side === 'backend' ? pythonDeclares : frontendDeclares;
+      for (const variable of declared.filter((candidate) => !declares(moduleText, candidate))) {
+        report('warning', modulePath, variable.name, `${variable.name} is declared in ${ENV_SCHEMA}, but ${modulePath} does not read it`, configHint(side, variable, modulePath));
+      }
+    }
+  }
+
+  for (const [target, urls] of Object.entries(targets)) {
+    let mismatched = false;
+    for (const { variable, file, value, url } of urls) {
+      if (LOCAL_HOSTS.includes(url.hostname) && urlPort(url) !== listening[target]) {
+        mismatched = true;
+        report('error', file, variable.name, `${variable.name}=${value}, but the ${target} listens on port ${listening[target]}`, `Set ${variable.name}=${withPort(value, listening[target])} in ${file}`);
+      }
+    }
+
+    // e.g. BACKEND_URL on a server, NEXT_PUBLIC_BACKEND_WS_URL still on localhost
+    const hosts = new Set(urls.map(({ url }) => `${LOCAL_HOSTS.includes(url.hostname) ? 'localhost' : url.hostname}:${urlPort(url)}`));
+    if (!mismatched && hosts.size > 1) {
+      report('warning', null, null, `${urls.map(({ variable }) => variable.name).join(', ')} point at different ${target}s (${[...hosts].join(', ')})`, 'Point them at the same server');
+    }
+  }
+
+  return result(schema.backend.length + schema.frontend.length);
+}
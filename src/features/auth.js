@@ -0,0 +1,150 @@
+// Authentication feature: JWT signup/login/me endpoints on FastAPI, and on the
+// NextJS side an httpOnly session cookie that the /api proxy forwards as a
+// bearer token, plus middleware, a login page and an account page.
+import { readFileSync, readdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MIGRATE_ARGS, includeRouter } from './database.js';
+
+const TEMPLATE_DIR = fileURLToPath(new URL('../../features_folder/auth/', import.meta.url));
+const USERS_MIGRATION = 'backend/migrations/versions/0002_create_users_table.py';
+const USERS_REVISION = '0002';
+
+function readTemplate(relative) {
+  return readFileSync(path.join(TEMPLATE_DIR, relative), 'utf8');
+}
+
+/**
+ * The newest Alembic revision in backend/migrations/versions, so the users
+ * migration is chained after any migration the project already added.
+ */
+export function migrationHead(project) {
+  const dir = path.join(project.root, 'backend', 'migrations', 'versions');
+  let files;
+  try {
+    files = readdirSync(dir).filter((file) => file.endsWith('.py'));
+  } catch {
+    return '0001';
+  }
+
+  const revisions = new Set();
+  const parents = new Set();
+  for (const file of files) {
+    const text = readFileSync(path.join(dir, file), 'utf8');
+    const revision = /^revision\b[^=]*=\s*["']([^"']+)["']/m.exec(text);
+    const downRevision = /^down_revision\b[^=]*=(.+)$/m.exec(text);
+    if (!revision || revision[1] === USERS_REVISION) continue;
+    revisions.add(revision[1]);
+    for (const parent of downRevision?.[1].matchAll(/["']([^"']+)["']/g) || []) {
+      parents.add(parent[1]);
+    }
+  }
+
+  const heads = [...revisions].filter((revision) => !parents.has(revision));
+  return heads.length === 1 ? heads[0] : '0001';
+}
+
+function renderUsersMigration(project) {
+  const head = migrationHead(project);
+  return readTemplate(USERS_MIGRATION)
+    .replace('Revises: 0001', `Revises: ${head}`)
+    .replace('down_revision: Union[str, None] = "0001"', `down_revision: Union[str, None] = "${head}"`);
+}
+
+/**
+ * Returns an edit that appends a template snippet (a class definition) to a
+ * Python module, provided the module still has the imports the snippet uses.
+ */
+function appendSnippet(snippet, marker, requiredImports) {
+  return (text) => {
+    if (text.includes(marker)) return text;
+    if (!requiredImports.every((name) => new RegExp(`^(?:from \\S+ )?import .*\\b${name}\\b`, 'm').test(text))) return null;
+    return `${text.replace(/\s*$/, '\n')}${readTemplate(snippet)}`;
+  };
+}
+
+/**
+ * Makes the /api proxy route send the session cookie to the backend as an
+ * Authorization header.
+ */
+export function forwardSessionToken(route) {
+  if (route.includes('SESSION_COOKIE')) return route;
+  const importLine = /^import \{[^}]*\} from 'next\/server';$/m.exec(route);
+  const forwardedProto = /^([ \t]*)headers\.set\('x-forwarded-proto'.*$/m.exec(route);
+  if (!importLine || !forwardedProto) return null;
+
+  const indent = forwardedProto[1];
+  return route
+    .replace(importLine[0], `${importLine[0]}\nimport { SESSION_COOKIE } from '@/lib/session';`)
+    .replace(forwardedProto[0], [
+      forwardedProto[0],
+      '',
+      `${indent}// The session cookie set by /api/auth/login becomes the bearer token the backend checks`,
+      `${indent}const token = request.cookies.get(SESSION_COOKIE)?.value;`,
+      `${indent}if (token && !headers.has('authorization')) {`,
+      `${indent}  headers.set('authorization', \`Bearer \${token}\`);`,
+      `${indent}}`,
+    ].join('\n'));
+}
+
+export const auth = {
+  label: 'Authentication',
+  description: 'JWT signup/login on FastAPI with an httpOnly session cookie in NextJS',
+  backends: ['fastapi'],
+  requires: ['database'],
+  files: (project) => {
+    const ext = project.typescript ? 'ts' : 'js';
+    const pageExt = project.typescript ? 'tsx' : 'jsx';
+
+    return [
+      { from: 'auth/backend/security.py', to: 'backend/security.py' },
+      { from: 'auth/backend/routers/auth.py', to: 'backend/routers/auth.py' },
+      { content: renderUsersMigration(project), to: USERS_MIGRATION },
+      { from: `auth/frontend/lib/session.${ext}`, to: `frontend/src/lib/session.${ext}` },
+      { from: `auth/frontend/lib/auth.${ext}`, to: `frontend/src/lib/auth.${ext}` },
+      ...['login', 'signup', 'logout'].map((action) => ({
+        from: `auth/frontend/api/${action}/route.${ext}`,
+        to: `frontend/src/app/api/auth/${action}/route.${ext}`,
+      })),
+      { from: `auth/frontend/middleware.${ext}`, to: `frontend/src/middleware.${ext}` },
+      { from: `auth/frontend/app/login/page.${pageExt}`, to: `frontend/src/app/login/page.${pageExt}` },
+      { from: `auth/frontend/app/account/page.${pageExt}`, to: `frontend/src/app/account/page.${pageExt}` },
+    ];
+  },
+  edits: (project) => [
+    {
+      paths: ['backend/models.py'],
+      apply: appendSnippet('backend/append/models.py', 'class User(', ['Base', 'String', 'DateTime', 'Mapped', 'mapped_column', 'datetime', 'timezone']),
+      hint: 'add a User model (id, unique email, hashed_password, created_at) on the "users" table to models.py',
+    },
+    {
+      paths: ['backend/schemas.py'],
+      apply: appendSnippet('backend/append/schemas.py', 'class UserCreate(', ['BaseModel', 'ConfigDict', 'Field', 'datetime']),
+      hint: 'add the Credentials, UserCreate, User and Token schemas used by routers/auth.py to schemas.py',
+    },
+    {
+      paths: ['backend/app.py'],
+      apply: (appPy) => includeRouter(appPy, 'auth'),
+      hint: 'add "from routers import auth" and "app.include_router(auth.router)" to app.py',
+    },
+    {
+      paths: [`frontend/src/app/api/[[...path]]/route.${project.typescript ? 'ts' : 'js'}`],
+      apply: forwardSessionToken,
+      hint: "set an 'authorization: Bearer <session cookie>' header on proxied requests",
+    },
+  ],
+  requirements: ['pyjwt', 'argon2-cffi'],
+  env: {
+    backend: {
+      // Generated into backend/.env; security.py falls back to a random one per process
+      JWT_SECRET: { type: 'secret', optional: true, description: 'Signs the session tokens' },
+      JWT_EXPIRE_MINUTES: { type: 'integer', default: 60, description: 'How long a sign-in lasts' },
+    },
+  },
+  setup: MIGRATE_ARGS,
+  notes: [
+    'Create the users table: npm run db:migrate',
+    'Sign up or sign in at http://localhost:{{frontendPort}}/login; /account requires a session',
+    'Protect a backend route with: user: models.User = Depends(get_current_user) (from security import get_current_user)',
+  ],
+};
@@ -0,0 +1,209 @@
+// Database feature: SQLAlchemy models, Alembic migrations and an /items CRUD
+// resource in FastAPI, with a list/create component on the frontend.
+import path from 'path';
+import { pythonScript } from '../python-managers.js';
+
+export const MIGRATE_ARGS = ['-m', 'alembic', 'upgrade', 'head'];
+
+function databaseName(project) {
+  return path.basename(project.root).toLowerCase().replace(/[^a-z0-9_]+/g, '_') || 'app';
+}
+
+export function databaseUrl(project, variant, host = 'localhost') {
+  return variant === 'postgres'
+    ? `postgresql+psycopg://postgres:postgres@${host}:5432/${databaseName(project)}`
+    : 'sqlite:///./app.db';
+}
+
+/**
+ * Registers routers/<name>.py on the FastAPI app in app.py.
+ */
+export function includeRouter(appPy, name) {
+  const include = `app.include_router(${name}.router)`;
+  if (appPy.includes(include)) return appPy;
+  if (!/^app = FastAPI\(/m.test(appPy)) return null;
+
+  // The import goes after the last top-level import line
+  const imports = [...appPy.matchAll(/^(?:from \S+ )?import .+$/gm)];
+  const lastImport = imports[imports.length - 1];
+  const insertAt = lastImport.index + lastImport[0].length;
+  const withImport = `${appPy.slice(0, insertAt)}\nfrom routers import ${name}${appPy.slice(insertAt)}`;
+
+  // Next to the routers that are already included, otherwise at the end
+  const includes = [...withImport.matchAll(/^app\.include_router\(.+$/gm)];
+  if (includes.length > 0) {
+    const last = includes[includes.length - 1];
+    const at = last.index + last[0].length;
+    return `${withImport.slice(0, at)}\n${include}${withImport.slice(at)}`;
+  }
+  return `${withImport.replace(/\s*$/, '')}\n\n\n${include}\n`;
+}
+
+/**
+ * Renders <ItemsDemo /> below <BackendDemo /> on the home page.
+ */
+export function renderItemsDemo(page) {
+  if (page.includes('<ItemsDemo')) return page;
+  const demo = /^([ \t]*)<BackendDemo \/>$/m.exec(page);
+  const importLine = /^import BackendDemo from .+$/m.exec(page);
+  if (!demo || !importLine) return null;
+
+  return page
+    .replace(importLine[0], `${importLine[0]}\nimport ItemsDemo from '@/components/ItemsDemo';`)
+    .replace(demo[0], `${demo[0]}\n${demo[1]}<ItemsDemo />`);
+}
+
+function ignoreSqliteFiles(gitignore) {
+  if (/^\*\.db$/m.test(gitignore)) return gitignore;
+  const body = gitignore === '' || gitignore.endsWith('\n') ? gitignore : `${gitignore}\n`;
+  return `${body}\n# SQLite database\n*.db\n`;
+}
+
+/**
+ * Runs the migrations before the server starts in the backend container.
+ */
+export function migrateBeforeStart(dockerfile) {
+  if (dockerfile.includes('alembic upgrade head')) return dockerfile;
+  const cmd = /^CMD (\[.*\])$/m.exec(dockerfile);
+  if (!cmd) return null;
+
+  const command = JSON.parse(cmd[1]).join(' ');
+  return dockerfile.replace(cmd[0], `CMD ["sh", "-c", "python ${MIGRATE_ARGS.join(' ')} && exec ${command}"]`);
+}
+
+/**
+ * Adds a PostgreSQL service to the docker-compose.yml written by the Docker feature.
+ */
+export function addPostgresService(compose, project) {
+  if (/^  db:$/m.test(compose)) return compose;
+  if (!/^    build: \.\/backend$/m.test(compose) || !/^    environment:$/m.test(compose)) return null;
+
+  const name = databaseName(project);
+  const backend = compose
+    .replace(/^    build: \.\/backend$/m, [
+      '    build: ./backend',
+      '    depends_on:',
+      '      db:',
+      '        condition: service_healthy',
+    ].join('\n'))
+    // The first environment block belongs to the backend service
+    .replace(/^    environment:$/m, `    environment:\n      DATABASE_URL: ${databaseUrl(project, 'postgres', 'db')}`);
+
+  return [
+    backend.replace(/\s*$/, ''),
+    '',
+    '  db:',
+    '    image: postgres:16-alpine',
+    '    environment:',
+    '      POSTGRES_USER: postgres',
+    '      POSTGRES_PASSWORD: postgres',
+    `      POSTGRES_DB: ${name}`,
+    '    ports:',
+    '      - "5432:5432"',
+    '    volumes:',
+    '      - db-data:/var/lib/postgresql/data',
+    '    healthcheck:',
+    '      test: ["CMD-SHELL", "pg_isready -U postgres"]',
+    '      interval: 2s',
+    '      retries: 15',
+    '',
+    'volumes:',
+    '  db-data:',
+    '',
+  ].join('\n');
+}
+
+export const database = {
+  label: 'Database',
+  description: 'SQLAlchemy models, Alembic migrations and an /items CRUD example',
+  variants: {
+    sqlite: 'SQLite',
+    postgres: 'PostgreSQL',
+  },
+  backends: ['fastapi'],
+  files: (project) => {
+    const ext = project.typescript ? 'ts' : 'js';
+    const componentExt = project.typescript ? 'tsx' : 'jsx';
+    const backendFiles = [
+      'database.py',
+      'models.py',
+      'schemas.py',
+      'routers/__init__.py',
+      'routers/items.py',
+      'alembic.ini',
+      'migrations/env.py',
+      'migrations/script.py.mako',
+      'migrations/versions/0001_create_items_table.py',
+    ];
+
+    return [
+      ...backendFiles.map((file) => ({ from: `database/backend/${file}`, to: `backend/${file}` })),
+      { from: `database/frontend/lib/items.${ext}`, to: `frontend/src/lib/items.${ext}` },
+      { from: `database/frontend/components/ItemsDemo.${componentExt}`, to: `frontend/src/components/ItemsDemo.${componentExt}` },
+    ];
+  },
+  edits: (project, variant) => [
+    {
+      paths: ['backend/app.py'],
+      apply: (appPy) => includeRouter(appPy, 'items'),
+      hint: 'add "from routers import items" and "app.include_router(items.router)" to app.py',
+    },
+    {
+      paths: [`frontend/src/app/page.${project.typescript ? 'tsx' : 'jsx'}`],
+      apply: renderItemsDemo,
+      hint: "render <ItemsDemo /> from '@/components/ItemsDemo' on a page",
+    },
+    {
+      paths: ['backend/Dockerfile'],
+      apply: migrateBeforeStart,
+      hint: 'run "python -m alembic upgrade head" before starting the server',
+      optional: true,
+    },
+    ...(variant === 'postgres'
+      ? [{
+        paths: ['docker-compose.yml'],
+        apply: (compose) => addPostgresService(compose, project),
+        hint: 'add a PostgreSQL service and point the backend\'s DATABASE_URL at it',
+        optional: true,
+      }]
+      : [{
+        paths: ['backend/.gitignore'],
+        apply: ignoreSqliteFiles,
+        hint: 'add *.db to backend/.gitignore',
+        optional: true,
+      }]),
+  ],
+  requirements: (project, variant) => [
+    'sqlalchemy>=2.0',
+    'alembic',
+    ...(variant === 'postgres' ? ['psycopg[binary]'] : []),
+  ],
+  packageJson: (project) => ({
+    root: {
+      scripts: {
+        'db:migrate': 'cd backend && npm run db:migrate',
+        'db:revision': 'cd backend && npm run db:revision --',
+      },
+    },
+    backend: {
+      scripts: {
+        'db:migrate': pythonScript(project.pythonManager, MIGRATE_ARGS),
+        'db:revision': pythonScript(project.pythonManager, ['-m', 'alembic', 'revision', '--autogenerate']),
+      },
+    },
+  }),
+  env: (project, variant) => ({
+    backend: {
+      DATABASE_URL: { type: 'url', default: databaseUrl(project, variant), description: 'SQLAlchemy connection URL' },
+    },
+  }),
+  setup: MIGRATE_ARGS,
+  notes: (project, variant) => [
+    ...(variant === 'postgres'
+      ? [`Start PostgreSQL and create the "${databaseName(project)}" database, or set DATABASE_URL in backend/.env`]
+      : []),
+    'Create the tables: npm run db:migrate',
+    'After changing backend/models.py: npm run db:revision -- -m "describe the change", then npm run db:migrate',
+    'CRUD endpoints: GET/POST /items, GET/PATCH/DELETE /items/{id} (http://localhost:{{backendPort}}/docs)',
+  ],
+};
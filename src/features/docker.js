@@ -0,0 +1,204 @@
+// Docker feature: a Dockerfile per half (uvicorn/waitress straight on the
+// Python image, NextJS standalone output) and a docker-compose.yml wiring them.
+// The containers listen on the project's ports, filled in by planFeature.
+import { BACKEND_FRAMEWORKS } from '../backend-frameworks.js';
+import { PACKAGE_MANAGERS } from '../package-managers.js';
+
+const PYTHON_IMAGE = 'python:3.12-slim';
+const NODE_IMAGE = 'node:20-alpine';
+
+// Dependencies are installed into the image's own Python - no virtualenv needed in a container
+const INSTALL_STEPS = {
+  venv: [
+    'COPY requirements.txt ./',
+    'RUN pip install --no-cache-dir -r requirements.txt',
+  ],
+  uv: [
+    'COPY pyproject.toml uv.lock* ./',
+    'RUN pip install --no-cache-dir uv && uv pip install --system --no-cache -r pyproject.toml',
+  ],
+  poetry: [
+    'COPY pyproject.toml poetry.lock* ./',
+    'RUN pip install --no-cache-dir poetry \\',
+    '    && POETRY_VIRTUALENVS_CREATE=false poetry install --no-interaction --no-root',
+  ],
+  pipenv: [
+    'COPY Pipfile Pipfile.lock* ./',
+    'RUN pip install --no-cache-dir pipenv \\',
+    '    && if [ -f Pipfile.lock ]; then pipenv install --system --deploy; else pipenv install --system --skip-lock; fi',
+  ],
+};
+
+export function renderBackendDockerfile({ backend, pythonManager }) {
+  const { startArgs } = BACKEND_FRAMEWORKS[backend];
+  const command = ['python', ...startArgs].map((arg) => `"${arg}"`).join(', ');
+
+  return [
+    `FROM ${PYTHON_IMAGE}`,
+    '',
+    'ENV PYTHONDONTWRITEBYTECODE=1 \\',
+    '    PYTHONUNBUFFERED=1',
+    '',
+    'WORKDIR /app',
+    '',
+    ...INSTALL_STEPS[pythonManager],
+    '',
+    'COPY . .',
+    '',
+    'EXPOSE {{backendPort}}',
+    `CMD [${command}]`,
+    '',
+  ].join('\n');
+}
+
+// The frontend installs and builds with the project's package manager; the
+// standalone server it produces only needs node
+const FRONTEND_STEPS = {
+  npm: {
+    setup: [],
+    install: 'npm ci',
+    fallback: 'npm install',
+  },
+  pnpm: {
+    setup: [
+      'ENV COREPACK_ENABLE_DOWNLOAD_PROMPT=0',
+      'RUN corepack enable',
+    ],
+    install: 'pnpm install --frozen-lockfile',
+    fallback: 'pnpm install',
+  },
+  // The node image ships Yarn 1
+  yarn: {
+    setup: [],
+    install: 'yarn install --frozen-lockfile',
+    fallback: 'yarn install',
+  },
+  bun: {
+    setup: ['COPY --from=oven/bun:1-alpine /usr/local/bin/bun /usr/local/bin/bun'],
+    install: 'bun install --frozen-lockfile',
+    fallback: 'bun install',
+  },
+};
+
+export function renderFrontendDockerfile({ packageManager }) {
+  const { setup, install, fallback } = FRONTEND_STEPS[packageManager];
+  const { lockfile, run } = PACKAGE_MANAGERS[packageManager];
+
+  return [
+    "# Multi-stage build of the NextJS standalone server (output: 'standalone' in next.config)",
+    '',
+    `FROM ${NODE_IMAGE} AS base`,
+    ...setup,
+    '',
+    'FROM base AS deps',
+    'WORKDIR /app',
+    `COPY package.json ${lockfile}* ./`,
+    `RUN if [ -f ${lockfile} ]; then ${install}; else ${fallback}; fi`,
+    '',
+    'FROM base AS builder',
+    'WORKDIR /app',
+    'COPY --from=deps /app/node_modules ./node_modules',
+    'COPY . .',
+    'ENV NEXT_TELEMETRY_DISABLED=1',
+    `RUN mkdir -p public && ${run} build`,
+    '',
+    `FROM ${NODE_IMAGE} AS runner`,
+    'WORKDIR /app',
+    'ENV NODE_ENV=production \\',
+    '    NEXT_TELEMETRY_DISABLED=1 \\',
+    '    PORT={{frontendPort}} \\',
+    '    HOSTNAME=0.0.0.0',
+    '',
+    'RUN addgroup -S nodejs && adduser -S nextjs -G nodejs',
+    '',
+    'COPY --from=builder /app/public ./public',
+    'COPY --from=builder --chown=nextjs:nodejs /app/.next/standalone ./',
+    'COPY --from=builder --chown=nextjs:nodejs /app/.next/static ./.next/static',
+    '',
+    'USER nextjs',
+    'EXPOSE {{frontendPort}}',
+    '# BACKEND_URL is read at runtime by the /api proxy, so docker-compose can point it at the backend service',
+    'CMD ["node", "server.js"]',
+    '',
+  ].join('\n');
+}
+
+export function renderCompose({ backend }) {
+  const backendEnvironment = ['      ALLOWED_URL: http://localhost:{{frontendPort}}'];
+  if (backend === 'django') {
+    // The NextJS proxy reaches Django under its service name
+    backendEnvironment.push('      DJANGO_ALLOWED_HOSTS: localhost,127.0.0.1,backend');
+  }
+
+  return [
+    'services:',
+    '  backend:',
+    '    build: ./backend',
+    '    environment:',
+    ...backendEnvironment,
+    '    ports:',
+    '      - "{{backendPort}}:{{backendPort}}"',
+    '',
+    '  frontend:',
+    '    build: ./frontend',
+    '    environment:',
+    '      BACKEND_URL: http://backend:{{backendPort}}',
+    '    ports:',
+    '      - "{{frontendPort}}:{{frontendPort}}"',
+    '    depends_on:',
+    '      - backend',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Turns on `output: 'standalone'` in a create-next-app next.config, which the
+ * frontend Dockerfile copies from .next/standalone. Returns null if the config
+ * does not have the expected shape.
+ */
+export function enableStandaloneOutput(config) {
+  if (/output\s*:\s*["']standalone["']/.test(config)) return config;
+  if (/\boutput\s*:/.test(config)) return null;
+
+  const match = /const nextConfig(?:\s*:\s*NextConfig)?\s*=\s*\{/.exec(config);
+  if (!match) return null;
+
+  const insertAt = match.index + match[0].length;
+  const rest = config.slice(insertAt);
+  const property = /^\s*\}/.test(rest) && !rest.startsWith('\n')
+    ? `\n  output: 'standalone',\n`
+    : `\n  output: 'standalone',`;
+  return config.slice(0, insertAt) + property + rest;
+}
+
+export const docker = {
+  label: 'Docker',
+  description: 'Dockerfiles for frontend and backend plus docker-compose.yml',
+  files: (project) => [
+    { content: renderBackendDockerfile(project), to: 'backend/Dockerfile' },
+    { from: 'docker/backend/.dockerignore', to: 'backend/.dockerignore' },
+    { content: renderFrontendDockerfile(project), to: 'frontend/Dockerfile' },
+    { from: 'docker/frontend/.dockerignore', to: 'frontend/.dockerignore' },
+    { content: renderCompose(project), to: 'docker-compose.yml' },
+  ],
+  edits: [
+    {
+      paths: ['frontend/next.config.ts', 'frontend/next.config.mjs', 'frontend/next.config.js'],
+      apply: enableStandaloneOutput,
+      hint: "add output: 'standalone' to the NextJS config",
+    },
+  ],
+  packageJson: {
+    root: {
+      scripts: {
+        'docker:build': 'docker compose build',
+        'docker:up': 'docker compose up --build',
+        'docker:down': 'docker compose down',
+      },
+    },
+  },
+  notes: [
+    'Build and start both containers: npm run docker:up',
+    'Frontend: http://localhost:{{frontendPort}}, backend: http://localhost:{{backendPort}}',
+  ],
+};
@@ -0,0 +1,472 @@
+// Optional features that `create-nextpy-app add <feature>` bolts onto an
+// existing project: template files, backend requirements, package.json
+// entries and environment variables, planned first and then applied.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BACKEND_FRAMEWORKS } from '../backend-frameworks.js';
+import { DEPENDENCY_FILES, addRequirements } from '../python-managers.js';
+import { PACKAGE_MANAGERS, forPackageManager } from '../package-managers.js';
+import { DEFAULT_PORTS, builtinPlaceholders, renderPlaceholders } from '../templates.js';
+import { hashContent, isTracked, readLockfile, writeLockfile } from '../lockfile.js';
+import {
+  ENV_SCHEMA, ENV_SIDES, addToConfigModule, addToEnvFile, addToSchema, baseSchema, configModuleHint, configModulePath,
+  declareVariables, parseSchema, renderConfigModule,
+} from '../env.js';
+import { auth } from './auth.js';
+import { database } from './database.js';
+import { docker } from './docker.js';
+import { realtime } from './realtime.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// The CLI package root: generator templates (`base` below) are resolved against it
+export const TEMPLATE_ROOT = path.join(__dirname, '..', '..');
+export const FEATURES_DIR = path.join(TEMPLATE_ROOT, 'features_folder');
+
+// Key of the root package.json block that records how the project was generated
+export const PROJECT_METADATA_KEY = 'nextpy';
+
+/**
+ * Features by command-line name. Every field except `label` is optional;
+ * from `files` on, fields may also be functions of (project, variant) - see
+ * describeProject for the project shape:
+ *   description  - one line shown in `add` prompts and errors
+ *   variants     - { name: label } flavours of the feature; the first is the default
+ *   backends     - frameworks the feature supports (default: all)
+ *   requires     - features that must have been added first
+ *   files        - [{ from | content, to, base }]: `from` is relative to
+ *                  features_folder/ (or `content` gives the text directly), `to`
+ *                  to the project root. `base` is the generator template
+ *                  (relative to the CLI package) that `to` was originally written
+ *                  from; a file still identical to it may be replaced.
+ *   edits        - [{ paths, apply, hint, optional }]: in-place changes to the
+ *                  first of `paths` that exists. `apply(text)` returns the new
+ *                  text, or null when it cannot make the change; `hint` then
+ *                  tells the user what to do by hand. Optional edits are skipped
+ *                  when none of the files exists.
+ *   requirements - backend requirements in requirements.txt syntax
+ *   packageJson  - { root, frontend, backend }, each with scripts,
+ *                  dependencies and/or devDependencies to merge
+ *   env          - { backend, frontend }, each { NAME: spec } (see
+ *                  declareVariables in env.js): declared in env.schema and
+ *                  the config modules, and appended to backend/.env,
+ *                  frontend/.env.local and their examples when missing
+ *   setup        - python arguments to run in backend/ once the requirements
+ *                  are installed (e.g. migrations)
+ *   notes        - next steps printed after the feature is added
+ * Files, scripts, variables and notes may use the built-in {{placeholders}}
+ * of templates.js, e.g. {{backendPort}}.
+ */
+export const FEATURES = {
+  docker,
+  database,
+  auth,
+  realtime,
+};
+
+const PACKAGE_DIRS = { root: '.', frontend: 'frontend', backend: 'backend' };
+
+function resolve(value, project, variant) {
+  return typeof value === 'function' ? value(project, variant) : value;
+}
+
+async function readText(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+async function isDirectory(dir) {
+  try {
+    return (await fs.stat(dir)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The metadata block written to the root package.json at generation time.
+ */
+export function projectMetadata({
+  version, backend, pythonManager, packageManager, language, tailwind, backendPort, frontendPort, template, features = [],
+}) {
+  return { version, backend, pythonManager, packageManager, language, tailwind, backendPort, frontendPort, template, features };
+}
+
+/**
+ * A root package.json written from main_folder/project-package.json: either
+ * it carries the metadata block, or it predates it and still has the
+ * frontend/backend scripts.
+ */
+function isGeneratedProject(packageJson) {
+  const scripts = packageJson.scripts || {};
+  return Boolean(packageJson[PROJECT_METADATA_KEY])
+    || (/cd backend/.test(scripts.backend || '') && /cd frontend/.test(scripts.frontend || ''));
+}
+
+async function inferBackend(backendDir) {
+  if (await readText(path.join(backendDir, 'manage.py')) !== null) return 'django';
+  const app = await readText(path.join(backendDir, 'app.py'));
+  return app && /\bFlask\(/.test(app) ? 'flask' : 'fastapi';
+}
+
+async function inferPythonManager(backendDir) {
+  if (await readText(path.join(backendDir, 'Pipfile')) !== null) return 'pipenv';
+  const pyproject = await readText(path.join(backendDir, 'pyproject.toml'));
+  if (pyproject === null) return 'venv';
+  return /^\[tool\.poetry\]/m.test(pyproject) || await readText(path.join(backendDir, 'poetry.toml')) !== null
+    ? 'poetry'
+    : 'uv';
+}
+
+async function inferPackageManager(root) {
+  for (const [name, { lockfile }] of Object.entries(PACKAGE_MANAGERS)) {
+    if (await readText(path.join(root, lockfile)) !== null) return name;
+  }
+  // Bun before 1.2 wrote a binary lockfile
+  return await readText(path.join(root, 'bun.lockb')) !== null ? 'bun' : 'npm';
+}
+
+/**
+ * Builds the project description features are planned against. Projects
+ * generated before the metadata block existed are inspected instead.
+ */
+export async function describeProject(root, packageJson) {
+  const metadata = packageJson[PROJECT_METADATA_KEY] || {};
+  const backendDir = path.join(root, 'backend');
+  const language = metadata.language
+    || (await readText(path.join(root, 'frontend', 'tsconfig.json')) !== null ? 'TypeScript' : 'JavaScript');
+
+  return {
+    root,
+    packageJson,
+    backend: metadata.backend || await inferBackend(backendDir),
+    pythonManager: metadata.pythonManager || await inferPythonManager(backendDir),
+    packageManager: metadata.packageManager || await inferPackageManager(root),
+    language,
+    typescript: language === 'TypeScript',
+    tailwind: metadata.tailwind
+      || (await readText(path.join(root, 'frontend', 'postcss.config.mjs')) !== null ? 'Yes' : 'No'),
+    backendPort: metadata.backendPort || DEFAULT_PORTS.backend,
+    frontendPort: metadata.frontendPort || DEFAULT_PORTS.frontend,
+    features: metadata.features || [],
+  };
+}
+
+/**
+ * Looks for a generated project in `cwd` and its parents, so `add` also works
+ * from inside frontend/ or backend/. Returns null if there is none.
+ */
+export async function findProject(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    const text = await readText(path.join(dir, 'package.json'));
+    let packageJson = null;
+    try {
+      packageJson = text && JSON.parse(text);
+    } catch {
+      // not a package.json we can use; keep looking upwards
+    }
+
+    if (packageJson && isGeneratedProject(packageJson)
+      && await isDirectory(path.join(dir, 'frontend')) && await isDirectory(path.join(dir, 'backend'))) {
+      return describeProject(dir, packageJson);
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Works out every change needed to add `name` to `project` without touching
+ * the disk. Returns { name, feature, variant, changes, unchanged, conflicts,
+ * installNotes, setup, notes } where
+ * each change is { path, content, action: 'create' | 'update' } and each
+ * conflict is { path, reason }. With `force`, files and scripts the user has
+ * modified are overwritten instead of being reported as conflicts.
+ */
+export async function planFeature(name, project, { force = false, variant } = {}) {
+  const feature = FEATURES[name];
+  if (!feature) {
+    throw new Error(`Unknown feature "${name}". Available features: ${Object.keys(FEATURES).join(', ') || 'none'}`);
+  }
+
+  const backends = supportedBackends(name);
+  if (!backends.includes(project.backend)) {
+    throw new Error(`${feature.label} is not available for ${BACKEND_FRAMEWORKS[project.backend].label} backends (supported: ${backends.map((backend) => BACKEND_FRAMEWORKS[backend].label).join(', ')})`);
+  }
+
+  const missing = (feature.requires || []).filter((required) => !project.features.includes(required));
+  if (missing.length > 0) {
+    throw new Error(`${feature.label} builds on ${missing.map((required) => FEATURES[required].label).join(', ')}. Add it first: ${missing.map((required) => `create-nextpy-app add ${required}`).join(', ')}`);
+  }
+
+  const variants = Object.keys(feature.variants || {});
+  if (variant === undefined) {
+    variant = variants[0];
+  } else if (!variants.includes(variant)) {
+    throw new Error(variants.length > 0
+      ? `Unknown ${feature.label} variant "${variant}". Choose one of: ${variants.join(', ')}`
+      : `${feature.label} has no variants`);
+  }
+
+  const values = builtinPlaceholders({ ...project, projectName: project.packageJson.name });
+  const render = (text) => renderPlaceholders(text, values);
+
+  // Later steps may edit a file an earlier step already changed (e.g. package.json)
+  const pending = new Map();
+  const conflicts = [];
+  const unchanged = [];
+  const installNotes = [];
+
+  const current = async (relative) => pending.has(relative)
+    ? pending.get(relative)
+    : readText(path.join(project.root, relative));
+  const stage = async (relative, content) => {
+    const onDisk = await readText(path.join(project.root, relative));
+    if (content === onDisk) {
+      pending.delete(relative);
+    } else {
+      pending.set(relative, content);
+    }
+  };
+
+  for (const file of resolve(feature.files, project, variant) || []) {
+    const content = render(file.content ?? await fs.readFile(path.join(FEATURES_DIR, file.from), 'utf8'));
+    const existing = await current(file.to);
+    const base = file.base ? await readText(path.join(TEMPLATE_ROOT, file.base)) : null;
+    if (existing === content) {
+      unchanged.push(file.to);
+    } else if (existing === null || force || (base !== null && existing === render(base))) {
+      await stage(file.to, content);
+    } else {
+      conflicts.push({ path: file.to, reason: 'already exists with different content' });
+    }
+  }
+
+  for (const edit of resolve(feature.edits, project, variant) || []) {
+    let target = null;
+    for (const candidate of edit.paths) {
+      if (await current(candidate) !== null) {
+        target = candidate;
+        break;
+      }
+    }
+    if (!target && edit.optional) continue;
+
+    const updated = target && edit.apply(await current(target));
+    if (updated === null || updated === undefined) {
+      conflicts.push({ path: target || edit.paths[0], reason: target ? edit.hint : `not found - ${edit.hint}` });
+    } else {
+      await stage(target, updated);
+    }
+  }
+
+  const requirements = resolve(feature.requirements, project, variant) || [];
+  if (requirements.length > 0) {
+    const dependencyFile = path.join('backend', DEPENDENCY_FILES[project.pythonManager]);
+    const text = await current(dependencyFile);
+    if (text === null) {
+      conflicts.push({ path: dependencyFile, reason: 'not found, cannot declare the backend requirements' });
+    } else {
+      const { content, added } = addRequirements(project.pythonManager, text, requirements);
+      await stage(dependencyFile, content);
+      if (added.length > 0) {
+        installNotes.push(`Install the new backend requirements (${added.join(', ')}): ${PACKAGE_MANAGERS[project.packageManager].run} backend:install`);
+      }
+    }
+  }
+
+  const packageJsonEdits = resolve(feature.packageJson, project, variant) || {};
+  for (const [target, dir] of Object.entries(PACKAGE_DIRS)) {
+    const edits = packageJsonEdits[target];
+    // The root package.json always changes: it records the added feature
+    if (!edits && target !== 'root') continue;
+
+    const relative = path.join(dir, 'package.json');
+    const text = await current(relative);
+    if (text === null) {
+      conflicts.push({ path: relative, reason: 'not found' });
+      continue;
+    }
+
+    const packageJson = JSON.parse(text);
+    for (const [scriptName, npmCommand] of Object.entries(edits?.scripts || {})) {
+      // Features write their scripts for npm
+      const command = forPackageManager(render(npmCommand), project.packageManager);
+      const existing = packageJson.scripts?.[scriptName];
+      if (existing !== undefined && existing !== command && !force) {
+        conflicts.push({ path: relative, reason: `script "${scriptName}" already exists with a different command` });
+        continue;
+      }
+      packageJson.scripts = { ...packageJson.scripts, [scriptName]: command };
+    }
+    const addedDependencies = [];
+    for (const section of ['dependencies', 'devDependencies']) {
+      // Versions the user already chose are kept
+      for (const [dependency, version] of Object.entries(edits?.[section] || {})) {
+        if (!packageJson[section]?.[dependency]) {
+          packageJson[section] = { ...packageJson[section], [dependency]: version };
+          addedDependencies.push(dependency);
+        }
+      }
+    }
+    if (addedDependencies.length > 0 && target !== 'backend') {
+      const { install } = PACKAGE_MANAGERS[project.packageManager];
+      installNotes.push(`Install the new packages (${addedDependencies.join(', ')}): ${dir === '.' ? install : `cd ${dir} && ${install}`}`);
+    }
+
+    if (target === 'root') {
+      const { backend, pythonManager, packageManager, language } = project;
+      const metadata = packageJson[PROJECT_METADATA_KEY] || { backend, pythonManager, packageManager, language };
+      packageJson[PROJECT_METADATA_KEY] = {
+        ...metadata,
+        // What is on disk wins over `project`, which may predate an earlier feature
+        features: [...new Set([...(metadata.features || project.features), name])],
+      };
+    }
+
+    await stage(relative, JSON.stringify(packageJson, null, 2) + '\n');
+  }
+
+  const envEdits = resolve(feature.env, project, variant) || {};
+  if (Object.keys(envEdits).length > 0) {
+    // Projects from before env.schema get one, declaring what the templates use
+    let schemaText = await current(ENV_SCHEMA) ?? await baseSchema(values);
+    for (const [side, specs] of Object.entries(envEdits)) {
+      const variables = declareVariables(side, specs, render);
+      schemaText = addToSchema(schemaText, side, variables);
+
+      const { file, example } = ENV_SIDES[side];
+      await stage(file, addToEnvFile(await current(file) ?? '', variables));
+      const exampleText = await current(example);
+      if (exampleText !== null) {
+        await stage(example, addToEnvFile(exampleText, variables, { example: true }));
+      }
+
+      const modulePath = configModulePath(side, project);
+      const moduleText = await current(modulePath);
+      if (moduleText === null) {
+        await stage(modulePath, renderConfigModule(side, parseSchema(schemaText)[side], project));
+      } else {
+        const updated = addToConfigModule(side, moduleText, variables);
+        if (updated === null) {
+          conflicts.push({ path: modulePath, reason: configModuleHint(side, variables, modulePath) });
+        } else {
+          await stage(modulePath, updated);
+        }
+      }
+    }
+    await stage(ENV_SCHEMA, schemaText);
+  }
+
+  const changes = [];
+  for (const [relative, content] of pending) {
+    const exists = await readText(path.join(project.root, relative)) !== null;
+    changes.push({ path: relative, content, action: exists ? 'update' : 'create' });
+  }
+
+  return {
+    name,
+    feature,
+    variant,
+    changes,
+    unchanged,
+    conflicts,
+    installNotes,
+    setup: resolve(feature.setup, project, variant) || null,
+    notes: (resolve(feature.notes, project, variant) || []).map((note) => forPackageManager(render(note), project.packageManager)),
+  };
+}
+
+/**
+ * Paths (relative to the project root) of the files a feature adds, for dry runs.
+ */
+export function featureFiles(name, project, variant) {
+  return (resolve(FEATURES[name].files, project, variant) || []).map((file) => file.to);
+}
+
+/**
+ * The backend frameworks a feature can be added to.
+ */
+export function supportedBackends(name) {
+  return FEATURES[name].backends || Object.keys(BACKEND_FRAMEWORKS);
+}
+
+/**
+ * Turns the answers { backend, docker, database, auth, realtime } of a new
+ * project into the feature list createProjectStructure takes, in registry
+ * order so later features can build on files of earlier ones. A feature the
+ * backend or the other answers rule out is dropped with a note in `skipped`,
+ * or reported in `errors` if its name is in `explicit` (asked for on the
+ * command line rather than by a preset). `option` names an answer in errors.
+ */
+export function selectFeatures(answers, { explicit = [], option = (name) => `--${name}` } = {}) {
+  const { backend } = answers;
+  const label = BACKEND_FRAMEWORKS[backend].label;
+  const errors = [];
+  const skipped = [];
+  const unavailable = (name, error, note) => {
+    if (explicit.includes(name)) {
+      errors.push(error);
+    } else {
+      skipped.push(note);
+    }
+    return false;
+  };
+
+  const databaseSupported = supportedBackends('database').includes(backend);
+  let database = answers.database || (databaseSupported ? 'sqlite' : 'none');
+  if (database !== 'none' && !databaseSupported) {
+    unavailable('database',
+      `${option('database')} is only available for FastAPI backends, not ${label}.`,
+      'Skipping the database layer: it is only available for FastAPI backends.');
+    database = 'none';
+  }
+
+  const auth = Boolean(answers.auth) && (database !== 'none' || unavailable('auth',
+    `${option('auth')} stores users in the database: use it with a FastAPI backend and ${option('database')} sqlite or postgres.`,
+    'Skipping authentication: it needs a FastAPI backend with a database.'));
+
+  const realtime = Boolean(answers.realtime) && (supportedBackends('realtime').includes(backend) || unavailable('realtime',
+    `${option('realtime')} is only available for FastAPI backends, not ${label}.`,
+    'Skipping the real-time endpoints: they are only available for FastAPI backends.'));
+
+  const features = [];
+  if (answers.docker) features.push({ name: 'docker' });
+  if (database !== 'none') features.push({ name: 'database', variant: database });
+  if (auth) features.push({ name: 'auth' });
+  if (realtime) features.push({ name: 'realtime' });
+  return { features, skipped, errors };
+}
+
+/**
+ * Writes the changes of a plan returned by planFeature and records the
+ * feature in the project's lockfile, if it has one.
+ */
+export async function applyPlan(project, plan) {
+  const lock = await readLockfile(project.root);
+  for (const change of plan.changes) {
+    const target = path.join(project.root, change.path);
+    if (lock && isTracked(change.path)) {
+      // Files that were still as generated stay untouched for `upgrade`; edited ones stay edited
+      const key = change.path.split(path.sep).join('/');
+      const before = await readText(target);
+      if (before === null || hashContent(before) === lock.files[key]) {
+        lock.files[key] = hashContent(change.content);
+      }
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, change.content);
+  }
+
+  if (lock) {
+    lock.features = [...(lock.features || []).filter((feature) => feature.name !== plan.name), { name: plan.name, variant: plan.variant }];
+    await writeLockfile(project.root, lock);
+  }
+}
@@ -0,0 +1,71 @@
+// Real-time feature: a Server-Sent Events stream and a WebSocket endpoint on
+// FastAPI, a NextJS route that relays the SSE stream, and a useBackendStream
+// hook with a demo component that reconnects when the backend goes away.
+import { existsSync } from 'fs';
+import path from 'path';
+import { includeRouter } from './database.js';
+
+/**
+ * Renders <RealtimeDemo /> below the other demos on the home page.
+ */
+export function renderRealtimeDemo(page) {
+  if (page.includes('<RealtimeDemo')) return page;
+  const demos = [...page.matchAll(/^([ \t]*)<(?:BackendDemo|ItemsDemo) \/>$/gm)];
+  const importLine = /^import BackendDemo from .+$/m.exec(page);
+  if (demos.length === 0 || !importLine) return null;
+
+  const last = demos[demos.length - 1];
+  const at = last.index + last[0].length;
+  const withDemo = `${page.slice(0, at)}\n${last[1]}<RealtimeDemo />${page.slice(at)}`;
+  return withDemo.replace(importLine[0], `${importLine[0]}\nimport RealtimeDemo from '@/components/RealtimeDemo';`);
+}
+
+export const realtime = {
+  label: 'Real-time',
+  description: 'WebSocket and Server-Sent Events endpoints with a useBackendStream hook',
+  backends: ['fastapi'],
+  files: (project) => {
+    const ext = project.typescript ? 'ts' : 'js';
+    const componentExt = project.typescript ? 'tsx' : 'jsx';
+    // The database feature may already have made routers/ a package
+    const routersPackage = existsSync(path.join(project.root, 'backend', 'routers', '__init__.py'))
+      ? []
+      : [{ content: '', to: 'backend/routers/__init__.py' }];
+
+    return [
+      ...routersPackage,
+      { from: 'realtime/backend/routers/realtime.py', to: 'backend/routers/realtime.py' },
+      { from: 'realtime/backend/tests/test_realtime.py', to: 'backend/tests/test_realtime.py' },
+      { from: `realtime/frontend/api/stream/route.${ext}`, to: `frontend/src/app/api/stream/[...path]/route.${ext}` },
+      { from: `realtime/frontend/lib/useBackendStream.${ext}`, to: `frontend/src/lib/useBackendStream.${ext}` },
+      { from: `realtime/frontend/components/RealtimeDemo.${componentExt}`, to: `frontend/src/components/RealtimeDemo.${componentExt}` },
+    ];
+  },
+  edits: (project) => [
+    {
+      paths: ['backend/app.py'],
+      apply: (appPy) => includeRouter(appPy, 'realtime'),
+      hint: 'add "from routers import realtime" and "app.include_router(realtime.router)" to app.py',
+    },
+    {
+      paths: [`frontend/src/app/page.${project.typescript ? 'tsx' : 'jsx'}`],
+      apply: renderRealtimeDemo,
+      hint: "render <RealtimeDemo /> from '@/components/RealtimeDemo' on a page",
+    },
+  ],
+  env: {
+    frontend: {
+      NEXT_PUBLIC_BACKEND_WS_URL: {
+        type: 'url',
+        points: 'backend',
+        default: 'ws://localhost:{{backendPort}}',
+        description: 'WebSocket address of the backend - browsers connect to it directly',
+      },
+    },
+  },
+  notes: [
+    'See live updates at http://localhost:{{frontendPort}}: a tick stream over SSE (/api/stream/ticks) and an echo WebSocket (/ws/echo)',
+    "Stream your own data from backend/routers/realtime.py and read it with useBackendStream(path) from '@/lib/useBackendStream'",
+    'WebSockets connect to the backend directly: set NEXT_PUBLIC_BACKEND_WS_URL in frontend/.env.local when it is not on localhost',
+  ],
+};
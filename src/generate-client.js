@@ -0,0 +1,450 @@
+// Generates a typed frontend API client (src/lib/api-client.ts|js) from the
+// FastAPI OpenAPI schema, either fetched from a running server or read from a file.
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const CLIENT_FILE_BASENAME = 'api-client';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+/**
+ * Reads KEY=value pairs from a dotenv file. Missing files yield {}.
+ */
+export async function readEnvFile(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch {
+    return {};
+  }
+
+  const env = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+    if (match) {
+      env[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+    }
+  }
+  return env;
+}
+
+/**
+ * Loads the OpenAPI document from `file` or, failing that, from `url`.
+ */
+export async function loadOpenApiSpec({ file, url, timeout = 10000 }) {
+  if (file) {
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read ${file}: ${error.code || error.message}`);
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+  } catch (error) {
+    throw new Error(`Cannot reach ${url} (${error.cause?.code || error.message}). Is the backend running? Start it with: npm run backend`);
+  }
+  if (!response.ok) {
+    throw new Error(`${url} responded with status ${response.status}. Only FastAPI backends publish an OpenAPI schema.`);
+  }
+  return response.json();
+}
+
+function toCamelCase(value) {
+  const words = value.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const camel = words
+    .map((word, index) => (index === 0 ? word.charAt(0).toLowerCase() : word.charAt(0).toUpperCase()) + word.slice(1))
+    .join('');
+  return /^[0-9]/.test(camel) ? `_${camel}` : camel;
+}
+
+export function toTypeName(value) {
+  const name = value.replace(/[^A-Za-z0-9_]/g, '_');
+  return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * FastAPI's default operationId is `<function name><path with \W as _>_<method>`;
+ * strip that suffix so `read_item_items__item_id__get` becomes `readItem`.
+ */
+export function operationName(operation, method, apiPath) {
+  if (operation.operationId) {
+    const suffix = `${apiPath.replace(/\W/g, '_')}_${method}`;
+    const id = operation.operationId;
+    const base = id.endsWith(suffix) && id.length > suffix.length ? id.slice(0, -suffix.length) : id;
+    return toCamelCase(base);
+  }
+  return toCamelCase(`${method} ${apiPath.replace(/[{}]/g, '')}`);
+}
+
+function refName(ref) {
+  return toTypeName(ref.split('/').pop());
+}
+
+function propertyKey(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Converts a JSON schema (OpenAPI 3.0 or 3.1 flavour) into a TypeScript type expression.
+ */
+export function schemaToType(schema, indent = '') {
+  if (!schema || typeof schema !== 'object') return 'unknown';
+  if (schema.$ref) return refName(schema.$ref);
+
+  let type;
+  if (schema.enum) {
+    type = schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+  } else if (schema.const !== undefined) {
+    type = JSON.stringify(schema.const);
+  } else if (schema.allOf) {
+    type = schema.allOf.map((part) => schemaToType(part, indent)).join(' & ');
+  } else if (schema.oneOf || schema.anyOf) {
+    const parts = [...new Set((schema.oneOf || schema.anyOf).map((part) => schemaToType(part, indent)))];
+    type = parts.join(' | ');
+  } else if (Array.isArray(schema.type)) {
+    type = schema.type.map((single) => schemaToType({ ...schema, type: single }, indent)).join(' | ');
+  } else {
+    switch (schema.type) {
+      case 'string':
+        type = schema.format === 'binary' ? 'Blob' : 'string';
+        break;
+      case 'integer':
+      case 'number':
+        type = 'number';
+        break;
+      case 'boolean':
+        type = 'boolean';
+        break;
+      case 'null':
+        type = 'null';
+        break;
+      case 'array': {
+        const item = schemaToType(schema.items, indent);
+        type = /[|&\s]/.test(item) ? `Array<${item}>` : `${item}[]`;
+        break;
+      }
+      case 'object':
+      default:
+        type = objectType(schema, indent);
+    }
+  }
+
+  return schema.nullable ? `${type} | null` : type;
+}
+
+function objectType(schema, indent) {
+  const properties = Object.entries(schema.properties || {});
+  if (properties.length === 0) {
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      return `Record<string, ${schemaToType(schema.additionalProperties, indent)}>`;
+    }
+    return schema.type === 'object' || schema.additionalProperties ? 'Record<string, unknown>' : 'unknown';
+  }
+
+  const required = new Set(schema.required || []);
+  const inner = `${indent}  `;
+  const lines = properties.map(([name, property]) => (
+    `${inner}${propertyKey(name)}${required.has(name) ? '' : '?'}: ${schemaToType(property, inner)};`
+  ));
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+function jsonContent(content) {
+  if (!content) return null;
+  const key = Object.keys(content).find((type) => type.includes('json'));
+  return key ? content[key].schema || {} : null;
+}
+
+/**
+ * Flattens the OpenAPI paths into the operations the client exposes.
+ */
+export function collectOperations(spec) {
+  const operations = [];
+  const usedNames = new Set();
+
+  for (const [apiPath, pathItem] of Object.entries(spec.paths || {})) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      let name = operationName(operation, method, apiPath);
+      if (usedNames.has(name)) {
+        name = toCamelCase(`${name} ${method}`);
+      }
+      usedNames.add(name);
+
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+        .map((parameter) => (parameter.$ref ? resolveRef(spec, parameter.$ref) : parameter));
+
+      const successCode = Object.keys(operation.responses || {}).find((code) => /^2/.test(code));
+      const responseSchema = successCode ? jsonContent(operation.responses[successCode].content) : null;
+
+      operations.push({
+        name,
+        method: method.toUpperCase(),
+        path: apiPath,
+        summary: operation.summary || operation.description || '',
+        pathParams: parameters.filter((parameter) => parameter.in === 'path'),
+        queryParams: parameters.filter((parameter) => parameter.in === 'query'),
+        body: operation.requestBody ? jsonContent(operation.requestBody.content) : null,
+        bodyRequired: Boolean(operation.requestBody?.required),
+        responseType: responseSchema ? schemaToType(responseSchema) : 'void',
+      });
+    }
+  }
+
+  return operations;
+}
+
+function resolveRef(spec, ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], spec) || {};
+}
+
+function queryType(queryParams) {
+  const lines = queryParams.map((parameter) => (
+    `  ${propertyKey(parameter.name)}${parameter.required ? '' : '?'}: ${schemaToType(parameter.schema, '  ')};`
+  ));
+  return `{\n${lines.join('\n')}\n}`;
+}
+
+function pathExpression(operation) {
+  const replaced = operation.path.replace(/\{([^}]+)\}/g, (match, name) => `\${encodeURIComponent(String(${toCamelCase(name)}))}`);
+  return `\`${replaced}\``;
+}
+
+function runtimeSource(types) {
+  return `const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || '/api';
+
+${types ? `type QueryValue = string | number | boolean | null | undefined;
+
+interface RequestOptions {
+  query?: Record<string, QueryValue | QueryValue[]>;
+  body?: unknown;
+  init?: RequestInit;
+}
+
+` : ''}function buildQuery(query${types ? '?: RequestOptions[\'query\']' : ''})${types ? ': string' : ''} {
+  if (!query) return '';
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      if (item !== undefined && item !== null) {
+        search.append(key, String(item));
+      }
+    }
+  }
+  const text = search.toString();
+  return text ? \`?\${text}\` : '';
+}
+
+${types ? '' : `/**
+ * @param {string} method
+ * @param {string} path
+ * @param {{ query?: Object, body?: unknown, init?: RequestInit }} [options]
+ */
+`}async function request${types ? '<T>' : ''}(method${types ? ': string' : ''}, path${types ? ': string' : ''}, { query, body, init = {} }${types ? ': RequestOptions' : ''} = {})${types ? ': Promise<T>' : ''} {
+  let response${types ? ': Response' : ''};
+  try {
+    response = await fetch(\`\${API_BASE_URL}\${path}\${buildQuery(query)}\`, {
+      ...init,
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...init.headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  } catch {
+    throw new ApiError('Network error or server unavailable');
+  }
+
+  const text = await response.text();
+  let data${types ? ': unknown' : ''} = undefined;
+  if (text) {
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = text;
+    }
+  }
+
+  if (!response.ok) {
+    // FastAPI reports errors as { detail: string | ValidationError[] }
+    const body = data && typeof data === 'object' ? data${types ? ' as { detail?: unknown; error?: unknown }' : ''} : null;
+    const detail = body ? body.detail ?? body.error : data;
+    const message = typeof detail === 'string' ? detail : detail ? JSON.stringify(detail) : \`Request failed with status \${response.status}\`;
+    throw new ApiError(message, response.status);
+  }
+
+  return data${types ? ' as T' : ''};
+}
+`;
+}
+
+function jsDocType(type) {
+  return type.replace(/\n\s*/g, ' ');
+}
+
+function renderSchemas(spec, typescript) {
+  const schemas = Object.entries(spec.components?.schemas || {});
+  return schemas.map(([rawName, schema]) => {
+    const name = toTypeName(rawName);
+    const description = schema.description ? schema.description.trim().split('\n')[0] : '';
+
+    if (!typescript) {
+      if (schema.type === 'object' || schema.properties) {
+        const required = new Set(schema.required || []);
+        const props = Object.entries(schema.properties || {}).map(([prop, propSchema]) => {
+          const key = required.has(prop) ? prop : `[${prop}]`;
+          return ` * @property {${jsDocType(schemaToType(propSchema))}} ${key}`;
+        });
+        return `/**\n${description ? ` * ${description}\n` : ''} * @typedef {Object} ${name}\n${props.join('\n')}\n */`;
+      }
+      return `/**\n * @typedef {${jsDocType(schemaToType(schema))}} ${name}\n */`;
+    }
+
+    const doc = description ? `/** ${description} */\n` : '';
+    const type = schemaToType(schema);
+    if ((schema.type === 'object' || schema.properties) && type.startsWith('{')) {
+      return `${doc}export interface ${name} ${type}`;
+    }
+    return `${doc}export type ${name} = ${type};`;
+  }).join('\n\n');
+}
+
+function queryTypeName(operation) {
+  return `${operation.name.charAt(0).toUpperCase()}${operation.name.slice(1)}Query`;
+}
+
+function renderQueryType(operation, typescript) {
+  const name = queryTypeName(operation);
+  if (typescript) {
+    // A type alias (unlike an interface) is assignable to the Record used by request()
+    return `export type ${name} = ${queryType(operation.queryParams)};`;
+  }
+  const props = operation.queryParams.map((parameter) => (
+    ` * @property {${jsDocType(schemaToType(parameter.schema))}} ${parameter.required ? parameter.name : `[${parameter.name}]`}`
+  ));
+  return `/**\n * @typedef {Object} ${name}\n${props.join('\n')}\n */`;
+}
+
+function renderOperation(operation, typescript) {
+  const params = operation.pathParams.map((parameter) => ({
+    name: toCamelCase(parameter.name),
+    type: schemaToType(parameter.schema),
+    optional: false,
+  }));
+
+  if (operation.body) {
+    params.push({ name: 'body', type: schemaToType(operation.body), optional: !operation.bodyRequired });
+  }
+
+  const hasQuery = operation.queryParams.length > 0;
+  if (hasQuery) {
+    const required = operation.queryParams.some((parameter) => parameter.required);
+    params.push({ name: 'query', type: queryTypeName(operation), optional: !required });
+  }
+
+  const optionEntries = [hasQuery && 'query', operation.body && 'body', 'init'].filter(Boolean);
+  const call = `request${typescript ? `<${operation.responseType}>` : ''}('${operation.method}', ${pathExpression(operation)}, { ${optionEntries.join(', ')} })`;
+  const title = `${operation.method} ${operation.path}${operation.summary ? ` - ${operation.summary}` : ''}`;
+
+  if (typescript) {
+    // Only trailing optional parameters can use `?`; earlier ones accept undefined instead
+    let trailing = true;
+    const signature = ['init: RequestInit = {}'];
+    for (const param of [...params].reverse()) {
+      if (!param.optional) trailing = false;
+      const marker = param.optional && trailing ? '?' : '';
+      const type = param.optional && !trailing ? `${param.type} | undefined` : param.type;
+      signature.unshift(`${param.name}${marker}: ${type}`);
+    }
+    return `/**\n * ${title}\n */\nexport async function ${operation.name}(${signature.join(', ')}): Promise<${operation.responseType}> {\n  return ${call};\n}`;
+  }
+
+  const paramDocs = params.map((param) => ` * @param {${jsDocType(param.type)}} ${param.optional ? `[${param.name}]` : param.name}`);
+  return [
+    '/**',
+    ` * ${title}`,
+    ...paramDocs,
+    ' * @param {RequestInit} [init]',
+    ` * @returns {Promise<${jsDocType(operation.responseType)}>}`,
+    ' */',
+    `export async function ${operation.name}(${[...params.map((param) => param.name), 'init = {}'].join(', ')}) {`,
+    `  return ${call};`,
+    '}',
+  ].join('\n');
+}
+
+/**
+ * Renders the complete client module for `spec`.
+ */
+export function generateClient(spec, { typescript = true } = {}) {
+  const title = spec.info?.title ? `${spec.info.title}${spec.info.version ? ` ${spec.info.version}` : ''}` : 'backend API';
+  const operations = collectOperations(spec);
+  const queryTypes = operations
+    .filter((operation) => operation.queryParams.length > 0)
+    .map((operation) => renderQueryType(operation, typescript));
+  const schemas = [renderSchemas(spec, typescript), ...queryTypes].filter(Boolean).join('\n\n');
+
+  return [
+    `// Generated by create-nextpy-app generate-client from the ${title} OpenAPI schema.`,
+    '// Do not edit by hand - re-run `npm run gen:api` after changing the backend.',
+    '',
+    "import { ApiError } from './api';",
+    '',
+    runtimeSource(typescript),
+    schemas,
+    schemas ? '' : null,
+    operations.map((operation) => renderOperation(operation, typescript)).join('\n\n'),
+    '',
+  ].filter((line) => line !== null).join('\n');
+}
+
+/**
+ * Works out where the client goes: run from a generated project root it
+ * targets frontend/src/lib, from inside frontend/ it targets src/lib.
+ */
+export async function resolveClientTarget({ cwd = process.cwd(), out, language } = {}) {
+  const frontendDir = await isDirectory(path.join(cwd, 'frontend')) ? path.join(cwd, 'frontend') : cwd;
+  const outDir = out ? path.resolve(cwd, out) : path.join(frontendDir, 'src', 'lib');
+
+  let typescript;
+  if (language) {
+    typescript = /^t/i.test(language);
+  } else {
+    typescript = await exists(path.join(frontendDir, 'tsconfig.json')) || await exists(path.join(outDir, 'api.ts'));
+  }
+
+  return {
+    frontendDir,
+    outFile: path.join(outDir, `${CLIENT_FILE_BASENAME}.${typescript ? 'ts' : 'js'}`),
+    typescript,
+  };
+}
+
+async function exists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function isDirectory(target) {
+  try {
+    return (await fs.stat(target)).isDirectory();
+  } catch {
+    return false;
+  }
+}
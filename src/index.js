@@ -0,0 +1,100 @@
+// What `import ... from 'create-nextpy-app'` gets: project generation
+// without the CLI's prompts, spinners and instructions, for tools that
+// wrap create-nextpy-app.
+import { DEFAULTS, PRESETS, validateConfig } from './config.js';
+import { createProjectStructure, describeError } from './create-project.js';
+import { selectFeatures } from './features/index.js';
+import { detectPackageManager } from './package-managers.js';
+import { DEFAULT_PORTS, prepareTemplate } from './templates.js';
+
+// Answers that name a feature; asking for one the backend cannot have is an error
+const FEATURE_OPTIONS = ['database', 'auth', 'realtime'];
+
+/**
+ * Generates a project without prompting or printing anything. `options`
+ * takes the keys of a nextpy.config.json file (project, language, tailwind,
+ * backend, preset, database, ...; anything left out gets the defaults of
+ * --yes), plus:
+ *   cwd     - directory to create the project in (default: process.cwd())
+ *   dryRun  - only work out the files and commands
+ *   onEvent - called with every progress event (see createProjectStructure)
+ *   exec    - replaces child_process.exec for every command run
+ * Resolves to the closing summary, with the paths, files and scripts of the
+ * project. Rejects with the error if the options are invalid or a step
+ * fails; onEvent has then received a summary with `ok: false`.
+ */
+export async function createProject(options = {}) {
+  const { cwd = process.cwd(), dryRun = false, onEvent = () => {}, exec, ...config } = options;
+  const fail = (error) => {
+    onEvent({ type: 'summary', ok: false, dryRun, error: describeError(error), time: new Date().toISOString() });
+    throw error;
+  };
+
+  const { config: given, errors } = validateConfig(config, 'createProject');
+  if (errors.length > 0) {
+    fail(new Error(errors.join('\n')));
+  }
+
+  const { preset, $schema, ...settings } = { ...DEFAULTS, ...PRESETS[given.preset], ...given };
+  const useTailwind = settings.tailwind === 'Yes';
+  const packageManager = settings.packageManager || detectPackageManager();
+  const backendPort = settings.backendPort ?? DEFAULT_PORTS.backend;
+  const frontendPort = settings.frontendPort ?? DEFAULT_PORTS.frontend;
+  if (backendPort === frontendPort) {
+    fail(new Error(`The backend and frontend cannot both listen on port ${backendPort}: change backendPort or frontendPort.`));
+  }
+
+  const { features, skipped, errors: featureErrors } = selectFeatures(settings, {
+    explicit: FEATURE_OPTIONS.filter((name) => given[name] !== undefined),
+    option: (name) => `"${name}"`,
+  });
+  if (featureErrors.length > 0) {
+    fail(new Error(featureErrors.join('\n')));
+  }
+  for (const message of skipped) {
+    onEvent({ type: 'warning', message, time: new Date().toISOString() });
+  }
+
+  let template = null;
+  if (settings.template) {
+    try {
+      template = await prepareTemplate(settings.template, {
+        projectName: settings.project,
+        language: settings.language,
+        tailwind: useTailwind,
+        backend: settings.backend,
+        pythonManager: settings.pythonManager,
+        packageManager,
+        backendPort,
+        frontendPort,
+      }, settings.templateVars);
+    } catch (error) {
+      fail(error);
+    }
+  }
+
+  try {
+    return await createProjectStructure(settings.project, settings.language, useTailwind, {
+      cwd,
+      dryRun,
+      offline: Boolean(settings.offline),
+      force: Boolean(settings.force),
+      keepOnError: Boolean(settings.keepOnError),
+      interactive: false,
+      silent: true,
+      onEvent,
+      exec,
+      backend: settings.backend,
+      pythonManager: settings.pythonManager,
+      packageManager,
+      backendPort,
+      frontendPort,
+      python: settings.python,
+      minPython: settings.minPython,
+      features,
+      template,
+    });
+  } finally {
+    await template?.cleanup();
+  }
+}
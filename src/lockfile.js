@@ -0,0 +1,65 @@
+// nextpy-lock.json: which CLI version generated a project, with which
+// features, and a hash of every file it wrote - so `upgrade` can tell the
+// files the user changed from the ones still exactly as generated.
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const LOCKFILE = 'nextpy-lock.json';
+
+// Local configuration and secrets are never upgraded
+const UNTRACKED = [path.join('backend', '.env'), path.join('frontend', '.env.local')];
+
+export function hashContent(content) {
+  return `sha256-${createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * Whether `upgrade` manages the file at `relative` (to the project root).
+ */
+export function isTracked(relative) {
+  return !UNTRACKED.includes(path.normalize(relative)) && path.basename(relative) !== LOCKFILE;
+}
+
+/**
+ * Hashes the files at `paths` (relative to `root`), skipping untracked and
+ * missing ones. Keys always use forward slashes so lockfiles can be shared
+ * between platforms.
+ */
+export async function hashFiles(root, paths) {
+  const files = {};
+  for (const relative of paths) {
+    if (!isTracked(relative)) continue;
+    try {
+      files[relative.split(path.sep).join('/')] = hashContent(await fs.readFile(path.join(root, relative)));
+    } catch {
+      // removed again by a later step
+    }
+  }
+  return files;
+}
+
+/**
+ * The lockfile text: { lockfileVersion, version, features, files } with the
+ * files sorted so regenerating gives a stable diff.
+ */
+export function renderLockfile({ version, features = [], files = {} }) {
+  const sorted = Object.fromEntries(Object.entries(files).sort(([a], [b]) => a.localeCompare(b)));
+  return JSON.stringify({ lockfileVersion: 1, version, features, files: sorted }, null, 2) + '\n';
+}
+
+/**
+ * Reads the project's lockfile, or returns null if it has none (or it is not valid JSON).
+ */
+export async function readLockfile(root) {
+  try {
+    const lock = JSON.parse(await fs.readFile(path.join(root, LOCKFILE), 'utf8'));
+    return lock && typeof lock === 'object' && lock.files ? lock : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function writeLockfile(root, lock) {
+  await fs.writeFile(path.join(root, LOCKFILE), renderLockfile(lock));
+}
@@ -0,0 +1,203 @@
+// Line-based text diffing for `upgrade`: unified diffs for the summary and
+// .rej files, and a diff3-style three-way merge that leaves conflict markers
+// where the user and the templates changed the same lines.
+
+/**
+ * Splits text into lines that keep their line endings, so joining them
+ * gives back the exact text.
+ */
+export function splitLines(text) {
+  return text === '' ? [] : text.split(/(?<=\n)/);
+}
+
+/**
+ * For every line of `a`, the index of the line of `b` it is matched with in a
+ * longest common subsequence, or -1. Common prefixes and suffixes are matched
+ * up front so the quadratic part only covers the changed middle.
+ */
+function matchLines(a, b) {
+  const matches = new Array(a.length).fill(-1);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    matches[endA] = endB;
+  }
+
+  const rows = endA - start;
+  const cols = endB - start;
+  // lengths[i][j]: LCS length of a[start + i..endA) and b[start + j..endB)
+  const lengths = new Int32Array((rows + 1) * (cols + 1));
+  const at = (i, j) => i * (cols + 1) + j;
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[at(i, j)] = a[start + i] === b[start + j]
+        ? lengths[at(i + 1, j + 1)] + 1
+        : Math.max(lengths[at(i + 1, j)], lengths[at(i, j + 1)]);
+    }
+  }
+  for (let i = 0, j = 0; i < rows && j < cols;) {
+    if (a[start + i] === b[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (lengths[at(i + 1, j)] >= lengths[at(i, j + 1)]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+/**
+ * The edit script from `oldText` to `newText`: [{ type: ' ' | '-' | '+', line }].
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const matches = matchLines(a, b);
+  const edits = [];
+  let j = 0;
+  a.forEach((line, i) => {
+    if (matches[i] === -1) {
+      edits.push({ type: '-', line });
+      return;
+    }
+    for (; j < matches[i]; j++) edits.push({ type: '+', line: b[j] });
+    edits.push({ type: ' ', line });
+    j++;
+  });
+  for (; j < b.length; j++) edits.push({ type: '+', line: b[j] });
+  return edits;
+}
+
+/**
+ * Counts the added and removed lines between two texts.
+ */
+export function diffStat(oldText, newText) {
+  const edits = diffLines(oldText, newText);
+  return {
+    added: edits.filter(({ type }) => type === '+').length,
+    removed: edits.filter(({ type }) => type === '-').length,
+  };
+}
+
+/**
+ * A unified diff (as `diff -u` prints it) from `oldText` to `newText`, with
+ * `context` unchanged lines around each change. Empty if they are equal.
+ */
+export function unifiedDiff(oldText, newText, { from = 'a', to = 'b', context = 3 } = {}) {
+  const edits = diffLines(oldText, newText);
+  if (edits.every(({ type }) => type === ' ')) return '';
+
+  // Line numbers in the old and new text before each edit
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const { type } of edits) {
+    positions.push({ oldLine, newLine });
+    if (type !== '+') oldLine++;
+    if (type !== '-') newLine++;
+  }
+
+  const output = [`--- ${from}\n`, `+++ ${to}\n`];
+  let index = 0;
+  while (index < edits.length) {
+    const firstChange = edits.findIndex((edit, i) => i >= index && edit.type !== ' ');
+    if (firstChange === -1) break;
+
+    // Extend the hunk until the next run of more than 2 * context unchanged lines
+    let end = firstChange;
+    let unchanged = 0;
+    for (let i = firstChange; i < edits.length; i++) {
+      if (edits[i].type === ' ') {
+        unchanged++;
+        if (unchanged > context * 2) break;
+      } else {
+        unchanged = 0;
+        end = i;
+      }
+    }
+    const start = Math.max(index, firstChange - context);
+    const stop = Math.min(edits.length, end + context + 1);
+    const hunk = edits.slice(start, stop);
+    const oldCount = hunk.filter(({ type }) => type !== '+').length;
+    const newCount = hunk.filter(({ type }) => type !== '-').length;
+    const { oldLine: oldStart, newLine: newStart } = positions[start];
+    output.push(`@@ -${oldCount === 0 ? oldStart - 1 : oldStart},${oldCount} +${newCount === 0 ? newStart - 1 : newStart},${newCount} @@\n`);
+    for (const { type, line } of hunk) {
+      output.push(`${type}${line}${line.endsWith('\n') ? '' : '\n\\ No newline at end of file\n'}`);
+    }
+    index = stop;
+  }
+  return output.join('');
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+/**
+ * Merges the changes from `base` to `ours` and from `base` to `theirs`.
+ * Where both changed the same lines differently, both versions are kept
+ * between conflict markers labelled with `labels`. Returns { text, conflicts }.
+ */
+export function mergeThreeWay(base, ours, theirs, { labels = { ours: 'ours', theirs: 'theirs' } } = {}) {
+  const baseLines = splitLines(base);
+  const ourLines = splitLines(ours);
+  const theirLines = splitLines(theirs);
+  const toOurs = matchLines(baseLines, ourLines);
+  const toTheirs = matchLines(baseLines, theirLines);
+
+  const result = [];
+  let conflicts = 0;
+  const terminated = (lines) => lines.map((line, i) => (i === lines.length - 1 && !line.endsWith('\n') ? `${line}\n` : line));
+
+  let b = 0;
+  let o = 0;
+  let t = 0;
+  for (;;) {
+    // Lines that are unchanged on both sides
+    while (b < baseLines.length && toOurs[b] === o && toTheirs[b] === t) {
+      result.push(baseLines[b]);
+      b++;
+      o++;
+      t++;
+    }
+    if (b >= baseLines.length && o >= ourLines.length && t >= theirLines.length) break;
+
+    // The next base line both sides still have ends the changed chunk
+    let next = b;
+    while (next < baseLines.length && (toOurs[next] === -1 || toTheirs[next] === -1)) next++;
+    const nextOurs = next < baseLines.length ? toOurs[next] : ourLines.length;
+    const nextTheirs = next < baseLines.length ? toTheirs[next] : theirLines.length;
+
+    const baseChunk = baseLines.slice(b, next);
+    const ourChunk = ourLines.slice(o, nextOurs);
+    const theirChunk = theirLines.slice(t, nextTheirs);
+    if (sameLines(ourChunk, baseChunk) || sameLines(ourChunk, theirChunk)) {
+      result.push(...theirChunk);
+    } else if (sameLines(theirChunk, baseChunk)) {
+      result.push(...ourChunk);
+    } else {
+      conflicts++;
+      result.push(
+        `<<<<<<< ${labels.ours}\n`,
+        ...terminated(ourChunk),
+        '=======\n',
+        ...terminated(theirChunk),
+        `>>>>>>> ${labels.theirs}\n`
+      );
+    }
+    b = next;
+    o = nextOurs;
+    t = nextTheirs;
+  }
+
+  return { text: result.join(''), conflicts };
+}
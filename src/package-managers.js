@@ -0,0 +1,85 @@
+// JavaScript package managers: how the generated project installs packages,
+// runs its scripts and calls create-next-app with each of them.
+import path from 'path';
+
+export const PACKAGE_MANAGERS = {
+  npm: {
+    label: 'npm',
+    install: 'npm install',
+    run: 'npm run',
+    exec: 'npx',
+    lockfile: 'package-lock.json',
+  },
+  pnpm: {
+    label: 'pnpm',
+    install: 'pnpm install',
+    run: 'pnpm run',
+    exec: 'pnpm dlx',
+    lockfile: 'pnpm-lock.yaml',
+    docs: 'https://pnpm.io/installation',
+  },
+  yarn: {
+    label: 'Yarn',
+    install: 'yarn install',
+    run: 'yarn run',
+    // Yarn 1 has no dlx; create-next-app still installs with Yarn via --use-yarn
+    exec: 'npx',
+    lockfile: 'yarn.lock',
+    docs: 'https://yarnpkg.com/getting-started/install',
+  },
+  bun: {
+    label: 'Bun',
+    install: 'bun install',
+    run: 'bun run',
+    exec: 'bunx',
+    lockfile: 'bun.lock',
+    docs: 'https://bun.sh/docs/installation',
+  },
+};
+
+/**
+ * The file and leading arguments that run npm without a shell. npm is a .cmd
+ * shim on Windows, which needs one; its CLI script sits next to node.exe in
+ * a standard install.
+ */
+export function npmCommand(platform = process.platform) {
+  if (platform !== 'win32') return ['npm'];
+  return [process.execPath, path.join(path.dirname(process.execPath), 'node_modules', 'npm', 'bin', 'npm-cli.js')];
+}
+
+/**
+ * The package manager that launched the CLI (`pnpm create nextpy-app`,
+ * `yarn create nextpy-app`, `bunx create-nextpy-app`...), read from the
+ * npm_config_user_agent variable they all set. Falls back to npm.
+ */
+export function detectPackageManager(userAgent = process.env.npm_config_user_agent) {
+  const name = /^([\w-]+)\//.exec(userAgent || '')?.[1];
+  return PACKAGE_MANAGERS[name] ? name : 'npm';
+}
+
+/**
+ * Rewrites the npm commands in a script or note for `manager`. The `--`
+ * npm needs before forwarded arguments is dropped for the others, which
+ * pass everything after the script name through (pnpm would forward the
+ * `--` itself).
+ */
+export function forPackageManager(command, manager) {
+  if (manager === 'npm' || !PACKAGE_MANAGERS[manager]) return command;
+  const { install, run, exec } = PACKAGE_MANAGERS[manager];
+
+  return command
+    .replace(/\bnpm run (\S+)(?: --(?=\s|$))?/g, `${run} $1`)
+    // `bun test` would start Bun's own test runner instead of the script
+    .replace(/\bnpm (start|test)\b/g, `${run} $1`)
+    .replace(/\bnpm install\b/g, install)
+    .replace(/\bnpx\b/g, exec);
+}
+
+/**
+ * Applies forPackageManager to every script in a package.json `scripts` object.
+ */
+export function packageManagerScripts(scripts, manager) {
+  return Object.fromEntries(
+    Object.entries(scripts).map(([name, command]) => [name, forPackageManager(command, manager)])
+  );
+}
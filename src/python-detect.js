@@ -0,0 +1,102 @@
+// Finds a usable Python interpreter: tries the usual command names, parses
+// their version and rejects anything older than the required minimum.
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import os from 'os';
+import { quoteArg } from './shell.js';
+
+const execAsync = promisify(exec);
+
+// Newest first, so an explicit python3.x is only used when python3/python are unsuitable
+const VERSIONED_MINORS = [14, 13, 12, 11, 10, 9, 8];
+
+export class PythonDetectionError extends Error {
+  constructor(message, candidates) {
+    super(message);
+    this.name = 'PythonDetectionError';
+    this.candidates = candidates;
+  }
+}
+
+/**
+ * Extracts { major, minor, patch } from `python --version` output
+ * ("Python 3.11.4", "Python 3.13.0rc1"). Returns null if there is no version.
+ */
+export function parseVersion(output) {
+  const match = /Python\s+(\d+)\.(\d+)(?:\.(\d+))?/i.exec(output || '');
+  if (!match) return null;
+  return { major: Number(match[1]), minor: Number(match[2]), patch: Number(match[3] || 0) };
+}
+
+/**
+ * Parses a "3.9" / "3.10.2" style minimum into the same shape as parseVersion.
+ */
+export function parseMinimum(value) {
+  const match = /^(\d+)(?:\.(\d+))?(?:\.(\d+))?$/.exec(String(value).trim());
+  if (!match) return null;
+  return { major: Number(match[1]), minor: Number(match[2] || 0), patch: Number(match[3] || 0) };
+}
+
+export function compareVersions(a, b) {
+  return a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+}
+
+export function formatVersion({ major, minor, patch }) {
+  return `${major}.${minor}.${patch}`;
+}
+
+/**
+ * Commands to try, in order. An explicit --python path is the only candidate.
+ */
+export function candidateCommands({ override, platform = os.platform() } = {}) {
+  if (override) {
+    return [override];
+  }
+
+  const base = platform === 'win32' ? ['py -3', 'python', 'python3'] : ['python3', 'python'];
+  return [...base, ...VERSIONED_MINORS.map((minor) => `python3.${minor}`)];
+}
+
+/**
+ * Returns { command, version, candidates } for the first interpreter that
+ * satisfies `minVersion`. `candidates` records every command that was tried
+ * and why it was rejected. Throws PythonDetectionError if none qualifies.
+ */
+export async function detectPython({ override, minVersion = '3.9', platform, run = execAsync } = {}) {
+  const minimum = parseMinimum(minVersion);
+  if (!minimum) {
+    throw new PythonDetectionError(`Invalid minimum Python version "${minVersion}"`, []);
+  }
+
+  const candidates = [];
+  for (const command of candidateCommands({ override, platform })) {
+    let output;
+    try {
+      // The override is a path, which may need quoting; the others are plain commands
+      const { stdout, stderr } = await run(`${command === override ? quoteArg(command, platform) : command} --version`);
+      // Python 2 prints its version to stderr
+      output = `${stdout}${stderr}`;
+    } catch (error) {
+      candidates.push({ command, reason: 'not found' });
+      continue;
+    }
+
+    const version = parseVersion(output);
+    if (!version) {
+      candidates.push({ command, reason: `unrecognized version output: ${output.trim() || '(empty)'}` });
+    } else if (compareVersions(version, minimum) < 0) {
+      candidates.push({ command, version, reason: `older than the required ${minVersion}` });
+    } else {
+      candidates.push({ command, version });
+      return { command, version, candidates };
+    }
+  }
+
+  const found = candidates.filter((candidate) => candidate.version);
+  const message = override
+    ? `Python at ${override} cannot be used (requires Python ${minVersion} or newer).`
+    : found.length > 0
+      ? `No suitable Python found - this project requires Python ${minVersion} or newer.`
+      : 'Python not found. Please install Python and ensure it\'s in your PATH.';
+  throw new PythonDetectionError(message, candidates);
+}
@@ -0,0 +1,273 @@
+// Python environment managers: how backend dependencies are declared,
+// installed and how the dev server is launched for each of them.
+import { quoteArg } from './shell.js';
+
+export const PYTHON_MANAGERS = {
+  venv: {
+    label: 'venv + pip',
+  },
+  uv: {
+    label: 'uv',
+    command: 'uv',
+    install: 'uv sync',
+    run: 'uv run',
+    freeze: 'uv pip freeze',
+    creates: ['.venv', 'uv.lock'],
+    docs: 'https://docs.astral.sh/uv/',
+  },
+  poetry: {
+    label: 'Poetry',
+    command: 'poetry',
+    install: 'poetry install',
+    run: 'poetry run',
+    freeze: 'poetry show',
+    creates: ['.venv', 'poetry.lock'],
+    docs: 'https://python-poetry.org/docs/',
+  },
+  pipenv: {
+    label: 'Pipenv',
+    command: 'pipenv',
+    install: 'pipenv install',
+    run: 'pipenv run',
+    freeze: 'pipenv requirements',
+    creates: ['.venv', 'Pipfile.lock'],
+    // Keep the environment in backend/.venv like uv and Poetry do
+    env: { PIPENV_VENV_IN_PROJECT: '1' },
+    docs: 'https://pipenv.pypa.io/',
+  },
+};
+
+// The file each manager declares backend dependencies in
+export const DEPENDENCY_FILES = {
+  venv: 'requirements.txt',
+  uv: 'pyproject.toml',
+  poetry: 'pyproject.toml',
+  pipenv: 'Pipfile',
+};
+
+/**
+ * Parses requirements.txt content into { name, extras, spec } entries.
+ * Comments, blank lines and pip options (-r, --index-url, ...) are skipped.
+ */
+export function parseRequirements(text) {
+  const requirements = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line || line.startsWith('-')) continue;
+
+    const match = line.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[([^\]]*)\])?\s*(.*)$/);
+    if (!match) continue;
+
+    const [, name, extras, spec] = match;
+    requirements.push({
+      name,
+      extras: extras ? extras.split(',').map((extra) => extra.trim()).filter(Boolean) : [],
+      spec: spec.trim(),
+    });
+  }
+  return requirements;
+}
+
+function formatRequirement({ name, extras, spec }) {
+  return `${name}${extras.length ? `[${extras.join(',')}]` : ''}${spec}`;
+}
+
+/**
+ * Renders a PEP 621 pyproject.toml. Poetry 2 reads the same [project] table;
+ * it only needs package-mode turned off because the backend is not a library.
+ * `minPython` is the minimum the CLI checked for (--min-python or the
+ * framework's).
+ */
+export function renderPyproject(requirements, { name, description, minPython = '3.9', poetry = false }) {
+  const lines = [
+    '[project]',
+    `name = "${name}"`,
+    'version = "0.1.0"',
+    `description = "${description}"`,
+    `requires-python = ">=${minPython}"`,
+    'dependencies = [',
+    ...requirements.map((requirement) => `    "${formatRequirement(requirement)}",`),
+    ']',
+  ];
+
+  if (poetry) {
+    lines.push('', '[tool.poetry]', 'package-mode = false');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function formatPipfileEntry({ name, extras, spec }) {
+  const version = spec || '*';
+  return extras.length
+    ? `${name} = {extras = [${extras.map((extra) => `"${extra}"`).join(', ')}], version = "${version}"}`
+    : `${name} = "${version}"`;
+}
+
+export function renderPipfile(requirements) {
+  const packages = requirements.map(formatPipfileEntry);
+
+  return [
+    '[[source]]',
+    'url = "https://pypi.org/simple"',
+    'verify_ssl = true',
+    'name = "pypi"',
+    '',
+    '[packages]',
+    ...packages,
+    '',
+    '[dev-packages]',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Returns the dependency files the manager expects in backend/, as
+ * [{ name, content }]. venv keeps the plain requirements.txt.
+ */
+export function dependencyFiles(manager, requirementsText, { name = 'backend', description = '', minPython } = {}) {
+  const requirements = parseRequirements(requirementsText);
+
+  switch (manager) {
+    case 'uv':
+      return [{ name: 'pyproject.toml', content: renderPyproject(requirements, { name, description, minPython }) }];
+    case 'poetry':
+      return [
+        { name: 'pyproject.toml', content: renderPyproject(requirements, { name, description, minPython, poetry: true }) },
+        { name: 'poetry.toml', content: '[virtualenvs]\nin-project = true\n' },
+      ];
+    case 'pipenv':
+      return [{ name: 'Pipfile', content: renderPipfile(requirements) }];
+    default:
+      return [{ name: 'requirements.txt', content: requirementsText }];
+  }
+}
+
+/**
+ * The install command for a manager, pinned to `python` when the user chose
+ * a specific interpreter with --python. The interpreter is quoted for
+ * `platform`'s shell, so paths with spaces keep working.
+ */
+export function installCommand(manager, python, platform) {
+  const config = PYTHON_MANAGERS[manager];
+  if (!python) return config.install;
+  const interpreter = quoteArg(python, platform);
+
+  switch (manager) {
+    case 'uv':
+      return `uv sync --python ${interpreter}`;
+    case 'poetry':
+      return `poetry env use ${interpreter} && poetry install`;
+    case 'pipenv':
+      return `pipenv install --python ${interpreter}`;
+    default:
+      return config.install;
+  }
+}
+
+/**
+ * Backend package.json scripts that launch the server through the manager.
+ * `devArgs`/`startArgs` are the python arguments of the chosen framework.
+ * Returns null for venv, whose template scripts already target venv/.
+ */
+export function backendScripts(manager, { devArgs, startArgs }) {
+  const config = PYTHON_MANAGERS[manager];
+  if (!config.run) return null;
+
+  return {
+    start: `${config.run} python ${startArgs.join(' ')}`,
+    dev: `${config.run} python ${devArgs.join(' ')}`,
+    install: config.install,
+    activate: "echo 'Run: .venv\\\\Scripts\\\\activate (Windows) or source .venv/bin/activate (macOS/Linux)'",
+    test: `${config.run} python -m pytest`,
+    freeze: config.freeze,
+  };
+}
+
+/**
+ * A backend package.json script that runs `python <args>` in the backend's
+ * environment. Arguments after `npm run <script> --` are passed through.
+ */
+export function pythonScript(manager, args) {
+  const config = PYTHON_MANAGERS[manager];
+  if (config.run) {
+    return `${config.run} python ${args.join(' ')}`;
+  }
+
+  const argList = args.map((arg) => `'${arg}'`).join(', ');
+  return `node -e "const { spawn } = require('child_process'); const os = require('os'); const cmd = os.platform() === 'win32' ? 'venv\\\\Scripts\\\\python.exe' : 'venv/bin/python'; spawn(cmd, [${argList}, ...process.argv.slice(1)], {stdio: 'inherit'}).on('exit', (code) => process.exit(code));" --`;
+}
+
+/**
+ * Root package.json scripts that (re)create the backend environment.
+ */
+export function rootSetupScripts(manager) {
+  const config = PYTHON_MANAGERS[manager];
+  if (!config.install) return null;
+
+  return {
+    'backend:setup': `cd backend && ${config.install}`,
+    'backend:install': `cd backend && ${config.install}`,
+  };
+}
+
+// PEP 503 name normalization, so Flask-CORS and flask_cors count as the same package
+export function normalizeName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * The requirements declared in a manager's dependency file (see
+ * DEPENDENCY_FILES), as parseRequirements entries. Pipfile extras are not read.
+ */
+export function declaredRequirements(manager, text) {
+  if (manager === 'pipenv') {
+    const section = /^\[packages\]\n([\s\S]*?)(?=^\[|(?![\s\S]))/m.exec(text);
+    const entries = section ? [...section[1].matchAll(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*=\s*(?:"([^"]*)"|\{.*?version\s*=\s*"([^"]*)")?/gm)] : [];
+    return entries.map(([, name, plain, table]) => {
+      const version = plain ?? table ?? '*';
+      return { name, extras: [], spec: version === '*' ? '' : version };
+    });
+  }
+  if (manager === 'uv' || manager === 'poetry') {
+    const block = /^dependencies = \[\n([\s\S]*?)^\]/m.exec(text);
+    const entries = block ? [...block[1].matchAll(/"([^"]+)"/g)].map((match) => match[1]) : [];
+    return parseRequirements(entries.join('\n'));
+  }
+  return parseRequirements(text);
+}
+
+function declaredNames(manager, text) {
+  return declaredRequirements(manager, text).map(({ name }) => normalizeName(name));
+}
+
+/**
+ * Declares the requirements.txt-style `lines` in a manager's dependency file
+ * (see DEPENDENCY_FILES), skipping packages it already lists. Returns the new
+ * file content and the names that were added.
+ */
+export function addRequirements(manager, text, lines) {
+  const declared = new Set(declaredNames(manager, text));
+  const missing = parseRequirements(lines.join('\n')).filter(({ name }) => !declared.has(normalizeName(name)));
+  if (missing.length === 0) {
+    return { content: text, added: [] };
+  }
+
+  const added = missing.map(({ name }) => name);
+  const body = text.endsWith('\n') || text === '' ? text : `${text}\n`;
+
+  if (manager === 'pipenv') {
+    const entries = missing.map(formatPipfileEntry).join('\n');
+    // Insert after the last entry of [packages], before any blank line or next table
+    const content = body.replace(/^\[packages\]\n((?:[^\n[][^\n]*\n)*)/m, (section) => `${section}${entries}\n`);
+    return { content, added };
+  }
+
+  if (manager === 'uv' || manager === 'poetry') {
+    const entries = missing.map((requirement) => `    "${formatRequirement(requirement)}",\n`).join('');
+    const content = body.replace(/^(dependencies = \[\n[\s\S]*?)^\]/m, (_, head) => `${head}${entries}]`);
+    return { content, added };
+  }
+
+  return { content: body + missing.map(formatRequirement).join('\n') + '\n', added };
+}
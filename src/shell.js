@@ -0,0 +1,33 @@
+// Shell quoting for the generator's commands. They all go through one
+// injectable exec (see createRunContext), so values the user chooses - an
+// interpreter path, a feature's setup arguments - are quoted as single
+// arguments for the platform's shell instead of being pasted in.
+import os from 'os';
+
+const POSIX_SAFE = /^[A-Za-z0-9_/.:=@+,-]+$/;
+const WINDOWS_SAFE = /^[A-Za-z0-9_\\/.:=@+,-]+$/;
+
+/**
+ * `arg` as one shell word: untouched if it is plain, otherwise in single
+ * quotes (sh) or double quotes (cmd.exe). cmd.exe has no way to keep `"` or
+ * `%` literal inside quotes, so those are refused there.
+ */
+export function quoteArg(arg, platform = os.platform()) {
+  const value = String(arg);
+  if (platform === 'win32') {
+    if (WINDOWS_SAFE.test(value)) return value;
+    if (/["%]/.test(value)) {
+      throw new Error(`Cannot pass ${value} to a command on Windows: it contains " or %`);
+    }
+    return `"${value}"`;
+  }
+  if (POSIX_SAFE.test(value)) return value;
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * The command line that runs `file` with `args`, each quoted by quoteArg.
+ */
+export function formatCommand([file, ...args], platform = os.platform()) {
+  return [file, ...args].map((arg) => quoteArg(arg, platform)).join(' ');
+}
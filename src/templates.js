@@ -0,0 +1,362 @@
+// Custom project templates (--template): a directory, git repository or npm
+// package with a nextpy-template.json manifest that maps its files onto the
+// generated project and declares the placeholders substituted in them.
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { BACKEND_FRAMEWORKS } from './backend-frameworks.js';
+import { PACKAGE_MANAGERS, npmCommand } from './package-managers.js';
+import { PYTHON_MANAGERS } from './python-managers.js';
+
+const execFileAsync = promisify(execFile);
+
+export const TEMPLATE_MANIFEST = 'nextpy-template.json';
+
+// Template files that npm refuses to publish under their real name
+export const RENAMED_TEMPLATES = {
+  'gitignore.template': '.gitignore',
+};
+
+// Filled in by the generator; manifests cannot declare placeholders with these names
+export const BUILTIN_PLACEHOLDERS = [
+  'projectName', 'language', 'tailwind', 'backend', 'pythonManager', 'packageManager', 'backendPort', 'frontendPort',
+];
+
+export const DEFAULT_PORTS = { backend: 8000, frontend: 3000 };
+
+// {{name}} without spaces, so Jinja/Django {{ variable }} tags are left alone
+const PLACEHOLDER_PATTERN = /\{\{([A-Za-z_][A-Za-z0-9_]*)\}\}/g;
+
+// Settings a `files` entry can be limited to with `when`, and the values each accepts
+const CONDITIONS = {
+  language: ['JavaScript', 'TypeScript'],
+  tailwind: [true, false],
+  backend: Object.keys(BACKEND_FRAMEWORKS),
+  pythonManager: Object.keys(PYTHON_MANAGERS),
+  packageManager: Object.keys(PACKAGE_MANAGERS),
+};
+
+export class TemplateError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'TemplateError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * How `spec` is fetched: 'git' for git URLs (git+https://..., git@host:repo,
+ * file:///path/repo, anything ending in .git, optionally followed by #ref),
+ * 'path' for filesystem paths and 'npm' for everything else. A bare name is
+ * only a path if that directory exists in `cwd`.
+ */
+export async function templateSourceKind(spec, { cwd = process.cwd() } = {}) {
+  if (/^(git\+|git:\/\/|git@|ssh:\/\/|file:\/\/)/.test(spec) || /\.git(#[^/\\]*)?$/.test(spec)) {
+    return 'git';
+  }
+  if (/^(\.{1,2}([\\/]|$)|[\\/]|[A-Za-z]:[\\/]|~[\\/])/.test(spec)) {
+    return 'path';
+  }
+  try {
+    return (await fs.stat(path.resolve(cwd, spec))).isDirectory() ? 'path' : 'npm';
+  } catch {
+    return 'npm';
+  }
+}
+
+/**
+ * Makes `spec` available as a local directory. Git repositories are cloned
+ * and npm packages unpacked into a temporary directory; `cleanup` removes it.
+ * `execFile` (file, args, options) runs them without a shell, so nothing in
+ * the spec is ever interpreted.
+ */
+export async function resolveTemplateSource(spec, { cwd = process.cwd(), execFile: run = execFileAsync } = {}) {
+  const kind = await templateSourceKind(spec, { cwd });
+
+  if (kind === 'path') {
+    const dir = path.resolve(cwd, spec.replace(/^~(?=[\\/])/, os.homedir()));
+    try {
+      if (!(await fs.stat(dir)).isDirectory()) throw new Error('not a directory');
+    } catch {
+      throw new TemplateError(`Template directory ${dir} does not exist`);
+    }
+    return { kind, dir, cleanup: async () => {} };
+  }
+
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'nextpy-template-'));
+  const cleanup = () => fs.rm(tmp, { recursive: true, force: true });
+  try {
+    if (kind === 'git') {
+      const [url, ref] = spec.replace(/^git\+/, '').split('#');
+      const dir = path.join(tmp, 'repo');
+      await run('git', ['clone', '--depth', '1', ...(ref ? ['--branch', ref] : []), url, dir]);
+      return { kind, dir, cleanup };
+    }
+
+    // npm ships with Node, whichever package manager the project uses
+    const [npm, ...npmArgs] = npmCommand();
+    const { stdout } = await run(npm, [...npmArgs, 'pack', spec, '--json', '--pack-destination', tmp], { cwd });
+    const [{ filename }] = JSON.parse(stdout);
+    await run('tar', ['-xzf', path.join(tmp, path.basename(filename)), '-C', tmp]);
+    return { kind, dir: path.join(tmp, 'package'), cleanup };
+  } catch (error) {
+    await cleanup();
+    if (error instanceof TemplateError) throw error;
+    const lines = (error.stderr || error.message || '').split('\n').map((line) => line.trim()).filter(Boolean);
+    // The first real error, rather than npm's "code E404" line or git's hints
+    const detail = lines.find((line) => /^(fatal:|npm (error|ERR!) (?!code\b))/.test(line)) || lines[0];
+    throw new TemplateError(`Cannot fetch template ${spec} (${kind === 'git' ? 'git clone' : 'npm pack'} failed: ${detail})`);
+  }
+}
+
+function checkCondition(key, value) {
+  const allowed = CONDITIONS[key];
+  if (!allowed) return `unknown condition "${key}" (use ${Object.keys(CONDITIONS).join(', ')})`;
+  const values = Array.isArray(value) ? value : [value];
+  const invalid = values.filter((entry) => !allowed.includes(entry));
+  return invalid.length > 0 ? `"${key}" must be ${allowed.map((entry) => JSON.stringify(entry)).join(', ')} (got ${invalid.map((entry) => JSON.stringify(entry)).join(', ')})` : null;
+}
+
+/**
+ * Reads and validates the manifest of a template directory. Returns
+ * { manifest, errors } like loadConfigFile, with every problem listed.
+ */
+export async function loadTemplateManifest(dir) {
+  const manifestPath = path.join(dir, TEMPLATE_MANIFEST);
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  } catch (error) {
+    const reason = error.code === 'ENOENT' ? 'not found' : error instanceof SyntaxError ? `invalid JSON (${error.message})` : error.message;
+    return { manifest: null, errors: [`${TEMPLATE_MANIFEST}: ${reason}`] };
+  }
+
+  const errors = [];
+  if (manifest === null || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return { manifest: null, errors: [`${TEMPLATE_MANIFEST}: expected a JSON object`] };
+  }
+  if (typeof manifest.name !== 'string' || manifest.name.trim() === '') {
+    errors.push('"name" must be a non-empty string');
+  }
+
+  const placeholders = manifest.placeholders ?? {};
+  if (typeof placeholders !== 'object' || Array.isArray(placeholders)) {
+    errors.push('"placeholders" must be an object');
+  } else {
+    for (const [name, spec] of Object.entries(placeholders)) {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        errors.push(`placeholder "${name}" must be a valid identifier`);
+      } else if (BUILTIN_PLACEHOLDERS.includes(name)) {
+        errors.push(`placeholder "${name}" is built in and cannot be redefined`);
+      } else if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+        errors.push(`placeholder "${name}" must be an object ({ "description", "default", "required" })`);
+      } else if (spec.default !== undefined && typeof spec.default !== 'string') {
+        errors.push(`placeholder "${name}": "default" must be a string`);
+      }
+    }
+  }
+
+  if (!Array.isArray(manifest.files) || manifest.files.length === 0) {
+    errors.push('"files" must be a non-empty array');
+  } else {
+    manifest.files.forEach((entry, index) => {
+      const where = `files[${index}]`;
+      if (entry === null || typeof entry !== 'object') {
+        errors.push(`${where} must be an object ({ "from", "to" })`);
+        return;
+      }
+      for (const key of ['from', 'to']) {
+        if (typeof entry[key] !== 'string' || entry[key] === '') {
+          errors.push(`${where}: "${key}" must be a non-empty string`);
+        } else if (path.isAbsolute(entry[key]) || path.normalize(entry[key]).split(/[\\/]/).includes('..')) {
+          errors.push(`${where}: "${key}" must be a relative path inside the ${key === 'from' ? 'template' : 'project'} (got "${entry[key]}")`);
+        }
+      }
+      for (const [key, value] of Object.entries(entry.when || {})) {
+        const problem = checkCondition(key, value);
+        if (problem) errors.push(`${where}: ${problem}`);
+      }
+      if (entry.render !== undefined && typeof entry.render !== 'boolean') {
+        errors.push(`${where}: "render" must be true or false`);
+      }
+    });
+  }
+
+  return { manifest: errors.length === 0 ? manifest : null, errors };
+}
+
+/**
+ * Resolves `spec` and loads its manifest. Throws a TemplateError listing the
+ * manifest problems; the caller must call `cleanup` once done with the files.
+ */
+export async function loadTemplate(spec, options = {}) {
+  const source = await resolveTemplateSource(spec, options);
+  const { manifest, errors } = await loadTemplateManifest(source.dir);
+  if (errors.length > 0) {
+    await source.cleanup();
+    throw new TemplateError(`Invalid template ${spec}`, errors);
+  }
+  return { ...source, source: spec, name: manifest.name, manifest };
+}
+
+/**
+ * Placeholder values for a template: --template-var / templateVars values
+ * first, then the manifest defaults. `missing` lists the declared placeholders
+ * still without a value; `errors` the variables the template does not declare.
+ */
+export function placeholderValues(manifest, vars = {}) {
+  const declared = manifest.placeholders || {};
+  const values = {};
+  const errors = [];
+
+  for (const [name, value] of Object.entries(vars)) {
+    if (!declared[name]) {
+      errors.push(`template variable "${name}" is not a placeholder of ${manifest.name}${Object.keys(declared).length > 0 ? ` (it has ${Object.keys(declared).join(', ')})` : ''}`);
+    } else {
+      values[name] = value;
+    }
+  }
+  for (const [name, spec] of Object.entries(declared)) {
+    if (values[name] === undefined && spec.default !== undefined) {
+      values[name] = spec.default;
+    }
+  }
+
+  const missing = Object.keys(declared).filter((name) => values[name] === undefined);
+  return { values, missing, errors };
+}
+
+/**
+ * Replaces every {{name}} with values[name]; unknown names are left as they are.
+ */
+export function renderPlaceholders(text, values) {
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match
+  ));
+}
+
+/**
+ * Values of the built-in placeholders, which the bundled templates use as
+ * well. `tailwind` may be a boolean or the 'Yes'/'No' of the prompt.
+ */
+export function builtinPlaceholders({
+  projectName,
+  language,
+  tailwind,
+  backend,
+  pythonManager,
+  packageManager,
+  backendPort = DEFAULT_PORTS.backend,
+  frontendPort = DEFAULT_PORTS.frontend,
+}) {
+  return {
+    projectName,
+    language,
+    tailwind: tailwind === true || tailwind === 'Yes' ? 'Yes' : 'No',
+    backend,
+    pythonManager,
+    packageManager,
+    backendPort,
+    frontendPort,
+  };
+}
+
+function matches(when = {}, settings) {
+  return Object.entries(when).every(([key, value]) => (Array.isArray(value) ? value : [value]).includes(settings[key]));
+}
+
+async function listFiles(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(full)).map((file) => path.join(entry.name, file)));
+    } else {
+      files.push(entry.name);
+    }
+  }
+  return files;
+}
+
+/**
+ * Works out which template files apply to a project with `settings`
+ * ({ language, tailwind (boolean), backend, pythonManager, packageManager })
+ * and checks them without writing anything: sources must exist, every
+ * required placeholder needs a value and rendered files may only use
+ * declared or built-in placeholders. Returns { files, errors }, where each
+ * file is { src, to, render } and `to` is relative to the project root.
+ */
+export async function planTemplate(template, settings, values) {
+  const { dir, manifest } = template;
+  const errors = [];
+  const files = new Map();
+  const known = new Set([...BUILTIN_PLACEHOLDERS, ...Object.keys(manifest.placeholders || {})]);
+
+  for (const [name, spec] of Object.entries(manifest.placeholders || {})) {
+    if (spec.required && (values[name] === undefined || values[name] === '')) {
+      errors.push(`placeholder "${name}" needs a value${spec.description ? ` (${spec.description})` : ''}: pass --template-var ${name}=...`);
+    }
+  }
+
+  for (const entry of manifest.files) {
+    if (!matches(entry.when, settings)) continue;
+
+    const src = path.join(dir, entry.from);
+    let stats;
+    try {
+      stats = await fs.stat(src);
+    } catch {
+      errors.push(`"${entry.from}" does not exist in the template`);
+      continue;
+    }
+
+    const sources = stats.isDirectory()
+      ? (await listFiles(src)).map((file) => [path.join(src, file), path.join(entry.to, file)])
+      : [[src, entry.to]];
+    for (const [file, to] of sources) {
+      const target = path.join(path.dirname(to), RENAMED_TEMPLATES[path.basename(to)] || path.basename(to));
+      let render = entry.render !== false;
+      if (render) {
+        const content = await fs.readFile(file);
+        // Images, fonts and other binary files are copied as they are
+        render = !content.includes(0);
+        const unknown = render
+          ? [...new Set([...content.toString('utf8').matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]))].filter((name) => !known.has(name))
+          : [];
+        if (unknown.length > 0) {
+          errors.push(`${path.relative(dir, file)} uses undeclared placeholder(s) ${unknown.map((name) => `{{${name}}}`).join(', ')} - declare them in "placeholders" or set "render": false`);
+        }
+      }
+      files.set(target, { src: file, to: target, render });
+    }
+  }
+
+  return { files: [...files.values()], errors };
+}
+
+/**
+ * Fetches the template `spec` and plans it for `settings` (as taken by
+ * builtinPlaceholders), the way the project generator expects it. `ask` may
+ * supply the placeholders that still have no value. Throws a TemplateError
+ * listing every problem before anything is written; the caller must call
+ * `cleanup` on the returned template once the project is generated.
+ */
+export async function prepareTemplate(spec, settings, vars = {}, { ask } = {}) {
+  const template = await loadTemplate(spec);
+  const { values, missing, errors } = placeholderValues(template.manifest, vars);
+  if (missing.length > 0 && ask && errors.length === 0) {
+    Object.assign(values, await ask(missing, template));
+  }
+
+  Object.assign(values, builtinPlaceholders(settings));
+  const plan = await planTemplate(template, settings, values);
+  errors.push(...plan.errors);
+  if (errors.length > 0) {
+    await template.cleanup();
+    throw new TemplateError(`Cannot apply template ${template.name}`, errors);
+  }
+
+  return { ...template, files: plan.files, values };
+}
@@ -0,0 +1,305 @@
+// `create-nextpy-app upgrade`: brings a project up to the templates of this
+// CLI version. The project is regenerated offline with its own settings, by
+// this version and by the one recorded in nextpy-lock.json. Files still as
+// generated are replaced, edited ones are merged three-way against what the
+// old version generated, and package.json files are merged key by key.
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { createProjectStructure } from './create-project.js';
+import { FEATURES } from './features/index.js';
+import { npmCommand } from './package-managers.js';
+import { compareVersions, parseMinimum } from './python-detect.js';
+import { LOCKFILE, hashContent, readLockfile, writeLockfile } from './lockfile.js';
+import { diffStat, mergeThreeWay, unifiedDiff } from './merge.js';
+
+const execFileAsync = promisify(execFile);
+const ROOT_DIR = fileURLToPath(new URL('..', import.meta.url));
+const cliPackageJson = JSON.parse(await fs.readFile(path.join(ROOT_DIR, 'package.json'), 'utf8'));
+
+// The first version that writes nextpy-lock.json and has every option
+// generationArgs passes; older ones cannot rebuild a merge base
+export const FIRST_LOCKFILE_VERSION = '1.1.0';
+
+// package.json sections merged entry by entry; everything else is left as the user has it
+const PACKAGE_JSON_SECTIONS = ['scripts', 'dependencies', 'devDependencies'];
+
+async function readText(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The options the project was generated with, from its metadata and lockfile.
+ */
+export function generationSettings(project, lock) {
+  return {
+    projectName: project.packageJson.name,
+    language: project.language,
+    tailwind: project.tailwind,
+    backend: project.backend,
+    pythonManager: project.pythonManager,
+    packageManager: project.packageManager,
+    backendPort: project.backendPort,
+    frontendPort: project.frontendPort,
+    features: lock?.features || project.features.map((name) => ({ name })),
+  };
+}
+
+/**
+ * Generates the project with this CLI's templates into `dir`, offline and
+ * without running anything. Returns the project root.
+ */
+export async function generateCurrent(settings, dir) {
+  await fs.mkdir(dir, { recursive: true });
+  await createProjectStructure(settings.projectName, settings.language, settings.tailwind === 'Yes', {
+    offline: true,
+    interactive: false,
+    quiet: true,
+    cwd: dir,
+    backend: settings.backend,
+    pythonManager: settings.pythonManager,
+    packageManager: settings.packageManager,
+    backendPort: settings.backendPort,
+    frontendPort: settings.frontendPort,
+    features: settings.features,
+    // Offline generation only runs git init, which a throwaway copy does not need
+    exec: async () => ({ stdout: '', stderr: '' }),
+  });
+  return path.join(dir, settings.projectName);
+}
+
+/**
+ * Command line arguments that make create-nextpy-app generate `settings`
+ * without prompting. Features with variants default to on, so they are
+ * turned off explicitly.
+ */
+export function generationArgs(settings) {
+  const args = [
+    '-p', settings.projectName,
+    '-l', settings.language,
+    '-t', settings.tailwind,
+    '-b', settings.backend,
+    '--python-manager', settings.pythonManager,
+    '--package-manager', settings.packageManager,
+    '--backend-port', String(settings.backendPort),
+    '--frontend-port', String(settings.frontendPort),
+  ];
+  for (const [name, feature] of Object.entries(FEATURES)) {
+    const added = settings.features.find((entry) => entry.name === name);
+    if (feature.variants) {
+      args.push(`--${name}`, added ? added.variant || Object.keys(feature.variants)[0] : 'none');
+    } else if (added) {
+      args.push(`--${name}`);
+    }
+  }
+  return [...args, '--offline', '--yes'];
+}
+
+/**
+ * Generates the project with create-nextpy-app@`version` through npm exec,
+ * which gives the merge base: the files as that version wrote them.
+ * `version` comes from nextpy-lock.json, so it must be a plain semver, and
+ * no older than FIRST_LOCKFILE_VERSION.
+ */
+export async function generateWithVersion(version, settings, dir, { execFile: run = execFileAsync } = {}) {
+  if (!/^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/.test(String(version))) {
+    throw new Error(`${LOCKFILE} records an invalid version (${JSON.stringify(version)})`);
+  }
+  if (compareVersions(parseMinimum(version.split(/[-+]/)[0]), parseMinimum(FIRST_LOCKFILE_VERSION)) < 0) {
+    throw new Error(`create-nextpy-app ${version} predates ${LOCKFILE} and cannot regenerate the project; ${FIRST_LOCKFILE_VERSION} or later is needed`);
+  }
+  await fs.mkdir(dir, { recursive: true });
+  const [npm, ...npmArgs] = npmCommand();
+  await run(npm, [...npmArgs, 'exec', '--yes', '--', `create-nextpy-app@${version}`, ...generationArgs(settings)], {
+    cwd: dir,
+    timeout: 300000,
+    env: { ...process.env, CI: 'true', FORCE_COLOR: '0' },
+  });
+  return path.join(dir, settings.projectName);
+}
+
+/**
+ * Merges the entries of PACKAGE_JSON_SECTIONS. An entry the user has not
+ * changed takes the new value; one the templates did not change keeps the
+ * user's. Entries both changed keep the user's value and are returned as
+ * conflicts. `base` may be null when the old version is not available.
+ */
+function mergePackageJson(base, ours, theirs) {
+  const old = base ? JSON.parse(base) : {};
+  const merged = JSON.parse(ours);
+  const incoming = JSON.parse(theirs);
+  const conflicts = [];
+
+  for (const section of PACKAGE_JSON_SECTIONS) {
+    for (const [key, value] of Object.entries(incoming[section] || {})) {
+      const mine = merged[section]?.[key];
+      const previous = old[section]?.[key];
+      if (mine === value || value === previous) continue;
+      // Removed by the user
+      if (mine === undefined && previous !== undefined) continue;
+      if (mine === undefined || mine === previous) {
+        merged[section] = { ...merged[section], [key]: value };
+      } else {
+        conflicts.push({ section, key, value });
+      }
+    }
+  }
+  if (merged.nextpy && incoming.nextpy) {
+    merged.nextpy = { ...merged.nextpy, version: incoming.nextpy.version };
+  }
+
+  const text = JSON.stringify(merged, null, 2) + '\n';
+  // What taking the templates' side of every conflict would look like, for the .rej file
+  const rejected = structuredClone(merged);
+  conflicts.forEach(({ section, key, value }) => { rejected[section][key] = value; });
+  return { text, conflicts: conflicts.length, rejected: JSON.stringify(rejected, null, 2) + '\n' };
+}
+
+/**
+ * Works out how to bring the project up to this CLI's templates without
+ * writing anything. Returns { from, to, baseError, changes, kept, lock }:
+ * each change is { path, action, content, reject, diff, stat } with action
+ * 'create' | 'update' | 'merge' | 'conflict' | 'reject'. `content` is the
+ * new file content, `reject` the text of a .rej file next to it (changes the
+ * templates make that could not be merged), `kept` lists edited files the
+ * templates did not change and `lock` is the lockfile to write afterwards.
+ * Throws if the project has no lockfile.
+ */
+export async function planUpgrade(project, {
+  version = cliPackageJson.version,
+  generateBase = (from, settings, dir) => generateWithVersion(from, settings, dir),
+} = {}) {
+  const lock = await readLockfile(project.root);
+  if (!lock) {
+    throw new Error(`${LOCKFILE} is missing - the project was generated before create-nextpy-app recorded one, so there is no way to tell your changes from the templates`);
+  }
+
+  const settings = generationSettings(project, lock);
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'nextpy-upgrade-'));
+  try {
+    const currentRoot = await generateCurrent(settings, path.join(tmp, 'current'));
+    let baseRoot = currentRoot;
+    let baseError = null;
+    if (lock.version !== version) {
+      try {
+        baseRoot = await generateBase(lock.version, settings, path.join(tmp, 'base'));
+      } catch (error) {
+        baseRoot = null;
+        baseError = (error.stderr || error.message || '').trim().split('\n')[0];
+      }
+    }
+
+    const { files: current } = await readLockfile(currentRoot);
+    const changes = [];
+    const kept = [];
+    const files = {};
+    const labels = { ours: 'your changes', theirs: `create-nextpy-app ${version}` };
+
+    for (const [relative, hash] of Object.entries(current)) {
+      const theirs = await readText(path.join(currentRoot, relative));
+      const ours = await readText(path.join(project.root, relative));
+      const recorded = lock.files[relative];
+
+      if (ours === null) {
+        if (recorded) {
+          // Deleted by the user; stays tracked so it is not brought back next time
+          files[relative] = hash;
+        } else {
+          changes.push({ path: relative, action: 'create', content: theirs });
+          files[relative] = hash;
+        }
+        continue;
+      }
+      // Not generated by the templates (e.g. create-next-app's own files)
+      if (!recorded) continue;
+      files[relative] = hash;
+      if (ours === theirs) continue;
+
+      if (hashContent(ours) === recorded) {
+        changes.push({ path: relative, action: 'update', content: theirs });
+        continue;
+      }
+
+      const base = baseRoot ? await readText(path.join(baseRoot, relative)) : null;
+      if (base === theirs) {
+        kept.push(relative);
+        continue;
+      }
+
+      if (path.basename(relative) === 'package.json') {
+        let merged = null;
+        try {
+          merged = mergePackageJson(base, ours, theirs);
+        } catch {
+          // not valid JSON any more; handled like any other file below
+        }
+        if (merged) {
+          if (merged.text !== ours || merged.conflicts > 0) {
+            changes.push({
+              path: relative,
+              action: merged.conflicts > 0 ? 'conflict' : 'merge',
+              content: merged.text === ours ? null : merged.text,
+              reject: merged.conflicts > 0 ? unifiedDiff(merged.text, merged.rejected, { from: relative, to: `${relative} (${labels.theirs})` }) : null,
+            });
+          }
+          continue;
+        }
+      }
+
+      if (base !== null) {
+        const { text, conflicts } = mergeThreeWay(base, ours, theirs, { labels });
+        changes.push({ path: relative, action: conflicts > 0 ? 'conflict' : 'merge', content: text, conflicts });
+      } else {
+        changes.push({
+          path: relative,
+          action: 'reject',
+          content: null,
+          reject: unifiedDiff(ours, theirs, { from: relative, to: `${relative} (${labels.theirs})` }),
+        });
+      }
+    }
+
+    for (const change of changes) {
+      const before = await readText(path.join(project.root, change.path)) ?? '';
+      change.reject ??= null;
+      change.diff = change.content === null ? '' : unifiedDiff(before, change.content, { from: `a/${change.path}`, to: `b/${change.path}` });
+      change.stat = change.content === null ? { added: 0, removed: 0 } : diffStat(before, change.content);
+    }
+
+    return {
+      from: lock.version,
+      to: version,
+      baseError,
+      changes,
+      kept,
+      lock: { version, features: settings.features, files },
+    };
+  } finally {
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Writes the changes of a plan returned by planUpgrade, the .rej files next
+ * to the files they belong to and the new lockfile.
+ */
+export async function applyUpgrade(project, plan) {
+  for (const change of plan.changes) {
+    const target = path.join(project.root, change.path);
+    if (change.content !== null) {
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, change.content);
+    }
+    if (change.reject) {
+      await fs.writeFile(`${target}.rej`, change.reject);
+    }
+  }
+  await writeLockfile(project.root, plan.lock);
+}
@@ -0,0 +1,422 @@
+import { after, afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createProjectStructure, createRunContext, runCommand } from '../src/create-project.js';
+import { compareVersions, parseMinimum } from '../src/python-detect.js';
+import { BUILTIN_PLACEHOLDERS } from '../src/templates.js';
+import { FIRST_LOCKFILE_VERSION } from '../src/upgrade.js';
+import { fakeExec } from './helpers/fake-exec.js';
+
+const tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'nextpy-test-'));
+let runs = 0;
+
+after(() => fs.rm(tmpRoot, { recursive: true, force: true }));
+
+// The generator reports progress on the console; keep the test output readable
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+afterEach(() => mock.restoreAll());
+
+/**
+ * Generates a project into a fresh directory with fake executables and
+ * returns its path, the sorted list of files in it and the commands run.
+ */
+async function generate(language, tailwind, flags = {}) {
+  const cwd = path.join(tmpRoot, String(++runs));
+  await fs.mkdir(cwd);
+  const fake = fakeExec({ fail: flags.fail, python: flags.fakePython });
+  let error = null;
+  try {
+    await createProjectStructure('app', language, tailwind, { interactive: false, ...flags, cwd, exec: fake.exec });
+  } catch (err) {
+    error = err;
+  }
+
+  const root = path.join(cwd, 'app');
+  const files = [];
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      if (['.git', 'node_modules', 'venv'].includes(entry.name)) continue;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(full);
+      } else {
+        files.push(path.relative(root, full).split(path.sep).join('/'));
+      }
+    }
+  };
+  await walk(root).catch(() => {});
+
+  return { root, files: files.sort(), commands: fake.commands.map(({ command }) => command), error };
+}
+
+const readJson = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+
+const COMBINATIONS = [
+  { language: 'JavaScript', tailwind: false, ext: 'js', componentExt: 'jsx', other: /\.(ts|tsx)$/ },
+  { language: 'JavaScript', tailwind: true, ext: 'js', componentExt: 'jsx', other: /\.(ts|tsx)$/ },
+  { language: 'TypeScript', tailwind: false, ext: 'ts', componentExt: 'tsx', other: /\.(js|jsx)$/ },
+  { language: 'TypeScript', tailwind: true, ext: 'ts', componentExt: 'tsx', other: /\.(js|jsx)$/ },
+];
+
+for (const { language, tailwind, ext, componentExt, other } of COMBINATIONS) {
+  for (const offline of [true, false]) {
+    describe(`${language}, ${tailwind ? 'with' : 'without'} Tailwind, ${offline ? 'offline' : 'online'}`, () => {
+      let project;
+      beforeEach(async () => {
+        project ??= await generate(language, tailwind, { offline });
+      });
+
+      test('succeeds', () => {
+        assert.equal(project.error, null);
+      });
+
+      test(`writes the frontend sources as .${ext}/.${componentExt}`, () => {
+        for (const file of [
+          `frontend/src/app/api/[[...path]]/route.${ext}`,
+          `frontend/src/app/page.${componentExt}`,
+          `frontend/src/components/BackendDemo.${componentExt}`,
+          `frontend/src/components/BackendDemo.test.${componentExt}`,
+          `frontend/src/lib/api.${ext}`,
+          `frontend/src/lib/api.test.${ext}`,
+          `frontend/vitest.setup.${ext}`,
+          `frontend/vitest.config.${ext === 'ts' ? 'ts' : 'mjs'}`,
+          `frontend/${ext === 'ts' ? 'tsconfig' : 'jsconfig'}.json`,
+        ]) {
+          assert.ok(project.files.includes(file), `missing ${file}`);
+        }
+        const src = project.files.filter((file) => file.startsWith('frontend/src/'));
+        assert.deepEqual(src.filter((file) => other.test(file)), []);
+        assert.deepEqual(src.filter((file) => /\/page\.\w+$/.test(file)), [`frontend/src/app/page.${componentExt}`]);
+      });
+
+      test('configures Tailwind only when asked to', async () => {
+        const { devDependencies } = await readJson(path.join(project.root, 'frontend', 'package.json'));
+        assert.equal('tailwindcss' in devDependencies, tailwind);
+        assert.equal(project.files.includes('frontend/postcss.config.mjs'), tailwind);
+        assert.ok(project.files.includes('frontend/src/app/globals.css'));
+      });
+
+      test('writes the env files and renames the gitignore templates', () => {
+        for (const file of ['backend/.env', 'backend/.gitignore', 'frontend/.env.local', 'frontend/.gitignore']) {
+          assert.ok(project.files.includes(file), `missing ${file}`);
+        }
+        assert.deepEqual(project.files.filter((file) => file.endsWith('.template')), []);
+      });
+
+      test('fills in the placeholders of every template', async () => {
+        const pattern = new RegExp(`\\{\\{(${BUILTIN_PLACEHOLDERS.join('|')})\\}\\}`);
+        for (const file of project.files) {
+          assert.doesNotMatch(await fs.readFile(path.join(project.root, file), 'utf8'), pattern, file);
+        }
+      });
+
+      test('adds the test scripts and records the project settings', async () => {
+        const frontend = await readJson(path.join(project.root, 'frontend', 'package.json'));
+        assert.equal(frontend.scripts.test, 'vitest run');
+        assert.ok('vitest' in frontend.devDependencies);
+
+        const root = await readJson(path.join(project.root, 'package.json'));
+        assert.equal(root.name, 'app');
+        assert.deepEqual({ language: root.nextpy.language, tailwind: root.nextpy.tailwind }, { language, tailwind: tailwind ? 'Yes' : 'No' });
+        // `dev` and `gen:api` run subcommands that create-nextpy-app 1.0.x does not have
+        assert.equal(root.scripts.dev, 'create-nextpy-app dev');
+        assert.equal(root.scripts['gen:api'], 'create-nextpy-app generate-client');
+        const cli = parseMinimum(root.devDependencies['create-nextpy-app'].replace(/^\^/, ''));
+        assert.ok(compareVersions(cli, parseMinimum(FIRST_LOCKFILE_VERSION)) >= 0, root.devDependencies['create-nextpy-app']);
+      });
+
+      if (offline) {
+        test('only runs git', () => {
+          assert.deepEqual(project.commands, ['git init']);
+        });
+      } else {
+        test('runs create-next-app with the matching flags, then the installers', () => {
+          const createNext = project.commands.find((command) => command.includes('create-next-app'));
+          assert.match(createNext, ext === 'ts' ? / --typescript / : / --javascript /);
+          assert.equal(/ --tailwind /.test(createNext), tailwind);
+          assert.deepEqual(project.commands.filter((command) => !command.includes('--version')), [
+            'git init',
+            'python3 -m venv venv',
+            'venv/bin/pip install -r requirements.txt',
+            createNext,
+            'npm install',
+            'npm install',
+          ]);
+        });
+      }
+    });
+  }
+}
+
+describe('backends', () => {
+  for (const backend of ['fastapi', 'flask', 'django']) {
+    test(`${backend} gets its own sources, requirements and test setup`, async () => {
+      const { files, error } = await generate('TypeScript', false, { offline: true, backend });
+      assert.equal(error, null);
+      for (const file of ['backend/requirements.txt', 'backend/package.json', 'backend/pytest.ini', 'backend/.env', 'backend/.gitignore']) {
+        assert.ok(files.includes(file), `missing ${file}`);
+      }
+      assert.ok(files.some((file) => file.startsWith('backend/tests/')));
+      assert.equal(files.includes('backend/manage.py'), backend === 'django');
+    });
+  }
+
+  test('uv projects declare their dependencies in pyproject.toml', async () => {
+    const { files, commands, error } = await generate('JavaScript', false, { pythonManager: 'uv' });
+    assert.equal(error, null);
+    assert.ok(files.includes('backend/pyproject.toml'));
+    assert.ok(!files.includes('backend/requirements.txt'));
+    assert.ok(commands.includes('uv --version'));
+  });
+
+  test('uv, Poetry and Pipenv get an interpreter that meets the minimum', async () => {
+    const uv = await generate('JavaScript', false, { pythonManager: 'uv', backend: 'django', fakePython: '3.9.18' });
+    assert.match(uv.error.message, /requires Python 3\.10 or newer/);
+    assert.deepEqual(uv.error.candidates.map(({ command, reason }) => [command, reason]).slice(0, 2), [
+      ['python3', 'older than the required 3.10'],
+      ['python', 'older than the required 3.10'],
+    ]);
+    assert.ok(!uv.commands.some((command) => command.startsWith('uv sync')));
+
+    const poetry = await generate('JavaScript', false, { pythonManager: 'poetry', minPython: '3.11', fakePython: '3.11.2' });
+    assert.equal(poetry.error, null);
+    assert.ok(poetry.commands.includes('poetry env use python3 && poetry install'));
+    assert.match(await fs.readFile(path.join(poetry.root, 'backend', 'pyproject.toml'), 'utf8'), /^requires-python = ">=3\.11"$/m);
+  });
+});
+
+describe('ports', () => {
+  test('--backend-port and --frontend-port reach the scripts, env files and docs', async () => {
+    const { root, error } = await generate('TypeScript', false, {
+      offline: true,
+      backendPort: 8100,
+      frontendPort: 3100,
+      features: [{ name: 'docker' }],
+    });
+    assert.equal(error, null);
+    const read = (file) => fs.readFile(path.join(root, file), 'utf8');
+
+    assert.match(await read('backend/.env'), /^ALLOWED_URL=http:\/\/localhost:3100$/m);
+    assert.match(await read('frontend/.env.local'), /^BACKEND_URL=http:\/\/localhost:8100$/m);
+    assert.match((await readJson(path.join(root, 'backend', 'package.json'))).scripts.dev, /'--port', '8100'/);
+    const frontend = await readJson(path.join(root, 'frontend', 'package.json'));
+    assert.equal(frontend.scripts.dev, 'next dev --port 3100');
+    assert.equal(frontend.scripts.start, 'next start --port 3100');
+    assert.match(await read('frontend/src/lib/config.ts'), /'http:\/\/localhost:8100'/);
+    assert.match(await read('README.md'), /^# app$/m);
+    assert.match(await read('docker-compose.yml'), /"8100:8100"[\s\S]*BACKEND_URL: http:\/\/backend:8100[\s\S]*"3100:3100"/);
+
+    const { nextpy } = await readJson(path.join(root, 'package.json'));
+    assert.deepEqual({ backendPort: nextpy.backendPort, frontendPort: nextpy.frontendPort }, { backendPort: 8100, frontendPort: 3100 });
+  });
+
+  test('Python managers run the server on the backend port', async () => {
+    const { root, error } = await generate('JavaScript', false, { offline: true, pythonManager: 'uv', backend: 'flask', backendPort: 5001 });
+    assert.equal(error, null);
+    const { scripts } = await readJson(path.join(root, 'backend', 'package.json'));
+    assert.equal(scripts.dev, 'uv run python -m flask --app app run --debug --host 0.0.0.0 --port 5001');
+    assert.equal(scripts.start, 'uv run python -m waitress --host=0.0.0.0 --port=5001 app:app');
+  });
+});
+
+describe('features', () => {
+  test('realtime adds the streaming endpoints, relay route, hook and demo after the other demos', async () => {
+    const { root, files, error } = await generate('TypeScript', false, {
+      offline: true,
+      backendPort: 8100,
+      features: [{ name: 'database', variant: 'sqlite' }, { name: 'realtime' }],
+    });
+    assert.equal(error, null);
+    const read = (file) => fs.readFile(path.join(root, file), 'utf8');
+
+    for (const file of [
+      'backend/routers/realtime.py',
+      'backend/tests/test_realtime.py',
+      'frontend/src/app/api/stream/[...path]/route.ts',
+      'frontend/src/lib/useBackendStream.ts',
+      'frontend/src/components/RealtimeDemo.tsx',
+    ]) {
+      assert.ok(files.includes(file), file);
+    }
+    assert.match(await read('backend/app.py'), /^from routers import items\nfrom routers import realtime$[\s\S]*^app\.include_router\(items\.router\)\napp\.include_router\(realtime\.router\)$/m);
+    assert.match(await read('frontend/src/app/page.tsx'), /<BackendDemo \/>\n\s+<ItemsDemo \/>\n\s+<RealtimeDemo \/>/);
+    assert.match(await read('frontend/.env.local'), /^NEXT_PUBLIC_BACKEND_WS_URL=ws:\/\/localhost:8100$/m);
+    assert.match(await read('frontend/src/lib/config.ts'), /NEXT_PUBLIC_BACKEND_WS_URL: read\('url', 'NEXT_PUBLIC_BACKEND_WS_URL', process\.env\.NEXT_PUBLIC_BACKEND_WS_URL, 'ws:\/\/localhost:8100'\)/);
+    assert.match(await read('env.schema'), /^NEXT_PUBLIC_BACKEND_WS_URL: url\(backend\) = ws:\/\/localhost:8100$/m);
+    assert.deepEqual((await readJson(path.join(root, 'package.json'))).nextpy.features, ['database', 'realtime']);
+  });
+});
+
+describe('feature setup', () => {
+  test('runs the migrations in the backend environment of each Python manager', async () => {
+    const features = [{ name: 'database', variant: 'sqlite' }];
+    const venv = await generate('JavaScript', false, { features });
+    const uv = await generate('JavaScript', false, { features, pythonManager: 'uv' });
+    assert.equal(venv.error, null);
+    assert.ok(venv.commands.includes('venv/bin/python -m alembic upgrade head'));
+    assert.ok(uv.commands.includes('uv run python -m alembic upgrade head'));
+  });
+
+  test('commands given as arguments reach the shell as one word each', async () => {
+    const { exec, commands } = fakeExec();
+    const ctx = createRunContext({ exec });
+    await runCommand(ctx, ['venv/bin/python', '-c', 'print("a b")', "$(touch x)"], { cwd: tmpRoot });
+    assert.equal(commands[0].command, `venv/bin/python -c 'print("a b")' '$(touch x)'`);
+  });
+});
+
+describe('package managers', () => {
+  test('pnpm runs create-next-app, the installs and every root script', async () => {
+    const { root, commands, error } = await generate('TypeScript', true, {
+      packageManager: 'pnpm',
+      features: [{ name: 'database', variant: 'sqlite' }],
+    });
+    assert.equal(error, null);
+    assert.ok(commands.includes('pnpm --version'));
+    assert.match(commands.find((command) => command.includes('create-next-app')), /^pnpm dlx create-next-app@latest .* --use-pnpm$/);
+    assert.deepEqual(commands.filter((command) => command.endsWith(' install')), ['pnpm install', 'pnpm install']);
+
+    const { scripts, nextpy } = await readJson(path.join(root, 'package.json'));
+    assert.equal(nextpy.packageManager, 'pnpm');
+    assert.equal(scripts['install:all'], 'pnpm install && cd frontend && pnpm install');
+    assert.equal(scripts['test:backend'], 'cd backend && pnpm run test');
+    assert.equal(scripts['db:revision'], 'cd backend && pnpm run db:revision');
+    assert.deepEqual(Object.values(scripts).filter((command) => /\bnpm\b|\bnpx\b/.test(command)), []);
+  });
+
+  test('--docker installs and builds the frontend image with pnpm', async () => {
+    const { root, error } = await generate('TypeScript', false, {
+      offline: true,
+      packageManager: 'pnpm',
+      features: [{ name: 'docker' }],
+    });
+    assert.equal(error, null);
+    const dockerfile = await fs.readFile(path.join(root, 'frontend', 'Dockerfile'), 'utf8');
+    assert.match(dockerfile, /^RUN corepack enable$/m);
+    assert.match(dockerfile, /^COPY package\.json pnpm-lock\.yaml\* \.\/$/m);
+    assert.match(dockerfile, /^RUN if \[ -f pnpm-lock\.yaml \]; then pnpm install --frozen-lockfile; else pnpm install; fi$/m);
+    assert.match(dockerfile, /^RUN mkdir -p public && pnpm run build$/m);
+    assert.match(dockerfile, /^EXPOSE 3000$/m);
+    assert.doesNotMatch(dockerfile, /\bnpm (ci|install|run)\b/);
+  });
+
+  test('fails early when the package manager is not installed', async () => {
+    const { root, commands, error } = await generate('JavaScript', false, { packageManager: 'bun', fail: 'bun --version' });
+    assert.match(error.message, /Bun not found/);
+    assert.ok(!commands.some((command) => command.includes('create-next-app')));
+    await assert.rejects(fs.access(root));
+  });
+});
+
+describe('progress events', () => {
+  const run = async (flags) => {
+    const events = [];
+    const result = await generate('TypeScript', false, { ...flags, onEvent: (event) => events.push(event) });
+    return { ...result, events, steps: events.filter((event) => event.type === 'step') };
+  };
+
+  test('report every step with its duration, then a summary', async () => {
+    const { error, events, steps } = await run({});
+    assert.equal(error, null);
+    assert.deepEqual(steps.filter((event) => event.status === 'start').map((event) => event.step), [
+      'git-init', 'backend-files', 'venv', 'pip', 'create-next-app', 'frontend-files', 'frontend-install', 'root-install',
+    ]);
+    for (const event of steps.filter((candidate) => candidate.status !== 'start')) {
+      assert.equal(event.status, 'done', event.step);
+      assert.equal(typeof event.durationMs, 'number');
+    }
+    assert.ok(events.every((event) => !Number.isNaN(Date.parse(event.time))));
+
+    const summary = events.at(-1);
+    assert.equal(summary.type, 'summary');
+    assert.equal(summary.ok, true);
+    assert.equal(summary.paths.frontend, path.join(summary.paths.root, 'frontend'));
+    assert.ok(summary.files.includes('env.schema'));
+    assert.equal(summary.scripts.dev, 'create-nextpy-app dev');
+    assert.deepEqual(summary.commands[0], { command: 'git init', cwd: '.' });
+    assert.deepEqual(summary.nextSteps, ['cd app', 'npm run dev']);
+  });
+
+  test('name the step that failed and whether it was rolled back', async () => {
+    const { error, events, steps } = await run({ fail: 'pip install', offline: false });
+    assert.ok(error);
+    const failed = steps.find((event) => event.status === 'failed');
+    assert.equal(failed.step, 'pip');
+    assert.equal(failed.error.command, 'venv/bin/pip install -r requirements.txt');
+    assert.match(failed.error.stderr, /exited with 1/);
+    assert.deepEqual(events.at(-1), {
+      type: 'summary',
+      ok: false,
+      dryRun: false,
+      error: { ...failed.error, step: 'pip' },
+      rolledBack: true,
+      durationMs: events.at(-1).durationMs,
+      time: events.at(-1).time,
+    });
+  });
+
+  test('a failed git init is a warning, not a failure', async () => {
+    const { error, events } = await run({ fail: 'git init', offline: true });
+    assert.equal(error, null);
+    assert.equal(events.find((event) => event.type === 'warning').step, 'git-init');
+    assert.equal(events.at(-1).ok, true);
+  });
+
+  test('silent runs print nothing, even when they fail', async () => {
+    const { events } = await run({ silent: true, offline: true, features: [{ name: 'docker' }] });
+    assert.equal(events.at(-1).notes.docker.length > 0, true);
+    await run({ silent: true, fail: 'create-next-app' });
+    assert.equal(console.log.mock.callCount(), 0);
+    assert.equal(console.error.mock.callCount(), 0);
+  });
+});
+
+describe('closing instructions', () => {
+  const printed = () => console.log.mock.calls.map((call) => call.arguments.join(' ')).join('\n');
+
+  test('list only the features the project has', async () => {
+    assert.equal((await generate('JavaScript', false, { offline: true })).error, null);
+    assert.doesNotMatch(printed(), /TypeScript support|Tailwind CSS/);
+    assert.ok(printed().includes(`cd ${path.join('app', 'backend')}`));
+    assert.ok(printed().includes(`cd ${path.join('app', 'frontend')}`));
+
+    console.log.mock.resetCalls();
+    assert.equal((await generate('TypeScript', true, { offline: true })).error, null);
+    assert.match(printed(), /TypeScript support[\s\S]*Tailwind CSS styling/);
+  });
+});
+
+describe('failures', () => {
+  test('rolls back everything when a command fails', async () => {
+    const { root, error } = await generate('TypeScript', true, { fail: 'create-next-app' });
+    assert.match(error.message, /create-next-app/);
+    await assert.rejects(fs.access(root));
+  });
+
+  test('--keep-on-error leaves the partial project in place', async () => {
+    const { files, error } = await generate('TypeScript', true, { fail: 'pip install', keepOnError: true });
+    assert.ok(error);
+    assert.ok(files.includes('backend/requirements.txt'));
+  });
+
+  test('refuses to touch a non-empty directory without --force', async () => {
+    const cwd = path.join(tmpRoot, 'existing');
+    await fs.mkdir(path.join(cwd, 'app'), { recursive: true });
+    await fs.writeFile(path.join(cwd, 'app', 'notes.txt'), 'keep me');
+
+    await assert.rejects(createProjectStructure('app', 'JavaScript', false, { offline: true, interactive: false, cwd, exec: fakeExec().exec }));
+    assert.deepEqual(await fs.readdir(path.join(cwd, 'app')), ['notes.txt']);
+  });
+
+  test('a dry run writes nothing and runs nothing', async () => {
+    const { files, commands, error } = await generate('TypeScript', true, { dryRun: true });
+    assert.equal(error, null);
+    assert.deepEqual(files, []);
+    assert.deepEqual(commands, []);
+  });
+});
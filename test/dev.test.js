@@ -0,0 +1,171 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import path from 'path';
+import { backendProcess, findFreePort, frontendProcess, prefixLines, runDev, waitForHealth, withPort } from '../src/dev.js';
+
+const project = (overrides = {}) => ({
+  root: path.join('/work', 'app'),
+  backend: 'fastapi',
+  pythonManager: 'uv',
+  packageManager: 'npm',
+  backendPort: 8000,
+  frontendPort: 3000,
+  ...overrides,
+});
+
+/**
+ * A spawn replacement whose children stay running until they are killed or
+ * exit() is called on them.
+ */
+function fakeSpawn() {
+  const children = [];
+  const spawn = (command, args, options) => {
+    const child = new EventEmitter();
+    Object.assign(child, { command, args, options, pid: 1000 + children.length, stdout: new EventEmitter(), stderr: new EventEmitter() });
+    child.exit = (code, signal = null) => setImmediate(() => child.emit('exit', code, signal));
+    children.push(child);
+    return child;
+  };
+  const kill = (child, signal) => child.exit(null, signal);
+  return { spawn, kill, children };
+}
+
+const dev = (options = {}) => {
+  const output = [];
+  const signals = new EventEmitter();
+  const run = runDev(project(), {
+    portFree: async () => true,
+    fetch: async () => ({ ok: true, status: 200 }),
+    healthInterval: 1,
+    signals,
+    platform: 'linux',
+    write: (text) => output.push(text),
+    ...options,
+  });
+  return { run, output, signals };
+};
+
+const waitFor = async (condition) => {
+  while (!condition()) await new Promise((resolve) => setImmediate(resolve));
+};
+
+describe('runDev', () => {
+  test('starts the frontend only once the backend is healthy, and stops both on Ctrl+C', async () => {
+    const processes = fakeSpawn();
+    let healthy = false;
+    const { run, output, signals } = dev({
+      ...processes,
+      fetch: async (url) => {
+        assert.equal(url, 'http://localhost:8000/health');
+        if (!healthy) throw new Error('ECONNREFUSED');
+        return { ok: true, status: 200 };
+      },
+    });
+
+    await waitFor(() => processes.children.length === 1);
+    const [backend] = processes.children;
+    assert.equal(backend.command, 'uv');
+    assert.deepEqual(backend.args.slice(0, 4), ['run', 'python', '-m', 'uvicorn']);
+    assert.equal(backend.options.detached, true);
+    backend.stdout.emit('data', Buffer.from('INFO:     Started server process\nINFO:     Waiting'));
+    backend.stdout.emit('data', Buffer.from(' for application startup.\n'));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(processes.children.length, 1, 'the frontend waits for the backend');
+
+    healthy = true;
+    await waitFor(() => processes.children.length === 2);
+    assert.equal(processes.children[1].command, 'next dev --port 3000');
+    assert.equal(processes.children[1].options.env.BACKEND_URL, process.env.BACKEND_URL);
+
+    signals.emit('SIGINT');
+    assert.equal(await run, 0);
+    assert.equal(signals.listenerCount('SIGINT'), 0);
+    const text = output.join('');
+    assert.match(text, /backend {2}INFO: {5}Started server process\n/);
+    assert.match(text, /backend {2}INFO: {5}Waiting for application startup\.\n/);
+    assert.match(text, /Open http:\/\/localhost:3000/);
+  });
+
+  test('moves to free ports and points each server at the other', async () => {
+    const processes = fakeSpawn();
+    const { run, output, signals } = dev({ ...processes, portFree: async (port) => port !== 8000 && port !== 3000 });
+
+    await waitFor(() => processes.children.length === 2);
+    const [backend, frontend] = processes.children;
+    assert.ok(backend.args.includes('8001'));
+    assert.equal(backend.options.env.ALLOWED_URL, 'http://localhost:3001');
+    assert.equal(frontend.command, 'next dev --port 3001');
+    assert.equal(frontend.options.env.BACKEND_URL, 'http://localhost:8001');
+    assert.match(output.join(''), /Port 8000 is in use, the backend runs on 8001/);
+
+    signals.emit('SIGTERM');
+    assert.equal(await run, 0);
+  });
+
+  test('stops the backend and fails when the frontend exits', async () => {
+    const processes = fakeSpawn();
+    const killed = [];
+    const { run, output } = dev({ spawn: processes.spawn, kill: (child, signal) => { killed.push(child.pid); processes.kill(child, signal); } });
+
+    await waitFor(() => processes.children.length === 2);
+    processes.children[1].exit(2);
+    assert.equal(await run, 2);
+    assert.deepEqual(killed, [processes.children[0].pid]);
+    assert.match(output.join(''), /The frontend exited \(code 2\), stopping the backend/);
+  });
+
+  test('gives up when the backend never becomes healthy', async () => {
+    const processes = fakeSpawn();
+    const { run, output } = dev({ ...processes, fetch: async () => ({ ok: false, status: 503 }), healthTimeout: 30 });
+    assert.equal(await run, 1);
+    assert.equal(processes.children.length, 1);
+    assert.match(output.join(''), /did not answer on http:\/\/localhost:8000\/health/);
+  });
+});
+
+test('waitForHealth keeps waiting through 404s and other non-2xx answers', async () => {
+  const answers = [404, 401, 200];
+  const fetch = async () => {
+    const status = answers.shift();
+    return { ok: status < 300, status };
+  };
+  assert.equal(await waitForHealth('http://localhost:8000/health', { fetch, interval: 1 }), true);
+  assert.deepEqual(answers, []);
+
+  const notFound = async () => ({ ok: false, status: 404 });
+  assert.equal(await waitForHealth('http://localhost:8000/health', { fetch: notFound, interval: 1, timeout: 20 }), false);
+});
+
+test('backendProcess runs the framework dev server through the Python manager', () => {
+  const uv = backendProcess(project({ backend: 'flask' }), 5001);
+  assert.equal(uv.command, 'uv');
+  assert.deepEqual(uv.args, ['run', 'python', '-m', 'flask', '--app', 'app', 'run', '--debug', '--host', '0.0.0.0', '--port', '5001']);
+  assert.equal(uv.options.cwd, path.join('/work', 'app', 'backend'));
+
+  const venv = backendProcess(project({ backend: 'django', pythonManager: 'venv' }), 8100, { platform: 'win32' });
+  assert.equal(venv.command, path.join('/work', 'app', 'backend', 'venv', 'Scripts', 'python.exe'));
+  assert.deepEqual(venv.args, ['manage.py', 'runserver', '0.0.0.0:8100']);
+
+  assert.equal(backendProcess(project({ pythonManager: 'pipenv' }), 8000).options.env.PIPENV_VENV_IN_PROJECT, '1');
+});
+
+test('withPort swaps or adds the port of the frontend dev script', () => {
+  assert.equal(withPort('next dev --port 3000', 3001), 'next dev --port 3001');
+  assert.equal(withPort('next dev --port 3000', 3000), 'next dev --port 3000');
+  assert.equal(withPort('next dev --turbopack -p 3000', 3002), 'next dev --turbopack -p 3002');
+  assert.equal(withPort('next dev --port=3000', 3003), 'next dev --port=3003');
+  assert.equal(withPort('next dev', 3004), 'next dev --port 3004');
+  assert.equal(frontendProcess(project(), 3000, { scripts: { dev: 'next dev --turbopack' } }).command, 'next dev --turbopack --port 3000');
+});
+
+test('findFreePort and prefixLines', async () => {
+  assert.equal(await findFreePort(8000, { portFree: async (port) => port > 8001, exclude: [8002] }), 8003);
+  await assert.rejects(findFreePort(8000, { portFree: async () => false }), /Ports 8000-8019 are all in use/);
+
+  const lines = [];
+  const handler = prefixLines('[x]', (line) => lines.push(line));
+  handler('a\r\nb');
+  handler.flush();
+  assert.deepEqual(lines, ['[x] a\n', '[x] b\n']);
+});
@@ -0,0 +1,127 @@
+import { after, afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createProjectStructure } from '../src/create-project.js';
+import { runDoctor, scriptPort } from '../src/doctor.js';
+import { findProject } from '../src/features/index.js';
+import { fakeExec } from './helpers/fake-exec.js';
+
+const tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'nextpy-doctor-test-'));
+let runs = 0;
+
+after(() => fs.rm(tmpRoot, { recursive: true, force: true }));
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+afterEach(() => mock.restoreAll());
+
+/**
+ * Generates an offline project (nothing installed) and returns its description.
+ */
+async function generate(flags = {}) {
+  const cwd = path.join(tmpRoot, String(++runs));
+  await fs.mkdir(cwd);
+  await createProjectStructure('app', 'TypeScript', false, { offline: true, interactive: false, ...flags, cwd, exec: fakeExec().exec });
+  return findProject(path.join(cwd, 'app'));
+}
+
+/**
+ * Does what `npm run setup` would: a venv and every Node dependency.
+ */
+async function install(project) {
+  const python = path.join(project.root, 'backend', 'venv', 'bin', 'python');
+  await fs.mkdir(path.dirname(python), { recursive: true });
+  await fs.writeFile(python, '');
+  for (const dir of ['.', 'frontend']) {
+    const { dependencies, devDependencies } = JSON.parse(await fs.readFile(path.join(project.root, dir, 'package.json'), 'utf8'));
+    for (const name of Object.keys({ ...dependencies, ...devDependencies })) {
+      const packageJson = path.join(project.root, dir, 'node_modules', name, 'package.json');
+      await fs.mkdir(path.dirname(packageJson), { recursive: true });
+      await fs.writeFile(packageJson, JSON.stringify({ name }));
+    }
+  }
+}
+
+const INSTALLED = {
+  fastapi: '0.115.0', pandas: '2.2.0', numpy: '2.0.0', 'scikit-learn': '1.5.0', matplotlib: '3.9.0', xgboost: '2.1.0',
+  nbformat: '5.10.0', pytest: '8.3.0', SQLAlchemy: '2.0.35', alembic: '1.13.0', 'python-dotenv': '1.0.1',
+  'pydantic-settings': '2.6.0',
+};
+
+const doctor = (project, options = {}) => runDoctor(project, {
+  exec: fakeExec({ pythonPackages: INSTALLED }).exec,
+  portFree: async () => true,
+  nodeVersion: '20.19.5',
+  platform: 'linux',
+  ...options,
+});
+
+const byId = (report) => Object.fromEntries(report.checks.map((check) => [check.id, check]));
+
+describe('doctor', () => {
+  test('lists what a fresh offline project still needs, with fixes', async () => {
+    const report = await doctor(await generate());
+    const checks = byId(report);
+
+    assert.equal(report.ok, false);
+    assert.equal(checks['backend-env'].status, 'fail');
+    assert.equal(checks['backend-env'].fix, 'Create it: npm run backend:setup');
+    assert.equal(checks['backend-packages'].status, 'skip');
+    assert.equal(checks['root-modules'].fix, 'Install them: npm install');
+    assert.equal(checks['frontend-modules'].fix, 'Install them: cd frontend && npm install');
+    for (const id of ['node', 'python', 'backend-port', 'frontend-port', 'backend-url', 'allowed-url']) {
+      assert.equal(checks[id].status, 'pass', id);
+    }
+    assert.deepEqual(report.summary, { pass: 6, warn: 0, fail: 3, skip: 1 });
+  });
+
+  test('passes once everything is installed', async () => {
+    const project = await generate();
+    await install(project);
+    const report = await doctor(project);
+    assert.deepEqual(report.checks.filter((check) => check.status !== 'pass'), []);
+    assert.equal(report.ok, true);
+  });
+
+  test('reports missing Python packages and a Python manager that is not installed', async () => {
+    const project = await generate({ pythonManager: 'uv', packageManager: 'pnpm' });
+    const venvPython = path.join(project.root, 'backend', '.venv', 'bin', 'python');
+    await fs.mkdir(path.dirname(venvPython), { recursive: true });
+    await fs.writeFile(venvPython, '');
+
+    const { pandas, ...partial } = INSTALLED;
+    const checks = byId(await doctor(project, { exec: fakeExec({ pythonPackages: partial, fail: 'uv --version' }).exec }));
+    assert.equal(checks['python-manager'].status, 'fail');
+    assert.match(checks['python-manager'].fix, /docs\.astral\.sh/);
+    assert.equal(checks['backend-packages'].message, 'Not installed: pandas');
+    assert.equal(checks['backend-packages'].fix, 'Install them: pnpm run backend:install');
+  });
+
+  test('catches URLs that disagree with the ports, busy ports and an old Node', async () => {
+    const project = await generate({ backendPort: 8100 });
+    await install(project);
+    await fs.writeFile(path.join(project.root, 'frontend', '.env.local'), 'BACKEND_URL=http://localhost:8000\n');
+
+    const report = await doctor(project, { portFree: async (port) => port !== 3000, nodeVersion: '18.17.0' });
+    const checks = byId(report);
+    assert.equal(checks['backend-url'].status, 'fail');
+    assert.match(checks['backend-url'].message, /the backend listens on port 8100/);
+    assert.equal(checks['backend-url'].fix, `Set BACKEND_URL=http://localhost:8100 in ${path.join('frontend', '.env.local')}`);
+    assert.equal(checks['frontend-port'].status, 'warn');
+    assert.equal(checks.node.status, 'fail');
+    assert.equal(report.ok, false);
+  });
+});
+
+test('scriptPort reads the port of every generated dev script', () => {
+  assert.equal(scriptPort('uv run python -m uvicorn app:app --reload --host 0.0.0.0 --port 8100'), 8100);
+  assert.equal(scriptPort('uv run python -m waitress --host=0.0.0.0 --port=5001 app:app'), 5001);
+  assert.equal(scriptPort('uv run python manage.py runserver 0.0.0.0:8200'), 8200);
+  assert.equal(scriptPort("spawn(cmd, ['-m', 'uvicorn', 'app:app', '--port', '8300'])"), 8300);
+  assert.equal(scriptPort('next dev -p 3001'), 3001);
+  assert.equal(scriptPort('next dev --turbopack'), null);
+});
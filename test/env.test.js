@@ -0,0 +1,188 @@
+import { after, afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createProjectStructure } from '../src/create-project.js';
+import {
+  addToConfigModule, addToEnvFile, addToSchema, checkEnv, declareVariables, parseSchema, renderConfigModule, renderEnvFile,
+} from '../src/env.js';
+import { findProject } from '../src/features/index.js';
+import { fakeExec } from './helpers/fake-exec.js';
+
+const tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'nextpy-env-test-'));
+let runs = 0;
+
+after(() => fs.rm(tmpRoot, { recursive: true, force: true }));
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+afterEach(() => mock.restoreAll());
+
+async function generate(flags = {}) {
+  const cwd = path.join(tmpRoot, String(++runs));
+  await fs.mkdir(cwd);
+  await createProjectStructure('app', 'TypeScript', false, { offline: true, interactive: false, ...flags, cwd, exec: fakeExec().exec });
+  return findProject(path.join(cwd, 'app'));
+}
+
+async function edit(project, file, change) {
+  const target = path.join(project.root, file);
+  await fs.writeFile(target, change(await fs.readFile(target, 'utf8')));
+}
+
+const WITH_AUTH = [{ name: 'database', variant: 'sqlite' }, { name: 'auth' }];
+
+const SCHEMA = `# Shared header
+
+[backend]
+
+# Signs things
+# with a key
+KEY: secret
+PORT: integer = 8000
+SENTRY_DSN?: url
+
+[frontend]
+BACKEND_URL: url(backend) = http://localhost:8000
+`;
+
+describe('env.schema', () => {
+  test('parses declarations with their descriptions', () => {
+    const { backend, frontend } = parseSchema(SCHEMA);
+    assert.deepEqual(backend.map((variable) => variable.name), ['KEY', 'PORT', 'SENTRY_DSN']);
+    assert.equal(backend[0].description, 'Signs things\nwith a key');
+    assert.equal(backend[0].default, undefined);
+    assert.equal(backend[1].description, undefined);
+    assert.equal(backend[2].optional, true);
+    assert.deepEqual(frontend[0], {
+      name: 'BACKEND_URL', side: 'frontend', type: 'url', optional: false, points: 'backend',
+      default: 'http://localhost:8000', description: undefined,
+    });
+  });
+
+  test('reports the line of the first mistake', () => {
+    assert.throws(() => parseSchema('[backend]\nPORT: number\n'), /^Error: env\.schema:2: /);
+    assert.throws(() => parseSchema('[backend]\nPORT: integer = eight\n'), /env\.schema:2: .*PORT/);
+    assert.throws(() => parseSchema('[database]\n'), /env\.schema:1: unknown section \[database\]/);
+    assert.throws(() => parseSchema('PORT: integer\n'), /env\.schema:1: PORT is declared before/);
+    assert.throws(() => parseSchema('[backend]\nA: string\nA: string\n'), /env\.schema:3: /);
+  });
+
+  test('adds new variables to the end of their section only once', () => {
+    const variables = declareVariables('backend', { TOKEN: { type: 'secret', description: 'API token' }, PORT: 9000 });
+    const text = addToSchema(SCHEMA, 'backend', variables);
+    assert.match(text, /SENTRY_DSN\?: url\n\n# API token\nTOKEN: secret\n\n\[frontend\]/);
+    assert.doesNotMatch(text, /PORT: string/);
+    assert.equal(addToSchema(text, 'backend', variables), text);
+
+    const created = addToSchema('# Header\n', 'frontend', declareVariables('frontend', { NEXT_PUBLIC_NAME: 'app' }));
+    assert.equal(created, '# Header\n\n[frontend]\n\nNEXT_PUBLIC_NAME: string = app\n');
+  });
+});
+
+describe('env files', () => {
+  test('generate secrets in .env and leave them blank in the example', () => {
+    const { backend } = parseSchema(SCHEMA);
+    const env = renderEnvFile('backend', backend);
+    const example = renderEnvFile('backend', backend, { example: true });
+    assert.match(env, /# Signs things\n# with a key\nKEY=[0-9a-f]{64}\n/);
+    assert.match(example, /\nKEY=\n/);
+    assert.match(example, /\nPORT=8000\n/);
+    assert.notEqual(renderEnvFile('backend', backend), env);
+  });
+
+  test('keep the values they already have', () => {
+    const variables = declareVariables('backend', { PORT: 9000, DEBUG: { type: 'boolean', default: 'true', description: 'Reloads' } });
+    assert.equal(addToEnvFile('PORT=1234', variables), 'PORT=1234\n\n# Reloads\nDEBUG=true\n');
+    assert.equal(addToEnvFile('PORT=1\nDEBUG=false\n', variables), 'PORT=1\nDEBUG=false\n');
+  });
+});
+
+describe('config modules', () => {
+  const { backend, frontend } = parseSchema(SCHEMA);
+
+  test('declare a typed setting for every variable', () => {
+    const python = renderConfigModule('backend', backend, { backend: 'fastapi' });
+    assert.match(python, /^    key: SecretStr$/m);
+    assert.match(python, /^    port: int = 8000$/m);
+    assert.match(python, /^    sentry_dsn: Optional\[Url\] = None$/m);
+
+    const ts = renderConfigModule('frontend', frontend, { typescript: true });
+    assert.match(ts, /BACKEND_URL: read\('url', 'BACKEND_URL', process\.env\.BACKEND_URL, 'http:\/\/localhost:8000'\)/);
+  });
+
+  test('take new variables with the imports they need', () => {
+    const [key, port, dsn] = backend;
+    const python = addToConfigModule('backend', renderConfigModule('backend', [port], { backend: 'flask' }), [key, dsn]);
+    assert.match(python, /^from typing import .*Optional/m);
+    assert.match(python, /^from pydantic import .*SecretStr/m);
+    assert.match(python, /^    port: int = 8000\n\n    # Signs things\n    # with a key\n    key: SecretStr\n\n    sentry_dsn: Optional\[Url\] = None\n\n\nsettings/m);
+
+    const js = addToConfigModule('frontend', renderConfigModule('frontend', frontend, { typescript: false }),
+      declareVariables('frontend', { NEXT_PUBLIC_NAME: 'app' }));
+    assert.match(js, /publicConfig = \{[^}]*NEXT_PUBLIC_NAME: read\('string', 'NEXT_PUBLIC_NAME'/);
+    assert.equal(addToConfigModule('backend', 'settings = {}\n', [key]), null);
+  });
+});
+
+describe('env check', () => {
+  test('passes on a freshly generated project', async () => {
+    const report = await checkEnv(await generate({ features: WITH_AUTH }));
+    assert.deepEqual(report.problems, []);
+    assert.equal(report.ok, true);
+    assert.equal(report.variables, 7);
+  });
+
+  test('reports missing, invalid, misplaced and undeclared variables', async () => {
+    const project = await generate({ features: WITH_AUTH });
+    await edit(project, 'env.schema', (text) => text.replace('[frontend]', 'API_TOKEN: secret\n\n[frontend]'));
+    await edit(project, 'backend/.env', (text) => text
+      .replace(/^JWT_EXPIRE_MINUTES=.*$/m, 'JWT_EXPIRE_MINUTES=soon')
+      .concat('BACKEND_TIMEOUT_MS=5000\nSTRAY=1\n'));
+
+    const { ok, problems } = await checkEnv(project);
+    const found = Object.fromEntries(problems.filter((problem) => problem.file === path.join('backend', '.env'))
+      .map((problem) => [problem.variable, problem]));
+    assert.equal(ok, false);
+    assert.equal(found.API_TOKEN.level, 'error');
+    assert.match(found.API_TOKEN.message, /required but not set/);
+    assert.match(found.API_TOKEN.fix, /openssl rand -hex 32/);
+    assert.match(found.JWT_EXPIRE_MINUTES.message, /whole number/);
+    assert.equal(found.BACKEND_TIMEOUT_MS.level, 'error');
+    assert.equal(found.STRAY.level, 'warning');
+  });
+
+  test('catches URLs that point at the wrong port', async () => {
+    const project = await generate({ backendPort: 8100 });
+    await edit(project, 'frontend/.env.local', (text) => text.replace('localhost:8100', 'localhost:9000'));
+
+    const [problem] = (await checkEnv(project)).problems;
+    assert.equal(problem.variable, 'BACKEND_URL');
+    assert.match(problem.message, /the backend listens on port 8100/);
+    assert.equal(problem.fix, `Set BACKEND_URL=http://localhost:8100 in ${path.join('frontend', '.env.local')}`);
+  });
+
+  test('flags secrets in examples and config modules that miss a variable', async () => {
+    const project = await generate({ features: WITH_AUTH });
+    await edit(project, 'backend/.env.example', (text) => text.replace(/^JWT_SECRET=$/m, 'JWT_SECRET=hunter2'));
+    await edit(project, 'backend/config.py', (text) => text.replace(/^    jwt_expire_minutes: .*\n/m, ''));
+
+    const { ok, problems } = await checkEnv(project);
+    assert.equal(ok, false);
+    assert.deepEqual(problems.map(({ level, file, variable }) => [level, file, variable]), [
+      ['error', path.join('backend', '.env.example'), 'JWT_SECRET'],
+      ['warning', path.join('backend', 'config.py'), 'JWT_EXPIRE_MINUTES'],
+    ]);
+  });
+
+  test('needs an env.schema', async () => {
+    const project = await generate();
+    await fs.rm(path.join(project.root, 'env.schema'));
+    const { ok, problems } = await checkEnv(project);
+    assert.equal(ok, false);
+    assert.match(problems[0].message, /env\.schema/);
+  });
+});
@@ -0,0 +1,182 @@
+import { after, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { collectOperations, generateClient, operationName, schemaToType } from '../src/generate-client.js';
+
+const tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'nextpy-client-test-'));
+
+after(() => fs.rm(tmpRoot, { recursive: true, force: true }));
+
+const ITEM = { $ref: '#/components/schemas/Item' };
+const ITEM_ID = { name: 'item_id', in: 'path', required: true, schema: { type: 'integer' } };
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+
+// Roughly what FastAPI publishes for a small CRUD router
+const SPEC = {
+  openapi: '3.1.0',
+  info: { title: 'Shop', version: '0.1.0' },
+  paths: {
+    '/items': {
+      get: {
+        operationId: 'list_items_items_get',
+        summary: 'List Items',
+        parameters: [
+          { name: 'status', in: 'query', required: true, schema: { $ref: '#/components/schemas/Status' } },
+          { name: 'tags', in: 'query', required: false, schema: { type: 'array', items: { type: 'string' } } },
+        ],
+        responses: { 200: json({ type: 'array', items: ITEM }) },
+      },
+    },
+    '/items/{item_id}': {
+      parameters: [ITEM_ID],
+      get: {
+        operationId: 'read_item_items__item_id__get',
+        summary: 'Read Item',
+        parameters: [{ name: 'q', in: 'query', required: false, schema: { anyOf: [{ type: 'string' }, { type: 'null' }] } }],
+        responses: { 200: json(ITEM), 422: json({}) },
+      },
+      put: {
+        operationId: 'update_item_items__item_id__put',
+        requestBody: { required: true, ...json({ $ref: '#/components/schemas/ItemIn' }) },
+        responses: { 200: json(ITEM) },
+      },
+    },
+    '/health': {
+      get: { responses: { 204: { description: 'No Content' } } },
+    },
+  },
+  components: {
+    schemas: {
+      Status: { type: 'string', enum: ['draft', 'published'] },
+      Item: {
+        type: 'object',
+        description: 'Something for sale\nwith a longer explanation',
+        required: ['id', 'name', 'status'],
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          status: { $ref: '#/components/schemas/Status' },
+          price: { type: 'number', nullable: true },
+          'sale-ends': { type: ['string', 'null'], format: 'date-time' },
+        },
+      },
+      ItemIn: {
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } },
+      },
+    },
+  },
+};
+
+describe('schemas', () => {
+  test('map to TypeScript types', () => {
+    assert.equal(schemaToType({ $ref: '#/components/schemas/Item' }), 'Item');
+    assert.equal(schemaToType({ enum: ['a', 1] }), '"a" | 1');
+    assert.equal(schemaToType({ type: 'string', nullable: true }), 'string | null');
+    assert.equal(schemaToType({ anyOf: [{ type: 'integer' }, { type: 'null' }] }), 'number | null');
+    assert.equal(schemaToType({ type: 'array', items: { anyOf: [{ type: 'string' }, { type: 'null' }] } }), 'Array<string | null>');
+    assert.equal(schemaToType({ type: 'object', additionalProperties: { type: 'integer' } }), 'Record<string, number>');
+    assert.equal(schemaToType({ type: 'string', format: 'binary' }), 'Blob');
+  });
+
+  test('FastAPI operation ids lose their path and method suffix', () => {
+    assert.equal(operationName({ operationId: 'read_item_items__item_id__get' }, 'get', '/items/{item_id}'), 'readItem');
+    assert.equal(operationName({}, 'get', '/health'), 'getHealth');
+  });
+
+  test('operations carry their path and query parameters and request body', () => {
+    const operations = Object.fromEntries(collectOperations(SPEC).map((operation) => [operation.name, operation]));
+    assert.deepEqual(Object.keys(operations), ['listItems', 'readItem', 'updateItem', 'getHealth']);
+    assert.deepEqual(operations.readItem.pathParams.map(({ name }) => name), ['item_id']);
+    assert.deepEqual(operations.readItem.queryParams.map(({ name }) => name), ['q']);
+    assert.deepEqual(operations.updateItem.body, { $ref: '#/components/schemas/ItemIn' });
+    assert.equal(operations.updateItem.bodyRequired, true);
+    assert.equal(operations.listItems.responseType, 'Item[]');
+    assert.equal(operations.getHealth.responseType, 'void');
+  });
+});
+
+describe('TypeScript client', () => {
+  const source = generateClient(SPEC, { typescript: true });
+
+  test('declares a type for every schema and query', () => {
+    assert.match(source, /^\/\/ Generated by create-nextpy-app generate-client from the Shop 0\.1\.0 OpenAPI schema\.$/m);
+    assert.match(source, /^export type Status = "draft" \| "published";$/m);
+    assert.ok(source.includes([
+      '/** Something for sale */',
+      'export interface Item {',
+      '  id: number;',
+      '  name: string;',
+      '  status: Status;',
+      '  price?: number | null;',
+      '  "sale-ends"?: string | null;',
+      '}',
+    ].join('\n')));
+    assert.ok(source.includes('export type ListItemsQuery = {\n  status: Status;\n  tags?: string[];\n};'));
+    assert.ok(source.includes('export type ReadItemQuery = {\n  q?: string | null;\n};'));
+  });
+
+  test('never falls back to any, which next lint rejects', () => {
+    assert.doesNotMatch(source, /\bany\b/);
+  });
+
+  test('has a typed function per operation', () => {
+    assert.ok(source.includes([
+      'export async function listItems(query: ListItemsQuery, init: RequestInit = {}): Promise<Item[]> {',
+      "  return request<Item[]>('GET', `/items`, { query, init });",
+    ].join('\n')));
+    assert.ok(source.includes([
+      'export async function readItem(itemId: number, query?: ReadItemQuery, init: RequestInit = {}): Promise<Item> {',
+      "  return request<Item>('GET', `/items/${encodeURIComponent(String(itemId))}`, { query, init });",
+    ].join('\n')));
+    assert.ok(source.includes('export async function updateItem(itemId: number, body: ItemIn, init: RequestInit = {}): Promise<Item> {'));
+    assert.ok(source.includes("request<Item>('PUT', `/items/${encodeURIComponent(String(itemId))}`, { body, init })"));
+    assert.ok(source.includes('export async function getHealth(init: RequestInit = {}): Promise<void> {'));
+  });
+});
+
+describe('JavaScript client', () => {
+  const source = generateClient(SPEC, { typescript: false });
+
+  test('documents its types with JSDoc instead of annotations', () => {
+    assert.doesNotMatch(source, /^export (type|interface) /m);
+    assert.doesNotMatch(source, /request</);
+    assert.match(source, /@typedef \{"draft" \| "published"\} Status/);
+    assert.match(source, /@typedef \{Object\} Item\n \* @property \{number\} id\n/);
+    assert.match(source, / \* @property \{number \| null\} \[price\]\n/);
+    assert.match(source, / \* @param \{ReadItemQuery\} \[query\]\n \* @param \{RequestInit\} \[init\]\n \* @returns \{Promise<Item>\}\n/);
+    assert.match(source, /^export async function readItem\(itemId, query, init = \{\}\) \{$/m);
+    assert.doesNotMatch(source, /\bany\b/);
+  });
+
+  test('sends the path, query and body it is given', async () => {
+    const dir = await fs.mkdtemp(path.join(tmpRoot, 'js-'));
+    await fs.writeFile(path.join(dir, 'api.mjs'), 'export class ApiError extends Error {\n  constructor(message, status) {\n    super(message);\n    this.status = status;\n  }\n}\n');
+    await fs.writeFile(path.join(dir, 'api-client.mjs'), source.replace("from './api'", "from './api.mjs'"));
+
+    const requests = [];
+    mock.method(globalThis, 'fetch', async (url, init) => {
+      requests.push({ url, method: init.method, body: init.body });
+      return new Response(url.includes('missing') ? '{"detail":"Item not found"}' : '{"id":1}', { status: url.includes('missing') ? 404 : 200 });
+    });
+    try {
+      const client = await import(pathToFileURL(path.join(dir, 'api-client.mjs')).href);
+      assert.deepEqual(await client.readItem(7, { q: 'a b' }), { id: 1 });
+      await client.listItems({ status: 'draft', tags: ['x', 'y'] });
+      await client.updateItem(7, { name: 'Lamp' });
+      await assert.rejects(client.readItem('missing'), { name: 'Error', message: 'Item not found', status: 404 });
+    } finally {
+      mock.restoreAll();
+    }
+
+    assert.deepEqual(requests.slice(0, 3), [
+      { url: '/api/items/7?q=a+b', method: 'GET', body: undefined },
+      { url: '/api/items?status=draft&tags=x&tags=y', method: 'GET', body: undefined },
+      { url: '/api/items/7', method: 'PUT', body: '{"name":"Lamp"}' },
+    ]);
+  });
+});
@@ -0,0 +1,87 @@
+// Stands in for child_process.exec: records every command and fakes the
+// executables the generator runs (git, python, pip, create-next-app, npm...),
+// so a project can be generated without network access or any of them installed.
+import { promises as fs } from 'fs';
+import path from 'path';
+
+async function write(file, content) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, content);
+}
+
+/**
+ * Writes roughly what create-next-app generates for the flags in `command`.
+ */
+async function createNextApp(cwd, command) {
+  const [, name] = /create-next-app@\S+\s+(\S+)/.exec(command);
+  const root = path.join(cwd, name);
+  const typescript = /--typescript\b/.test(command);
+  const tailwind = /(?<!no-)--tailwind\b/.test(command);
+  const ext = typescript ? 'tsx' : 'js';
+
+  const devDependencies = { eslint: '^9', 'eslint-config-next': '15.5.2' };
+  if (typescript) Object.assign(devDependencies, { '@types/node': '^20', '@types/react': '^19', typescript: '^5' });
+  if (tailwind) Object.assign(devDependencies, { '@tailwindcss/postcss': '^4', tailwindcss: '^4' });
+
+  await write(path.join(root, 'package.json'), JSON.stringify({
+    name,
+    version: '0.1.0',
+    private: true,
+    scripts: { dev: 'next dev', build: 'next build', start: 'next start', lint: 'next lint' },
+    dependencies: { next: '15.5.2', react: '19.1.0', 'react-dom': '19.1.0' },
+    devDependencies,
+  }, null, 2) + '\n');
+  await write(path.join(root, '.gitignore'), 'node_modules\n.next\n.env*\n');
+  await write(path.join(root, typescript ? 'tsconfig.json' : 'jsconfig.json'), '{"compilerOptions":{"paths":{"@/*":["./src/*"]}}}\n');
+  await write(path.join(root, 'src', 'app', `layout.${ext}`), 'export default function RootLayout({ children }) { return children; }\n');
+  await write(path.join(root, 'src', 'app', `page.${ext}`), 'export default function Home() { return null; }\n');
+  await write(path.join(root, 'src', 'app', 'globals.css'), tailwind ? '@import "tailwindcss";\n' : 'body { margin: 0; }\n');
+  if (tailwind) {
+    await write(path.join(root, 'postcss.config.mjs'), 'export default { plugins: ["@tailwindcss/postcss"] };\n');
+  }
+  await fs.mkdir(path.join(root, 'node_modules'), { recursive: true });
+}
+
+const EXECUTABLES = [
+  // Interpreters on the PATH and in a venv ("backend/venv/bin/python")
+  [/^(python3?|py -3)(\.\d+)? --version$|[\\/]python(\.exe)?" --version$/, (cwd, command, { python }) => `Python ${python}\n`],
+  [/ -c "import importlib\.metadata/, (cwd, command, { pythonPackages }) => JSON.stringify(pythonPackages)],
+  [/^(uv|poetry|pipenv|pnpm|yarn|bun) --version$/, () => '1.0.0\n'],
+  [/^git init$/, (cwd) => fs.mkdir(path.join(cwd, '.git'), { recursive: true })],
+  [/ -m venv (\S+)$/, (cwd, command) => fs.mkdir(path.join(cwd, / -m venv (\S+)$/.exec(command)[1], 'bin'), { recursive: true })],
+  [/create-next-app/, (cwd, command) => createNextApp(cwd, command)],
+  [/^(npm|pnpm|yarn|bun) install$/, (cwd) => fs.mkdir(path.join(cwd, 'node_modules'), { recursive: true })],
+];
+
+/**
+ * Returns { exec, execFile, commands }. `commands` lists every { command, cwd }
+ * run so far; execFile (file, args, options) records its arguments as `args`
+ * too, joined by spaces in `command`. A command containing `fail` rejects like a non-zero exit would.
+ * `pythonPackages` ({ name: version }) is what a venv reports as installed,
+ * `python` the version every Python interpreter reports.
+ * Anything unknown (pip install, uv sync, alembic...) succeeds silently.
+ */
+export function fakeExec({ fail, pythonPackages = {}, python = '3.12.4' } = {}) {
+  const commands = [];
+
+  const exec = async (command, options = {}) => {
+    const cwd = options.cwd || process.cwd();
+    commands.push({ command, cwd });
+
+    if (fail && command.includes(fail)) {
+      throw Object.assign(new Error(`Command failed: ${command}`), { code: 1, cmd: command, stderr: `${command}: exited with 1\n` });
+    }
+
+    const match = EXECUTABLES.find(([pattern]) => pattern.test(command));
+    const stdout = match ? await match[1](cwd, command, { pythonPackages, python }) : '';
+    return { stdout: typeof stdout === 'string' ? stdout : '', stderr: '' };
+  };
+
+  const execFile = (file, args = [], options = {}) => {
+    const result = exec([file, ...args].join(' '), options);
+    commands.at(-1).args = args;
+    return result;
+  };
+
+  return { exec, execFile, commands };
+}
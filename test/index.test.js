@@ -0,0 +1,88 @@
+import { after, afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createProject } from '../src/index.js';
+import { fakeExec } from './helpers/fake-exec.js';
+
+const tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'nextpy-api-test-'));
+let runs = 0;
+
+after(() => fs.rm(tmpRoot, { recursive: true, force: true }));
+
+// createProject must not print anything; the tests check that it does not
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+afterEach(() => mock.restoreAll());
+
+/**
+ * Runs createProject in a fresh directory with fake executables. Returns the
+ * summary (or the error) and every event.
+ */
+async function create(options) {
+  const cwd = path.join(tmpRoot, String(++runs));
+  await fs.mkdir(cwd);
+  const events = [];
+  const fake = fakeExec();
+  try {
+    const summary = await createProject({ cwd, exec: fake.exec, onEvent: (event) => events.push(event), ...options });
+    return { cwd, summary, events, commands: fake.commands };
+  } catch (error) {
+    return { cwd, error, events, commands: fake.commands };
+  }
+}
+
+describe('createProject', () => {
+  test('generates a project with the defaults of --yes, without printing anything', async () => {
+    const { cwd, summary, events } = await create({ project: 'api-app', offline: true });
+    assert.equal(summary.ok, true);
+    assert.equal(summary.paths.root, path.join(cwd, 'api-app'));
+    assert.deepEqual(
+      { language: summary.project.language, tailwind: summary.project.tailwind, backend: summary.project.backend, features: summary.project.features },
+      { language: 'JavaScript', tailwind: true, backend: 'fastapi', features: [{ name: 'database', variant: 'sqlite' }] }
+    );
+    assert.equal(events.at(-1).type, 'summary');
+    await fs.access(path.join(cwd, 'api-app', 'backend', 'database.py'));
+    assert.equal(console.log.mock.callCount(), 0);
+    assert.equal(console.error.mock.callCount(), 0);
+  });
+
+  test('drops the features a preset asks for but the backend cannot have, with a warning', async () => {
+    const { summary, events } = await create({ project: 'app', preset: 'full', backend: 'flask', offline: true });
+    assert.deepEqual(summary.project.features, [{ name: 'docker' }]);
+    assert.deepEqual(events.filter((event) => event.type === 'warning').map((event) => event.message), [
+      'Skipping the database layer: it is only available for FastAPI backends.',
+      'Skipping authentication: it needs a FastAPI backend with a database.',
+      'Skipping the real-time endpoints: they are only available for FastAPI backends.',
+    ]);
+  });
+
+  test('rejects options it does not know or cannot combine, before anything runs', async () => {
+    for (const [options, message] of [
+      [{ project: 'app', colour: 'blue' }, 'createProject: unknown option "colour"'],
+      [{ project: 'bad name' }, /^createProject: "project" can only contain lowercase letters, .* \(got "bad name"\)$/],
+      [{ project: 'My-App' }, 'createProject: "project" must be lowercase (got "My-App")'],
+      [{ project: '.app' }, /"project" cannot start with "."/],
+      [{ project: 'http' }, 'createProject: "project" cannot be "http", npm reserves that name'],
+      [{ project: 'app', backend: 'django', realtime: true }, '"realtime" is only available for FastAPI backends, not Django.'],
+      [{ project: 'app', backendPort: 4000, frontendPort: 4000 }, /cannot both listen on port 4000/],
+    ]) {
+      const { cwd, error, events, commands } = await create(options);
+      assert.ok(typeof message === 'string' ? error.message === message : message.test(error.message), error.message);
+      assert.deepEqual(events.map(({ type, ok }) => ({ type, ok })), [{ type: 'summary', ok: false }]);
+      assert.deepEqual(commands, []);
+      assert.deepEqual(await fs.readdir(cwd), []);
+    }
+  });
+
+  test('plans without writing in a dry run', async () => {
+    const { cwd, summary } = await create({ project: 'app', language: 'TypeScript', dryRun: true });
+    assert.equal(summary.dryRun, true);
+    assert.ok(summary.files.includes(path.join('frontend', 'src', 'lib', 'config.ts')));
+    assert.ok(summary.commands.some(({ command }) => command.includes('create-next-app')));
+    assert.deepEqual(await fs.readdir(cwd), []);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectPackageManager, forPackageManager, packageManagerScripts } from '../src/package-managers.js';
+
+describe('detectPackageManager', () => {
+  test('reads the manager from npm_config_user_agent', () => {
+    assert.equal(detectPackageManager('pnpm/9.12.0 npm/? node/v20.19.5 linux x64'), 'pnpm');
+    assert.equal(detectPackageManager('yarn/1.22.22 npm/? node/v20.19.5 darwin arm64'), 'yarn');
+    assert.equal(detectPackageManager('bun/1.2.4 npm/? node/v22.6.0 linux x64'), 'bun');
+    assert.equal(detectPackageManager('npm/10.8.2 node/v20.19.5 win32 x64 workspaces/false'), 'npm');
+  });
+
+  test('falls back to npm', () => {
+    assert.equal(detectPackageManager(''), 'npm');
+    assert.equal(detectPackageManager(undefined), 'npm');
+    assert.equal(detectPackageManager('cnpm/9.4.0 npminstall/7.12.0'), 'npm');
+  });
+});
+
+describe('forPackageManager', () => {
+  test('leaves npm commands alone', () => {
+    assert.equal(forPackageManager('cd backend && npm run db:revision --', 'npm'), 'cd backend && npm run db:revision --');
+  });
+
+  test('rewrites runs, installs and npx', () => {
+    assert.equal(forPackageManager('npm install && cd frontend && npm install', 'pnpm'), 'pnpm install && cd frontend && pnpm install');
+    assert.equal(forPackageManager('concurrently "npm run backend" "npm run frontend"', 'yarn'), 'concurrently "yarn run backend" "yarn run frontend"');
+    assert.equal(forPackageManager('npx create-next-app@latest', 'bun'), 'bunx create-next-app@latest');
+  });
+
+  test('runs the test and start scripts instead of built-in commands', () => {
+    assert.equal(forPackageManager('cd backend && npm test', 'bun'), 'cd backend && bun run test');
+    assert.equal(forPackageManager('cd frontend && npm start', 'pnpm'), 'cd frontend && pnpm run start');
+  });
+
+  test('drops the -- npm needs before forwarded arguments', () => {
+    assert.equal(forPackageManager('cd backend && npm run db:revision --', 'pnpm'), 'cd backend && pnpm run db:revision');
+    assert.equal(
+      forPackageManager('npm run db:revision -- -m "add users", then npm run db:migrate', 'yarn'),
+      'yarn run db:revision -m "add users", then yarn run db:migrate'
+    );
+  });
+});
+
+test('packageManagerScripts rewrites every script', () => {
+  assert.deepEqual(packageManagerScripts({ dev: 'npm run frontend', lint: 'next lint' }, 'pnpm'), {
+    dev: 'pnpm run frontend',
+    lint: 'next lint',
+  });
+});
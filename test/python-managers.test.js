@@ -0,0 +1,26 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installCommand } from '../src/python-managers.js';
+import { formatCommand, quoteArg } from '../src/shell.js';
+
+describe('installCommand', () => {
+  test('pins the interpreter as one shell word', () => {
+    assert.equal(installCommand('uv', 'python3.12', 'linux'), 'uv sync --python python3.12');
+    assert.equal(installCommand('uv', '/opt/my python/bin/python3', 'linux'), "uv sync --python '/opt/my python/bin/python3'");
+    assert.equal(installCommand('pipenv', '/tmp/$(touch pwned)', 'darwin'), "pipenv install --python '/tmp/$(touch pwned)'");
+    assert.equal(
+      installCommand('poetry', 'C:\\Program Files\\Python312\\python.exe', 'win32'),
+      'poetry env use "C:\\Program Files\\Python312\\python.exe" && poetry install'
+    );
+    assert.equal(installCommand('uv', undefined, 'linux'), 'uv sync');
+  });
+});
+
+describe('quoteArg', () => {
+  test('escapes quotes on POSIX and refuses what cmd.exe cannot keep literal', () => {
+    assert.equal(quoteArg("it's", 'linux'), "'it'\\''s'");
+    assert.equal(quoteArg('', 'linux'), "''");
+    assert.throws(() => quoteArg('C:\\%PATH%\\python.exe', 'win32'), /contains " or %/);
+    assert.equal(formatCommand(['venv/bin/python', '-c', 'print(1)'], 'linux'), "venv/bin/python -c 'print(1)'");
+  });
+});
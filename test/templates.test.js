@@ -0,0 +1,253 @@
+import { after, afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exec } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { createProjectStructure } from '../src/create-project.js';
+import {
+  TEMPLATE_MANIFEST,
+  builtinPlaceholders,
+  loadTemplate,
+  loadTemplateManifest,
+  placeholderValues,
+  planTemplate,
+  renderPlaceholders,
+  templateSourceKind,
+} from '../src/templates.js';
+import { fakeExec } from './helpers/fake-exec.js';
+
+const execAsync = promisify(exec);
+const tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'nextpy-template-test-'));
+let runs = 0;
+
+after(() => fs.rm(tmpRoot, { recursive: true, force: true }));
+
+const MANIFEST = {
+  name: 'acme',
+  placeholders: {
+    companyName: { description: 'Company name', default: 'Acme' },
+    sentryDsn: { description: 'Sentry DSN', required: true },
+  },
+  files: [
+    { from: 'frontend/ts/', to: 'frontend/src/', when: { language: 'TypeScript' } },
+    { from: 'frontend/js/', to: 'frontend/src/', when: { language: 'JavaScript' } },
+    { from: 'backend/logging_config.py', to: 'backend/logging_config.py', when: { backend: ['fastapi', 'flask'] } },
+    { from: 'gitignore.template', to: 'gitignore.template' },
+    { from: 'logo.png', to: 'frontend/public/logo.png' },
+  ],
+};
+
+const FILES = {
+  'frontend/ts/company.ts': 'export const company = "{{companyName}}"; // {{projectName}}\n',
+  'frontend/js/company.js': 'export const company = "{{companyName}}";\n',
+  'backend/logging_config.py': 'SENTRY_DSN = "{{sentryDsn}}"\n# {{ jinja }} is left alone\n',
+  'gitignore.template': '.acme-cache\n',
+  'logo.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x7b, 0x7b]),
+};
+
+/**
+ * Writes a template directory with `manifest` and `files`, returning its path.
+ */
+async function writeTemplate(manifest = MANIFEST, files = FILES) {
+  const dir = path.join(tmpRoot, `template-${++runs}`);
+  for (const [file, content] of Object.entries({ ...files, [TEMPLATE_MANIFEST]: JSON.stringify(manifest) })) {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+const SETTINGS = { language: 'TypeScript', tailwind: true, backend: 'fastapi', pythonManager: 'venv', packageManager: 'npm' };
+
+describe('templateSourceKind', () => {
+  test('recognizes git URLs, paths and npm packages', async () => {
+    for (const spec of ['git+https://github.com/acme/tpl.git', 'git@github.com:acme/tpl.git', 'file:///srv/tpl#v2', '../tpl.git', 'https://example.com/acme/tpl.git#main']) {
+      assert.equal(await templateSourceKind(spec), 'git', spec);
+    }
+    for (const spec of ['./tpl', '../tpl', '/srv/tpl', 'C:\\templates\\acme']) {
+      assert.equal(await templateSourceKind(spec), 'path', spec);
+    }
+    for (const spec of ['@acme/nextpy-template', 'nextpy-template-acme@1.2.0']) {
+      assert.equal(await templateSourceKind(spec, { cwd: tmpRoot }), 'npm', spec);
+    }
+  });
+
+  test('treats a bare name as a path when that directory exists', async () => {
+    await fs.mkdir(path.join(tmpRoot, 'house'), { recursive: true });
+    assert.equal(await templateSourceKind('house', { cwd: tmpRoot }), 'path');
+  });
+});
+
+describe('loadTemplateManifest', () => {
+  test('accepts a valid manifest', async () => {
+    const { manifest, errors } = await loadTemplateManifest(await writeTemplate());
+    assert.deepEqual(errors, []);
+    assert.equal(manifest.name, 'acme');
+  });
+
+  test('lists every problem', async () => {
+    const dir = await writeTemplate({
+      placeholders: { projectName: {}, 'bad-name': {} },
+      files: [
+        { from: '../outside', to: 'x' },
+        { from: 'a', to: '/etc/passwd' },
+        { from: 'a', to: 'b', when: { language: 'Rust', os: 'linux' } },
+      ],
+    }, {});
+    const { manifest, errors } = await loadTemplateManifest(dir);
+    assert.equal(manifest, null);
+    assert.deepEqual(errors, [
+      '"name" must be a non-empty string',
+      'placeholder "projectName" is built in and cannot be redefined',
+      'placeholder "bad-name" must be a valid identifier',
+      'files[0]: "from" must be a relative path inside the template (got "../outside")',
+      'files[1]: "to" must be a relative path inside the project (got "/etc/passwd")',
+      'files[2]: "language" must be "JavaScript", "TypeScript" (got "Rust")',
+      'files[2]: unknown condition "os" (use language, tailwind, backend, pythonManager, packageManager)',
+    ]);
+  });
+
+  test('reports a missing manifest', async () => {
+    const dir = path.join(tmpRoot, 'empty');
+    await fs.mkdir(dir, { recursive: true });
+    assert.deepEqual((await loadTemplateManifest(dir)).errors, [`${TEMPLATE_MANIFEST}: not found`]);
+  });
+});
+
+describe('placeholders', () => {
+  test('values come from template variables, then defaults', () => {
+    const { values, missing, errors } = placeholderValues(MANIFEST, { companyName: 'Initech', colour: 'red' });
+    assert.deepEqual(values, { companyName: 'Initech' });
+    assert.deepEqual(missing, ['sentryDsn']);
+    assert.match(errors[0], /"colour" is not a placeholder of acme/);
+  });
+
+  test('renderPlaceholders only replaces known {{names}}', () => {
+    assert.equal(renderPlaceholders('{{a}} {{ a }} {{b}}', { a: 1 }), '1 {{ a }} {{b}}');
+  });
+
+  test('built-in values default the ports and spell tailwind like the prompt', () => {
+    const values = builtinPlaceholders({ ...SETTINGS, projectName: 'app', frontendPort: 3100 });
+    assert.deepEqual(values, { ...SETTINGS, projectName: 'app', tailwind: 'Yes', backendPort: 8000, frontendPort: 3100 });
+    assert.equal(renderPlaceholders('http://localhost:{{backendPort}}', values), 'http://localhost:8000');
+  });
+});
+
+describe('planTemplate', () => {
+  test('selects files by condition, expands directories and renames gitignore templates', async () => {
+    const template = { dir: await writeTemplate(), manifest: MANIFEST };
+    const { files, errors } = await planTemplate(template, { ...SETTINGS, backend: 'django' }, { sentryDsn: 'dsn' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(files.map(({ to, render }) => [to.split(path.sep).join('/'), render]), [
+      ['frontend/src/company.ts', true],
+      ['.gitignore', true],
+      ['frontend/public/logo.png', false],
+    ]);
+  });
+
+  test('checks required values, sources and placeholders before anything is written', async () => {
+    const manifest = { ...MANIFEST, files: [...MANIFEST.files, { from: 'missing.txt', to: 'missing.txt' }] };
+    const dir = await writeTemplate(manifest, { ...FILES, 'backend/logging_config.py': 'DSN = "{{sentryDns}}"\n' });
+    const { errors } = await planTemplate({ dir, manifest }, SETTINGS, {});
+    assert.deepEqual(errors, [
+      'placeholder "sentryDsn" needs a value (Sentry DSN): pass --template-var sentryDsn=...',
+      `${path.join('backend', 'logging_config.py')} uses undeclared placeholder(s) {{sentryDns}} - declare them in "placeholders" or set "render": false`,
+      '"missing.txt" does not exist in the template',
+    ]);
+  });
+});
+
+describe('generating with a template', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  async function generateWith(template, language) {
+    const cwd = path.join(tmpRoot, `project-${++runs}`);
+    await fs.mkdir(cwd);
+    const settings = { ...SETTINGS, language };
+    const { values } = placeholderValues(template.manifest, { sentryDsn: 'https://key@sentry.example/1' });
+    Object.assign(values, { ...settings, projectName: 'app', tailwind: 'Yes' });
+    const { files, errors } = await planTemplate(template, settings, values);
+    assert.deepEqual(errors, []);
+
+    await createProjectStructure('app', language, true, {
+      offline: true,
+      interactive: false,
+      cwd,
+      exec: fakeExec().exec,
+      template: { ...template, files, values },
+    });
+    return path.join(cwd, 'app');
+  }
+
+  test('a local directory is copied over the project with placeholders filled in', async () => {
+    const template = await loadTemplate(await writeTemplate());
+    const root = await generateWith(template, 'TypeScript');
+
+    assert.equal(await fs.readFile(path.join(root, 'frontend/src/company.ts'), 'utf8'), 'export const company = "Acme"; // app\n');
+    assert.equal(
+      await fs.readFile(path.join(root, 'backend/logging_config.py'), 'utf8'),
+      'SENTRY_DSN = "https://key@sentry.example/1"\n# {{ jinja }} is left alone\n'
+    );
+    assert.deepEqual(await fs.readFile(path.join(root, 'frontend/public/logo.png')), FILES['logo.png']);
+    assert.equal(await fs.readFile(path.join(root, '.gitignore'), 'utf8'), '.acme-cache\n');
+    await assert.rejects(fs.access(path.join(root, 'frontend/src/company.js')));
+
+    const { nextpy } = JSON.parse(await fs.readFile(path.join(root, 'package.json'), 'utf8'));
+    assert.deepEqual(nextpy.template, { name: 'acme', source: template.source });
+  });
+
+  test('a local git repository is cloned without network access', async (t) => {
+    try {
+      await execAsync('git --version');
+    } catch {
+      t.skip('git is not installed');
+      return;
+    }
+
+    const repo = await writeTemplate();
+    const git = (command) => execAsync(`git -c user.name=test -c user.email=test@example.com ${command}`, { cwd: repo });
+    await git('init -q');
+    await git('add -A');
+    await git('commit -q -m template');
+    await git('tag v1');
+
+    const template = await loadTemplate(`file://${repo.split(path.sep).join('/')}#v1`);
+    try {
+      assert.equal(template.kind, 'git');
+      const root = await generateWith(template, 'JavaScript');
+      assert.equal(await fs.readFile(path.join(root, 'frontend/src/company.js'), 'utf8'), 'export const company = "Acme";\n');
+    } finally {
+      await template.cleanup();
+    }
+    await assert.rejects(fs.access(template.dir));
+  });
+
+  test('fetch failures name the source', async () => {
+    const { execFile: failing } = fakeExec({ fail: 'npm pack' });
+    await assert.rejects(loadTemplate('@acme/nextpy-template', { cwd: tmpRoot, execFile: failing }), {
+      name: 'TemplateError',
+      message: /Cannot fetch template @acme\/nextpy-template \(npm pack failed/,
+    });
+  });
+
+  test('specs reach git and npm as single arguments, never through a shell', async () => {
+    const marker = path.join(tmpRoot, 'injected');
+    const payload = `"$(touch ${marker})"`;
+
+    const { execFile, commands } = fakeExec({ fail: 'npm pack' });
+    await assert.rejects(loadTemplate(`@acme/template@${payload}`, { cwd: tmpRoot, execFile }), { name: 'TemplateError' });
+    await assert.rejects(loadTemplate(`git+https://example.com/acme.git#${payload}`, { execFile }), { name: 'TemplateError' });
+    assert.deepEqual(commands[0].args.slice(0, 2), ['pack', `@acme/template@${payload}`]);
+    assert.deepEqual(commands[1].args.slice(0, 6), ['clone', '--depth', '1', '--branch', payload, 'https://example.com/acme.git']);
+
+    // The real executables fail on the odd ref or package name, without running it
+    await assert.rejects(loadTemplate(`file://${path.join(tmpRoot, 'missing').split(path.sep).join('/')}#${payload}`));
+    await assert.rejects(fs.access(marker));
+  });
+});
@@ -0,0 +1,213 @@
+import { after, afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createProjectStructure } from '../src/create-project.js';
+import { findProject } from '../src/features/index.js';
+import { LOCKFILE, hashFiles, readLockfile, writeLockfile } from '../src/lockfile.js';
+import { mergeThreeWay, unifiedDiff } from '../src/merge.js';
+import { applyUpgrade, generateCurrent, generateWithVersion, generationArgs, planUpgrade } from '../src/upgrade.js';
+import { fakeExec } from './helpers/fake-exec.js';
+
+const tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'nextpy-upgrade-test-'));
+let runs = 0;
+
+after(() => fs.rm(tmpRoot, { recursive: true, force: true }));
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+afterEach(() => mock.restoreAll());
+
+// What the "previous version" of the templates generated, as edits to what they generate now
+const OLD_TEMPLATES = {
+  'backend/app.py': ['This is Get Request from python backend', 'Hello from the old template'],
+  'backend/tests/test_app.py': ['def test_', 'def test_old_'],
+  'README.md': ['# app', '# app (old README)'],
+  'package.json': ['"lint": "cd frontend && npm run lint"', '"lint": "cd frontend && npm run lint --quiet"'],
+};
+// Added by the current templates
+const NEW_FILES = ['frontend/src/lib/api.test.ts'];
+
+async function makeOld(root) {
+  for (const [file, [from, to]] of Object.entries(OLD_TEMPLATES)) {
+    const target = path.join(root, file);
+    const text = await fs.readFile(target, 'utf8');
+    assert.ok(text.includes(from), `${file} contains ${from}`);
+    await fs.writeFile(target, text.replace(from, to));
+  }
+  for (const file of NEW_FILES) {
+    await fs.rm(path.join(root, file));
+  }
+}
+
+async function edit(root, file, from, to) {
+  const target = path.join(root, file);
+  await fs.writeFile(target, (await fs.readFile(target, 'utf8')).replace(from, to));
+}
+
+/**
+ * Generates an offline project and rewrites it (and its lockfile) as if
+ * version 1.0.0 with OLD_TEMPLATES had generated it.
+ */
+async function generateOld() {
+  const cwd = path.join(tmpRoot, String(++runs));
+  await fs.mkdir(cwd);
+  await createProjectStructure('app', 'TypeScript', false, { offline: true, interactive: false, cwd, exec: fakeExec().exec });
+  const root = path.join(cwd, 'app');
+  await makeOld(root);
+  const lock = await readLockfile(root);
+  const files = await hashFiles(root, Object.keys(lock.files).filter((file) => !NEW_FILES.includes(file)));
+  await writeLockfile(root, { ...lock, version: '1.0.0', files });
+  return findProject(root);
+}
+
+const oldBase = async (version, settings, dir) => {
+  assert.equal(version, '1.0.0');
+  const root = await generateCurrent(settings, dir);
+  await makeOld(root);
+  return root;
+};
+
+const byPath = (plan) => Object.fromEntries(plan.changes.map((change) => [change.path, change]));
+
+describe('upgrade', () => {
+  test('updates untouched files, merges edited ones and leaves deleted files alone', async () => {
+    const project = await generateOld();
+    await edit(project.root, 'backend/app.py', 'allow_credentials=True', 'allow_credentials=False');
+    await edit(project.root, 'backend/tests/test_app.py', 'def test_old_', 'def test_mine_');
+    await edit(project.root, 'package.json', '"scripts": {', '"scripts": {\n    "deploy": "./deploy.sh",');
+    await fs.rm(path.join(project.root, 'backend', 'pytest.ini'));
+
+    const plan = await planUpgrade(project, { version: '1.1.0', generateBase: oldBase });
+    const changes = byPath(plan);
+    assert.equal(plan.from, '1.0.0');
+    assert.equal(plan.baseError, null);
+    assert.deepEqual(Object.fromEntries(plan.changes.map(({ path: file, action }) => [file, action])), {
+      'backend/app.py': 'merge',
+      'backend/tests/test_app.py': 'conflict',
+      'frontend/src/lib/api.test.ts': 'create',
+      'package.json': 'merge',
+      'README.md': 'update',
+    });
+    assert.deepEqual(changes['README.md'].stat, { added: 1, removed: 1 });
+    assert.match(changes['README.md'].diff, /^-# app \(old README\)$/m);
+
+    await applyUpgrade(project, plan);
+    const read = (file) => fs.readFile(path.join(project.root, file), 'utf8');
+    const app = await read('backend/app.py');
+    assert.match(app, /allow_credentials=False/);
+    assert.match(app, /This is Get Request from python backend/);
+    assert.match(await read('backend/tests/test_app.py'), /<<<<<<< your changes\ndef test_mine_[\s\S]*=======\ndef test_[\s\S]*>>>>>>> create-nextpy-app 1\.1\.0\n/);
+    const packageJson = JSON.parse(await read('package.json'));
+    assert.equal(packageJson.scripts.deploy, './deploy.sh');
+    assert.equal(packageJson.scripts.lint, 'cd frontend && npm run lint');
+    await assert.rejects(fs.access(path.join(project.root, 'backend', 'pytest.ini')));
+
+    const lock = await readLockfile(project.root);
+    assert.equal(lock.version, '1.1.0');
+    assert.ok(lock.files['frontend/src/lib/api.test.ts']);
+    assert.ok(lock.files['backend/pytest.ini'], 'deleted files stay tracked');
+
+    // Nothing left to do once upgraded (the conflict is the user's to resolve)
+    const again = await planUpgrade(await findProject(project.root), { version: '1.1.0' });
+    assert.deepEqual(again.changes, []);
+  });
+
+  test('keeps conflicting package.json entries and writes the template values to a .rej file', async () => {
+    const project = await generateOld();
+    await edit(project.root, 'package.json', '"lint": "cd frontend && npm run lint --quiet"', '"lint": "eslint ."');
+
+    const plan = await planUpgrade(project, { version: '1.1.0', generateBase: oldBase });
+    const change = byPath(plan)['package.json'];
+    assert.equal(change.action, 'conflict');
+    assert.match(change.reject, /^-\s+"lint": "eslint \.",$/m);
+    assert.match(change.reject, /^\+\s+"lint": "cd frontend && npm run lint",$/m);
+
+    await applyUpgrade(project, plan);
+    assert.equal(JSON.parse(await fs.readFile(path.join(project.root, 'package.json'), 'utf8')).scripts.lint, 'eslint .');
+    await fs.access(path.join(project.root, 'package.json.rej'));
+  });
+
+  test('writes .rej files for edited files when the old version cannot be generated', async () => {
+    const project = await generateOld();
+    await edit(project.root, 'backend/app.py', 'allow_credentials=True', 'allow_credentials=False');
+
+    const plan = await planUpgrade(project, {
+      version: '1.1.0',
+      generateBase: async () => { throw new Error('npm error code E404'); },
+    });
+    const changes = byPath(plan);
+    assert.equal(plan.baseError, 'npm error code E404');
+    assert.equal(changes['backend/app.py'].action, 'reject');
+    assert.equal(changes['backend/app.py'].content, null);
+    assert.match(changes['backend/app.py'].reject, /^\+\s+return \{"message": "This is Get Request from python backend"\}$/m);
+    assert.equal(changes['README.md'].action, 'update');
+
+    await applyUpgrade(project, plan);
+    assert.match(await fs.readFile(path.join(project.root, 'backend', 'app.py'), 'utf8'), /Hello from the old template/);
+    await fs.access(path.join(project.root, 'backend', 'app.py.rej'));
+  });
+
+  test('refuses projects without a lockfile', async () => {
+    const project = await generateOld();
+    await fs.rm(path.join(project.root, LOCKFILE));
+    await assert.rejects(planUpgrade(project), /nextpy-lock\.json is missing/);
+  });
+});
+
+test('generation writes a lockfile without the local env files', async () => {
+  const cwd = path.join(tmpRoot, String(++runs));
+  await fs.mkdir(cwd);
+  await createProjectStructure('app', 'JavaScript', true, { offline: true, interactive: false, cwd, exec: fakeExec().exec, features: [] });
+  const lock = await readLockfile(path.join(cwd, 'app'));
+  assert.equal(lock.lockfileVersion, 1);
+  assert.deepEqual(lock.features, []);
+  assert.ok(lock.files['frontend/src/app/page.jsx'].startsWith('sha256-'));
+  assert.equal(lock.files['backend/.env'], undefined);
+  assert.equal(lock.files['frontend/.env.local'], undefined);
+});
+
+test('generationArgs regenerates the same features with an older CLI', () => {
+  const settings = {
+    projectName: 'app', language: 'TypeScript', tailwind: 'No', backend: 'fastapi', pythonManager: 'uv',
+    packageManager: 'pnpm', backendPort: 8000, frontendPort: 3000,
+  };
+  const args = (features) => generationArgs({ ...settings, features }).join(' ');
+  assert.match(args([]), /--database none/);
+  assert.doesNotMatch(args([]), /--docker/);
+  assert.match(args([{ name: 'docker' }, { name: 'database', variant: 'postgres' }]), /--docker --database postgres/);
+});
+
+test('generateWithVersion passes the lockfile version and project name as single arguments', async () => {
+  const settings = {
+    projectName: 'my "$(app)"', language: 'JavaScript', tailwind: 'Yes', backend: 'flask', pythonManager: 'pip',
+    packageManager: 'npm', backendPort: 8000, frontendPort: 3000, features: [],
+  };
+  const { execFile, commands } = fakeExec();
+  await generateWithVersion('1.2.0-beta.1', settings, path.join(tmpRoot, 'base'), { execFile });
+  assert.equal(commands.length, 1);
+  const { args } = commands[0];
+  assert.ok(args.includes('create-nextpy-app@1.2.0-beta.1'));
+  assert.equal(args[args.indexOf('-p') + 1], 'my "$(app)"');
+
+  for (const version of ['1.0', 'latest', '1.0.0 && rm -rf ~', '$(id)']) {
+    await assert.rejects(generateWithVersion(version, settings, path.join(tmpRoot, 'base'), { execFile }), /invalid version/);
+  }
+  await assert.rejects(generateWithVersion('1.0.4', settings, path.join(tmpRoot, 'base'), { execFile }),
+    /create-nextpy-app 1\.0\.4 predates nextpy-lock\.json .* 1\.1\.0 or later/);
+  assert.equal(commands.length, 1);
+});
+
+test('mergeThreeWay combines separate changes and marks overlapping ones', () => {
+  const base = 'a\nb\nc\nd\ne\n';
+  assert.deepEqual(mergeThreeWay(base, 'A\nb\nc\nd\ne\n', 'a\nb\nc\nd\nE\n'), { text: 'A\nb\nc\nd\nE\n', conflicts: 0 });
+  assert.deepEqual(mergeThreeWay(base, 'a\nB\nc\nd\ne\n', 'a\nX\nc\nd\ne\n'), {
+    text: 'a\n<<<<<<< ours\nB\n=======\nX\n>>>>>>> theirs\nc\nd\ne\n',
+    conflicts: 1,
+  });
+  assert.equal(unifiedDiff(base, base), '');
+  assert.equal(unifiedDiff('a\nb\n', 'a\nc\n', { from: 'x', to: 'y' }), '--- x\n+++ y\n@@ -1,2 +1,2 @@\n a\n-b\n+c\n');
+});